@@ -1,14 +1,18 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const { FUZZY_THRESHOLD } = require('../utils/search');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Test database connection
-pool.on('connect', () => {
+// Test database connection. Each connection also gets the threshold for
+// pg_trgm's <% operator used by directory search.
+pool.on('connect', (client) => {
     console.log('Connected to PostgreSQL database');
+    client.query(`SET pg_trgm.word_similarity_threshold = ${FUZZY_THRESHOLD}`)
+        .catch(err => console.error('Failed to set search threshold:', err));
 });
 
 pool.on('error', (err) => {
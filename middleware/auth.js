@@ -55,8 +55,44 @@ const isAdmin = (req, res, next) => {
     next();
 };
 
-// Optional auth - sets user if token present, but doesn't require it
-const optionalAuth = async (req, res, next) => {
+// Check if user is a practitioner (a chiropractor managing claimed listings)
+const isPractitioner = (req, res, next) => {
+    if (!req.user || req.user.role !== 'practitioner') {
+        return res.status(403).json({ error: 'Access denied. Practitioner account required.' });
+    }
+    next();
+};
+
+// Check if user is a patient (a member of the public with saved lists)
+const isPatient = (req, res, next) => {
+    if (!req.user || req.user.role !== 'patient') {
+        return res.status(403).json({ error: 'Access denied. Patient account required.' });
+    }
+    next();
+};
+
+// Issue a JWT for a user and set it as an HTTP-only cookie; returns the token
+const startSession = (res, user) => {
+    const token = jwt.sign(
+        { userId: user.id, email: user.email, role: user.role },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+
+    res.cookie('token', token, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+    });
+
+    return token;
+};
+
+// Optional auth - sets user if token present, but doesn't require it.
+// Given roles, e.g. optionalAuth('admin'), anyone in another role is treated
+// as signed out; with none, any signed-in user is set.
+const optionalAuth = (...roles) => async (req, res, next) => {
     try {
         const authHeader = req.headers.authorization;
         const token = authHeader && authHeader.startsWith('Bearer ')
@@ -69,7 +105,7 @@ const optionalAuth = async (req, res, next) => {
                 'SELECT id, email, name, role FROM users WHERE id = $1 AND is_active = true',
                 [decoded.userId]
             );
-            if (result.rows.length > 0) {
+            if (result.rows.length > 0 && (roles.length === 0 || roles.includes(result.rows[0].role))) {
                 req.user = result.rows[0];
             }
         }
@@ -82,5 +118,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     verifyToken,
     isAdmin,
+    isPractitioner,
+    isPatient,
+    startSession,
     optionalAuth
 };
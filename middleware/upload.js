@@ -0,0 +1,52 @@
+/**
+ * Upload Middleware
+ * Parses a multipart form with a single file in the "file" field. The file
+ * is kept in memory for processing; its type is checked from the content
+ * later, not from the name or declared type.
+ */
+
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../utils/media');
+const { MAX_IMPORT_BYTES } = require('../utils/imports');
+
+const singleFile = (maxBytes, description) => {
+    const parseUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: maxBytes,
+            files: 1,
+            fields: 10
+        }
+    }).single('file');
+
+    return (req, res, next) => {
+        parseUpload(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                if (error.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ error: `Files must be ${Math.floor(maxBytes / 1024 / 1024)}MB or smaller` });
+                }
+                return res.status(400).json({ error: `Upload a single ${description} in the "file" field` });
+            }
+
+            if (error) {
+                return next(error);
+            }
+
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded' });
+            }
+
+            next();
+        });
+    };
+};
+
+const uploadImage = singleFile(MAX_UPLOAD_BYTES, 'image');
+
+// CSV or XLSX member lists for the chiropractor import
+const uploadSpreadsheet = singleFile(MAX_IMPORT_BYTES, 'CSV or XLSX file');
+
+module.exports = {
+    uploadImage,
+    uploadSpreadsheet
+};
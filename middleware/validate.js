@@ -5,6 +5,28 @@
 
 const { body, param, query, validationResult } = require('express-validator');
 const xss = require('xss');
+const { normalizeState, POSTAL_CODE_PATTERN } = require('../utils/address');
+const { TIME_PATTERN, isValidTimezone } = require('../utils/hours');
+const { FACETS } = require('../utils/facets');
+const { REVIEW_STATUSES } = require('../utils/reviews');
+const { CLAIM_STATUSES } = require('../utils/claims');
+const { CHANGE_STATUSES } = require('../utils/listingChanges');
+const { APPOINTMENT_STATUSES } = require('../utils/appointments');
+const { SUBMISSION_STATUSES } = require('../utils/submissions');
+const { MEDIA_KINDS, MAX_PHOTOS_PER_LISTING } = require('../utils/media');
+const { LOCAL_URL_PREFIX } = require('../utils/storage');
+const { DUPLICATE_STATUSES } = require('../utils/duplicates');
+const { IMPORT_FIELDS } = require('../utils/imports');
+const { EXPORTS, EXPORT_TYPES, EXPORT_FORMATS } = require('../utils/exports');
+const { BILLING_PERIODS } = require('../utils/plans');
+const { CAMPAIGN_STATUSES } = require('../utils/campaigns');
+const { SORT_OPTIONS, decodeCursor } = require('../utils/pagination');
+const { MAX_COMPARE } = require('../utils/compare');
+const { LICENSE_STATUSES, LICENSE_REVIEW_STATUSES } = require('../utils/licenses');
+const { ISSUE_TYPES, DATA_QUALITY_SORTS } = require('../utils/dataQuality');
+
+const BOOLEAN_FACETS = Object.keys(FACETS).filter(key => FACETS[key].type === 'boolean');
+const TEXT_FACETS = Object.keys(FACETS).filter(key => FACETS[key].type !== 'boolean');
 
 // Custom XSS sanitizer
 const sanitizeInput = (value) => {
@@ -29,23 +51,76 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-// Chiropractor validation rules
-const chiropractorValidation = [
-    body('name')
-        .trim()
-        .notEmpty().withMessage('Name is required')
-        .isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters')
-        .customSanitizer(sanitizeInput),
+/**
+ * Run validation rules against a plain object instead of a request, such as a
+ * row of an import. Returns the sanitized values and any errors in the same
+ * shape as handleValidationErrors reports them.
+ */
+const validateBody = async (rules, body) => {
+    const req = { body };
+    for (const rule of rules) {
+        await rule.run(req);
+    }
+
+    return {
+        body: req.body,
+        errors: validationResult(req).array().map(err => ({
+            field: err.path,
+            message: err.msg
+        }))
+    };
+};
+
+// Address, coordinate and time zone rules shared by profiles and their locations
+const addressRules = [
     body('state')
         .trim()
         .notEmpty().withMessage('State is required')
-        .isLength({ max: 100 }).withMessage('State must be less than 100 characters')
-        .customSanitizer(sanitizeInput),
+        .custom(value => !!normalizeState(value)).withMessage('State must be one of the 50 US states')
+        .customSanitizer(value => normalizeState(value)?.name || value),
+    // A single-line address is only required when no street is given
     body('address')
+        .if((value, { req }) => !req.body.street)
         .trim()
         .notEmpty().withMessage('Address is required')
         .isLength({ max: 500 }).withMessage('Address must be less than 500 characters')
         .customSanitizer(sanitizeInput),
+    body('street')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Street must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('postal_code')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(POSTAL_CODE_PATTERN).withMessage('Postal code must be a 5-digit ZIP or ZIP+4'),
+    body('city')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 100 }).withMessage('City must be less than 100 characters')
+        .customSanitizer(sanitizeInput),
+    body('timezone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .custom(isValidTimezone).withMessage('Invalid time zone'),
+    body('latitude')
+        .optional({ checkFalsy: true })
+        .isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90')
+        .toFloat(),
+    body('longitude')
+        .optional({ checkFalsy: true })
+        .isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180')
+        .toFloat()
+];
+
+// Chiropractor validation rules
+const chiropractorValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters')
+        .customSanitizer(sanitizeInput),
+    ...addressRules,
     body('phone')
         .trim()
         .notEmpty().withMessage('Phone is required')
@@ -67,12 +142,562 @@ const chiropractorValidation = [
         .trim()
         .isLength({ max: 255 }).withMessage('Specialty must be less than 255 characters')
         .customSanitizer(sanitizeInput),
+    body('accepts_new_patients')
+        .optional()
+        .isBoolean().withMessage('Accepts new patients must be true or false')
+        .toBoolean(),
+    body(['cash_only', 'accepts_medicare', 'sliding_scale'])
+        .optional()
+        .isBoolean().withMessage('Payment options must be true or false')
+        .toBoolean(),
+    body('insurance_ids')
+        .optional()
+        .isArray({ max: 200 }).withMessage('Insurance must be a list of carrier IDs'),
+    body('insurance_ids.*')
+        .isInt({ min: 1 }).withMessage('Invalid insurance carrier ID')
+        .toInt(),
+    body('description')
+        .optional({ checkFalsy: true })
+        .trim()
+        .customSanitizer(sanitizeInput)
+];
+
+// Public practice submission: the listing fields plus who is submitting it
+const submissionValidation = [
+    ...chiropractorValidation,
+    body('submitter_name')
+        .trim()
+        .notEmpty().withMessage('Your name is required')
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('submitter_email')
+        .trim()
+        .notEmpty().withMessage('Your email is required')
+        .isEmail().withMessage('Invalid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 }).withMessage('Email must be less than 255 characters')
+];
+
+// Emailed confirmation link token
+const submissionConfirmValidation = [
+    body('token')
+        .trim()
+        .matches(/^[a-f0-9]{64}$/).withMessage('Invalid confirmation link')
+];
+
+// Submissions queue filter
+const submissionQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(SUBMISSION_STATUSES).withMessage(`Status must be one of: ${SUBMISSION_STATUSES.join(', ')}`)
+];
+
+// Practice location validation rules; phone falls back to the profile's
+const practiceLocationValidation = [
+    body('label')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Label must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    ...addressRules,
+    body('phone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[\d\s\-\(\)\+\.]+$/).withMessage('Invalid phone number format')
+        .isLength({ max: 50 }).withMessage('Phone must be less than 50 characters'),
+    body('is_primary')
+        .optional()
+        .isBoolean().withMessage('is_primary must be true or false')
+        .toBoolean()
+];
+
+// Insurance carrier catalog validation rules
+const insuranceCarrierValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// Patient review submission rules
+const reviewValidation = [
+    body('rating')
+        .isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5')
+        .toInt(),
+    body('title')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Title must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('body')
+        .trim()
+        .notEmpty().withMessage('Review text is required')
+        .isLength({ min: 20, max: 5000 }).withMessage('Review must be between 20 and 5000 characters')
+        .customSanitizer(sanitizeInput),
+    body('author_name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('author_email')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isEmail().withMessage('Invalid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 }).withMessage('Email must be less than 255 characters')
+];
+
+// Moderation actions on a queued item (review, claim, change, submission), with an optional note
+const moderationValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('note')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 1000 }).withMessage('Note must be less than 1000 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// Moderation queue filter
+const reviewQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(REVIEW_STATUSES).withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`)
+];
+
+// Claim a listing; signed-out claimants also create a practitioner account
+const claimValidation = [
+    body('chiropractor_id')
+        .isInt({ min: 1 }).withMessage('Invalid chiropractor ID')
+        .toInt(),
+    body('name')
+        .if((value, { req }) => !req.user)
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('email')
+        .if((value, { req }) => !req.user)
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Invalid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 }).withMessage('Email must be less than 255 characters'),
+    body('password')
+        .if((value, { req }) => !req.user)
+        .notEmpty().withMessage('Password is required')
+        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('Password must contain uppercase, lowercase, and number')
+];
+
+// One-time ownership code
+const claimCodeValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('code')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+];
+
+// Claims queue filter
+const claimQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(CLAIM_STATUSES).withMessage(`Status must be one of: ${CLAIM_STATUSES.join(', ')}`)
+];
+
+// Listing change queue filter
+const changeQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(CHANGE_STATUSES).withMessage(`Status must be one of: ${CHANGE_STATUSES.join(', ')}`)
+];
+
+// An admin's license review; marking a license verified needs the license and how it was checked
+const licenseValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('license_status')
+        .isIn(LICENSE_REVIEW_STATUSES).withMessage(`Status must be one of: ${LICENSE_REVIEW_STATUSES.join(', ')}`),
+    body('license_number')
+        .if((value, { req }) => req.body.license_status === 'verified')
+        .trim()
+        .notEmpty().withMessage('License number is required to verify'),
+    body('license_number')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 50 }).withMessage('License number must be less than 50 characters')
+        .customSanitizer(sanitizeInput),
+    body('license_state')
+        .if((value, { req }) => req.body.license_status === 'verified')
+        .trim()
+        .notEmpty().withMessage('Issuing state is required to verify'),
+    body('license_state')
+        .optional({ checkFalsy: true })
+        .trim()
+        .custom(value => !!normalizeState(value)).withMessage('Issuing state must be one of the 50 US states')
+        .customSanitizer(value => normalizeState(value)?.code || value),
+    body(['license_expires_on', 'license_reverify_on'])
+        .optional({ checkFalsy: true })
+        .isISO8601({ strict: true }).withMessage('Dates must be in YYYY-MM-DD format'),
+    body('license_evidence_note')
+        .if((value, { req }) => req.body.license_status === 'verified')
+        .trim()
+        .notEmpty().withMessage('Note how the license was verified'),
+    body('license_evidence_note')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 2000 }).withMessage('Evidence note must be less than 2000 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// License review queue filter
+const licenseQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(LICENSE_STATUSES).withMessage(`Status must be one of: ${LICENSE_STATUSES.join(', ')}`)
+];
+
+// Data-quality report filters and ordering; order= since sort= is the directory's
+const dataQualityValidation = [
+    query('issue')
+        .optional()
+        .isIn(ISSUE_TYPES).withMessage(`Issue must be one of: ${ISSUE_TYPES.join(', ')}`),
+    query(['min_score', 'max_score'])
+        .optional()
+        .isInt({ min: 0, max: 100 }).withMessage('Scores must be between 0 and 100'),
+    query('order')
+        .optional()
+        .isIn(Object.keys(DATA_QUALITY_SORTS)).withMessage(`Order must be one of: ${Object.keys(DATA_QUALITY_SORTS).join(', ')}`)
+];
+
+// Password rules shared by every account type
+const newPasswordRule = (field) => body(field)
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('Password must contain uppercase, lowercase, and number');
+
+const emailRule = () => body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Invalid email address')
+    .normalizeEmail()
+    .isLength({ max: 255 }).withMessage('Email must be less than 255 characters');
+
+// Patient sign-up with a password
+const patientRegisterValidation = [
+    body('name')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    emailRule(),
+    newPasswordRule('password')
+];
+
+// Emailed sign-in link request
+const magicLinkValidation = [
+    emailRule()
+];
+
+const magicLinkVerifyValidation = [
+    body('token')
+        .trim()
+        .matches(/^[a-f0-9]{64}$/).withMessage('Invalid sign-in link')
+];
+
+// A patient's password; the current one is only needed once one is set
+const patientPasswordValidation = [
+    body('currentPassword')
+        .optional(),
+    newPasswordRule('newPassword')
+];
+
+// Named list of saved chiropractors and blog posts
+const patientListValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('List name is required')
+        .isLength({ max: 100 }).withMessage('List name must be less than 100 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+const listNoteRule = () => body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Note must be less than 2000 characters')
+    .customSanitizer(sanitizeInput);
+
+// A saved entry names exactly one chiropractor or blog post
+const listItemValidation = [
+    body('chiropractor_id')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid chiropractor ID')
+        .toInt(),
+    body('blog_post_id')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid blog post ID')
+        .toInt(),
+    body()
+        .custom(value => (value.chiropractor_id === undefined) !== (value.blog_post_id === undefined))
+        .withMessage('Save either a chiropractor or a blog post'),
+    listNoteRule()
+];
+
+const listItemNoteValidation = [
+    param('itemId')
+        .isInt({ min: 1 }).withMessage('Invalid item ID'),
+    listNoteRule()
+];
+
+const itemIdValidation = [
+    param('itemId')
+        .isInt({ min: 1 }).withMessage('Invalid item ID')
+];
+
+const shareTokenValidation = [
+    param('token')
+        .matches(/^[a-f0-9]{48}$/).withMessage('Invalid share link')
+];
+
+// Appointment request from a listing page
+const appointmentValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('patient_name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 255 }).withMessage('Name must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('patient_email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Invalid email address')
+        .normalizeEmail()
+        .isLength({ max: 255 }).withMessage('Email must be less than 255 characters'),
+    body('patient_phone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(/^[\d\s\-\(\)\+\.]+$/).withMessage('Invalid phone number format')
+        .isLength({ max: 50 }).withMessage('Phone must be less than 50 characters'),
+    body('preferred_times')
+        .isArray({ min: 1, max: 3 }).withMessage('Choose between one and three preferred times'),
+    body('preferred_times.*.date')
+        .isISO8601({ strict: true }).withMessage('Preferred dates must be valid dates')
+        // Compared as calendar dates; a day of slack covers patients west of UTC
+        .custom(value => value >= new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10))
+        .withMessage('Preferred dates cannot be in the past'),
+    body('preferred_times.*.time')
+        .matches(TIME_PATTERN).withMessage('Preferred times must be HH:MM'),
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 2000 }).withMessage('Reason must be less than 2000 characters')
+        .customSanitizer(sanitizeInput),
+    body('is_new_patient')
+        .optional()
+        .isBoolean().withMessage('is_new_patient must be true or false')
+        .toBoolean()
+];
+
+// Status change on an appointment request, with an optional note for the patient
+const appointmentStatusValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('status')
+        .isIn(APPOINTMENT_STATUSES).withMessage(`Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+    body('note')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 1000 }).withMessage('Note must be less than 1000 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// Appointment inbox filter
+const appointmentQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(APPOINTMENT_STATUSES).withMessage(`Status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`)
+];
+
+// Duplicate pairs queue filter
+const duplicateQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(DUPLICATE_STATUSES).withMessage(`Status must be one of: ${DUPLICATE_STATUSES.join(', ')}`)
+];
+
+// Merge a duplicate pair: the listing that survives, and which listing each field's value comes from
+const duplicateMergeValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('keep_id')
+        .isInt({ min: 1 }).withMessage('Choose the listing to keep')
+        .toInt(),
+    body('choices')
+        .optional()
+        .isObject().withMessage('Choices must be an object'),
+    body('choices.*')
+        .isIn(['keep', 'merge']).withMessage('Each choice must be keep or merge')
+];
+
+// Chiropractor import options; the column mapping arrives as JSON text in the multipart form
+const importValidation = [
+    body('dry_run')
+        .optional()
+        .isBoolean().withMessage('dry_run must be true or false')
+        .toBoolean(),
+    body('mapping')
+        .optional({ checkFalsy: true })
+        .isJSON().withMessage('Mapping must be a JSON object')
+        .bail()
+        .customSanitizer(value => JSON.parse(value))
+        .custom(mapping => mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping)
+            && Object.entries(mapping).every(([field, header]) => IMPORT_FIELDS.includes(field) && typeof header === 'string'))
+        .withMessage(`Mapping must pair fields (${IMPORT_FIELDS.join(', ')}) with column headers`)
+];
+
+// Listing plan and the features it unlocks
+const planValidation = [
+    body('name')
+        .trim()
+        .notEmpty().withMessage('Name is required')
+        .isLength({ max: 100 }).withMessage('Name must be less than 100 characters')
+        .customSanitizer(sanitizeInput),
     body('description')
         .optional({ checkFalsy: true })
         .trim()
+        .isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters')
+        .customSanitizer(sanitizeInput),
+    body('price_cents')
+        .isInt({ min: 0 }).withMessage('Price must be a whole number of cents')
+        .toInt(),
+    body('billing_period')
+        .isIn(BILLING_PERIODS).withMessage(`Billing period must be one of: ${BILLING_PERIODS.join(', ')}`),
+    body('placement_rank')
+        .isInt({ min: 0, max: 100 }).withMessage('Placement rank must be from 0 to 100')
+        .toInt(),
+    body('max_photos')
+        .isInt({ min: 0, max: MAX_PHOTOS_PER_LISTING }).withMessage(`Photos must be from 0 to ${MAX_PHOTOS_PER_LISTING}`)
+        .toInt(),
+    body('max_description_length')
+        .optional({ nullable: true, checkFalsy: true })
+        .isInt({ min: 1 }).withMessage('Description length must be a positive number, or empty for no limit')
+        .toInt(),
+    body(['is_featured', 'show_website', 'is_public'])
+        .optional()
+        .isBoolean().withMessage('Must be true or false')
+        .toBoolean(),
+    body('sort_order')
+        .optional()
+        .isInt().withMessage('Sort order must be a number')
+        .toInt()
+];
+
+// Put a listing on a plan; starts now unless a start date is given
+const subscriptionValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('plan_id')
+        .isInt({ min: 1 }).withMessage('Choose a plan')
+        .toInt(),
+    body('starts_at')
+        .optional({ checkFalsy: true })
+        .isISO8601().withMessage('Start must be a date'),
+    body('ends_at')
+        .isISO8601().withMessage('End must be a date')
+        .custom((value, { req }) => new Date(value) > (req.body.starts_at ? new Date(req.body.starts_at) : new Date()))
+        .withMessage('End must be after the start'),
+    body('note')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// Featured campaign: the listing, the state or city it is featured in, and when
+const campaignValidation = [
+    body('chiropractor_id')
+        .isInt({ min: 1 }).withMessage('Choose the listing to feature')
+        .toInt(),
+    body('state')
+        .trim()
+        .notEmpty().withMessage('State is required')
+        .custom(value => !!normalizeState(value)).withMessage('State must be one of the 50 US states')
+        .customSanitizer(value => normalizeState(value)?.name || value),
+    body('city')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 100 }).withMessage('City must be less than 100 characters')
+        .customSanitizer(sanitizeInput),
+    body('starts_at')
+        .isISO8601().withMessage('Start must be a date'),
+    body('ends_at')
+        .isISO8601().withMessage('End must be a date')
+        .custom((value, { req }) => new Date(value) > new Date(req.body.starts_at))
+        .withMessage('End must be after the start'),
+    body('note')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Note must be less than 500 characters')
         .customSanitizer(sanitizeInput)
 ];
 
+// Featured campaigns list filters
+const campaignQueueValidation = [
+    query('status')
+        .optional()
+        .isIn(CAMPAIGN_STATUSES).withMessage(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`),
+    query('state')
+        .optional({ checkFalsy: true })
+        .custom(value => !!normalizeState(value)).withMessage('State must be one of the 50 US states')
+        .customSanitizer(value => normalizeState(value)?.name || value)
+];
+
+// Image upload fields; logos and photos belong to a listing, blog images do not
+const mediaUploadValidation = [
+    body('kind')
+        .isIn(MEDIA_KINDS).withMessage(`Kind must be one of: ${MEDIA_KINDS.join(', ')}`),
+    body('chiropractor_id')
+        .if(body('kind').isIn(['logo', 'photo']))
+        .isInt({ min: 1 }).withMessage('A listing is required for logos and photos')
+        .toInt(),
+    body('chiropractor_id')
+        .if(body('kind').equals('blog'))
+        .isEmpty().withMessage('Blog images do not belong to a listing'),
+    body('alt_text')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Alt text must be less than 255 characters')
+        .customSanitizer(sanitizeInput)
+];
+
+// Editable details of an uploaded image
+const mediaUpdateValidation = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid ID'),
+    body('alt_text')
+        .optional({ nullable: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Alt text must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('sort_order')
+        .optional()
+        .isInt({ min: 0, max: 1000 }).withMessage('Sort order must be between 0 and 1000')
+        .toInt()
+];
+
+// Media library filters
+const mediaQueueValidation = [
+    query('kind')
+        .optional()
+        .isIn(MEDIA_KINDS).withMessage(`Kind must be one of: ${MEDIA_KINDS.join(', ')}`),
+    query('chiropractor_id')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid listing ID')
+];
+
 // Blog post validation rules
 const blogPostValidation = [
     body('title')
@@ -98,6 +723,8 @@ const blogPostValidation = [
     body('featured_image')
         .optional({ checkFalsy: true })
         .trim()
+        // Images uploaded to local storage are linked by path
+        .if(value => !value.startsWith(`${LOCAL_URL_PREFIX}/`))
         .isURL({ protocols: ['http', 'https'] }).withMessage('Invalid image URL'),
     body('tags')
         .optional()
@@ -158,7 +785,13 @@ const idValidation = [
         .isInt({ min: 1 }).withMessage('Invalid ID')
 ];
 
-// Pagination query validation
+// Location ID parameter validation
+const locationIdValidation = [
+    param('locationId')
+        .isInt({ min: 1 }).withMessage('Invalid location ID')
+];
+
+// Pagination query validation: page or cursor, limit and sort
 const paginationValidation = [
     query('page')
         .optional()
@@ -168,17 +801,184 @@ const paginationValidation = [
         .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
     query('sort')
         .optional()
-        .isIn(['asc', 'desc']).withMessage('Sort must be asc or desc')
+        .isIn(SORT_OPTIONS).withMessage(`Sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null).withMessage('Invalid cursor')
+];
+
+// Compare query validation: ids=1,2,3 lists 2 to MAX_COMPARE distinct listings
+const compareValidation = [
+    query('ids')
+        .custom(value => {
+            const ids = String(value).split(',').map(id => id.trim());
+            if (!ids.every(id => /^[1-9]\d*$/.test(id))) {
+                throw new Error('IDs must be a comma-separated list of listing IDs');
+            }
+            if (new Set(ids).size !== ids.length || ids.length < 2 || ids.length > MAX_COMPARE) {
+                throw new Error(`Compare between 2 and ${MAX_COMPARE} different listings`);
+            }
+            return true;
+        })
+];
+
+// Radius search query validation
+const locationValidation = [
+    query('near')
+        .optional()
+        .trim()
+        .matches(/^(\d{5}(-\d{4})?|-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?)$/)
+        .withMessage('Near must be a ZIP code or "latitude,longitude"'),
+    query('radius')
+        .optional()
+        .isFloat({ min: 1, max: 500 }).withMessage('Radius must be between 1 and 500 miles')
+];
+
+// Weekly office hours and holiday exceptions
+const officeHoursValidation = [
+    body('hours')
+        .isArray({ max: 42 }).withMessage('Hours must be an array')
+        .custom(hours => hours.every(h => !h.opens_at || !h.closes_at || h.closes_at > h.opens_at))
+        .withMessage('Closing time must be after opening time'),
+    body('hours.*.day_of_week')
+        .isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)')
+        .toInt(),
+    body(['hours.*.opens_at', 'hours.*.closes_at'])
+        .matches(TIME_PATTERN).withMessage('Times must be HH:MM'),
+    body('exceptions')
+        .optional()
+        .isArray({ max: 366 }).withMessage('Exceptions must be an array')
+        .custom(exceptions => exceptions.every(e => e.is_closed !== false ||
+            (e.opens_at && e.closes_at && e.closes_at > e.opens_at)))
+        .withMessage('Open exceptions need an opening time before the closing time')
+        .custom(exceptions => new Set(exceptions.map(e => e.exception_date)).size === exceptions.length)
+        .withMessage('Each exception date can only be listed once'),
+    body('exceptions.*.exception_date')
+        .isISO8601({ strict: true }).withMessage('Exception date must be YYYY-MM-DD'),
+    body('exceptions.*.is_closed')
+        .optional()
+        .isBoolean().withMessage('is_closed must be true or false')
+        .toBoolean(),
+    body(['exceptions.*.opens_at', 'exceptions.*.closes_at'])
+        .optional({ checkFalsy: true })
+        .matches(TIME_PATTERN).withMessage('Times must be HH:MM'),
+    body('exceptions.*.label')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Label must be less than 255 characters')
+        .customSanitizer(sanitizeInput),
+    body('timezone')
+        .optional({ checkFalsy: true })
+        .trim()
+        .custom(isValidTimezone).withMessage('Invalid time zone')
+];
+
+// Directory facet filters; each may be repeated to select several values
+const facetFilterRules = [
+    query(Object.keys(FACETS))
+        .optional()
+        .toArray(),
+    query(TEXT_FACETS.map(key => `${key}.*`))
+        .trim()
+        .isLength({ max: 255 }).withMessage('Filter values must be less than 255 characters'),
+    query(BOOLEAN_FACETS.map(key => `${key}.*`))
+        .isBoolean().withMessage('Must be true or false')
+];
+
+const directoryFilterValidation = [
+    ...facetFilterRules,
+    query('open_now')
+        .optional()
+        .isBoolean().withMessage('open_now must be true or false'),
+    query('verified_only')
+        .optional()
+        .isBoolean().withMessage('verified_only must be true or false')
+];
+
+// Admin exports: format, columns and filters; chiropractors also take the directory facets
+const exportValidation = [
+    param('type')
+        .isIn(EXPORT_TYPES).withMessage(`Type must be one of: ${EXPORT_TYPES.join(', ')}`),
+    query('format')
+        .optional()
+        .isIn(Object.keys(EXPORT_FORMATS)).withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+    query('columns')
+        .optional()
+        .custom((value, { req }) => {
+            const columns = EXPORTS[req.params.type] ? EXPORTS[req.params.type].columns : [];
+            const unknown = [].concat(value).flatMap(item => String(item).split(','))
+                .map(item => item.trim())
+                .filter(item => item && !columns.includes(item));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown columns: ${unknown.join(', ')}`);
+            }
+            return true;
+        }),
+    query(['created_from', 'created_to'])
+        .optional()
+        .isISO8601().withMessage('Dates must be in YYYY-MM-DD format'),
+    query('status')
+        .optional()
+        .isIn(['active', 'inactive']).withMessage('Status must be active or inactive'),
+    query(['action', 'entity_type'])
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Filter values must be less than 100 characters'),
+    ...facetFilterRules
 ];
 
 module.exports = {
     handleValidationErrors,
+    validateBody,
     chiropractorValidation,
+    submissionValidation,
+    submissionConfirmValidation,
+    submissionQueueValidation,
+    practiceLocationValidation,
+    insuranceCarrierValidation,
+    reviewValidation,
+    moderationValidation,
+    reviewQueueValidation,
+    claimValidation,
+    claimCodeValidation,
+    claimQueueValidation,
+    changeQueueValidation,
+    licenseValidation,
+    licenseQueueValidation,
+    dataQualityValidation,
+    appointmentValidation,
+    patientRegisterValidation,
+    magicLinkValidation,
+    magicLinkVerifyValidation,
+    patientPasswordValidation,
+    patientListValidation,
+    listItemValidation,
+    listItemNoteValidation,
+    itemIdValidation,
+    shareTokenValidation,
+    appointmentStatusValidation,
+    appointmentQueueValidation,
+    duplicateQueueValidation,
+    duplicateMergeValidation,
+    importValidation,
+    planValidation,
+    subscriptionValidation,
+    campaignValidation,
+    campaignQueueValidation,
+    mediaUploadValidation,
+    mediaUpdateValidation,
+    mediaQueueValidation,
     blogPostValidation,
     loginValidation,
     passwordValidation,
     settingsValidation,
     idValidation,
+    locationIdValidation,
     paginationValidation,
+    locationValidation,
+    compareValidation,
+    directoryFilterValidation,
+    exportValidation,
+    officeHoursValidation,
     sanitizeInput
 };
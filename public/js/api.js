@@ -40,12 +40,18 @@ const API = {
             credentials: 'include'
         };
 
+        // Let the browser set the multipart boundary for file uploads
+        if (config.body instanceof FormData) {
+            delete config.headers['Content-Type'];
+        }
+
         try {
             const response = await fetch(url, config);
             const data = await response.json();
 
+            // Keep the response body; some errors carry details worth showing
             if (!response.ok) {
-                throw new Error(data.error || 'Request failed');
+                throw Object.assign(new Error(data.error || 'Request failed'), { data });
             }
 
             return data;
@@ -55,6 +61,20 @@ const API = {
         }
     },
 
+    // Build a query string; array values become repeated parameters
+    buildQuery(params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => query.append(key, item));
+            } else if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        return queryString ? `?${queryString}` : '';
+    },
+
     // GET request
     get(endpoint) {
         return this.request(endpoint, { method: 'GET' });
@@ -81,6 +101,37 @@ const API = {
         return this.request(endpoint, { method: 'DELETE' });
     },
 
+    // Multipart POST request
+    upload(endpoint, formData) {
+        return this.request(endpoint, {
+            method: 'POST',
+            body: formData
+        });
+    },
+
+    // Fetch a file and hand it to the browser as a download
+    async download(endpoint) {
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            headers: this.getHeaders(),
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw Object.assign(new Error(data.error || 'Download failed'), { data });
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename=([^;]+)/);
+        const url = URL.createObjectURL(await response.blob());
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename ? filename[1] : 'download';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
     // Auth methods
     auth: {
         async login(email, password) {
@@ -119,8 +170,7 @@ const API = {
     // Chiropractor methods
     chiropractors: {
         async getAll(params = {}) {
-            const query = new URLSearchParams(params).toString();
-            return API.get(`/chiropractors${query ? '?' + query : ''}`);
+            return API.get(`/chiropractors${API.buildQuery(params)}`);
         },
 
         async getById(id) {
@@ -131,6 +181,10 @@ const API = {
             return API.get(`/chiropractors/state/${encodeURIComponent(state)}`);
         },
 
+        async getByLocation(state, city = '') {
+            return API.get(`/chiropractors/location/${encodeURIComponent(state)}${city ? '/' + encodeURIComponent(city) : ''}`);
+        },
+
         async getStates() {
             return API.get('/chiropractors/states');
         },
@@ -139,6 +193,48 @@ const API = {
             return API.get(`/chiropractors/${id}/related?limit=${limit}`);
         },
 
+        async compare(ids, near = null) {
+            const query = new URLSearchParams({ ids: ids.join(',') });
+            if (near) query.set('near', near);
+            return API.get(`/chiropractors/compare?${query}`);
+        },
+
+        async getLocations(id) {
+            return API.get(`/chiropractors/${id}/locations`);
+        },
+
+        async createLocation(id, data) {
+            return API.post(`/chiropractors/${id}/locations`, data);
+        },
+
+        async updateLocation(id, locationId, data) {
+            return API.put(`/chiropractors/${id}/locations/${locationId}`, data);
+        },
+
+        async deleteLocation(id, locationId) {
+            return API.delete(`/chiropractors/${id}/locations/${locationId}`);
+        },
+
+        async getHours(id, locationId) {
+            return API.get(`/chiropractors/${id}/locations/${locationId}/hours`);
+        },
+
+        async updateHours(id, locationId, data) {
+            return API.put(`/chiropractors/${id}/locations/${locationId}/hours`, data);
+        },
+
+        async getReviews(id, params = {}) {
+            return API.get(`/chiropractors/${id}/reviews${API.buildQuery(params)}`);
+        },
+
+        async submitReview(id, data) {
+            return API.post(`/chiropractors/${id}/reviews`, data);
+        },
+
+        async requestAppointment(id, data) {
+            return API.post(`/chiropractors/${id}/appointments`, data);
+        },
+
         async create(data) {
             return API.post('/chiropractors', data);
         },
@@ -229,8 +325,319 @@ const API = {
             return API.post(`/admin/users/${id}/toggle-active`, {});
         },
 
-        async exportData(type) {
-            return API.get(`/admin/export/${type}`);
+        async getReviews(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.get(`/admin/reviews${query ? '?' + query : ''}`);
+        },
+
+        async moderateReview(id, action, note = '') {
+            return API.post(`/admin/reviews/${id}/${action}`, { note });
+        },
+
+        async getClaims(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.get(`/admin/claims${query ? '?' + query : ''}`);
+        },
+
+        async reviewClaim(id, action, note = '') {
+            return API.post(`/admin/claims/${id}/${action}`, { note });
+        },
+
+        async getListingChanges(params = {}) {
+            const query = new URLSearchParams(params).toString();
+            return API.get(`/admin/listing-changes${query ? '?' + query : ''}`);
+        },
+
+        async reviewListingChange(id, action, note = '') {
+            return API.post(`/admin/listing-changes/${id}/${action}`, { note });
+        },
+
+        async getAppointments(params = {}) {
+            return API.get(`/admin/appointments${API.buildQuery(params)}`);
+        },
+
+        async updateAppointment(id, status, note = '') {
+            return API.post(`/admin/appointments/${id}/status`, { status, note });
+        },
+
+        async getSubmissions(params = {}) {
+            return API.get(`/admin/submissions${API.buildQuery(params)}`);
+        },
+
+        async reviewSubmission(id, action, note = '') {
+            return API.post(`/admin/submissions/${id}/${action}`, { note });
+        },
+
+        async getDuplicates(params = {}) {
+            return API.get(`/admin/duplicates${API.buildQuery(params)}`);
+        },
+
+        async scanDuplicates() {
+            return API.post('/admin/duplicates/scan');
+        },
+
+        async dismissDuplicate(id) {
+            return API.post(`/admin/duplicates/${id}/dismiss`);
+        },
+
+        // choices maps each field to 'keep' or 'merge': whose value the kept listing ends up with
+        async mergeDuplicates(id, keepId, choices = {}) {
+            return API.post(`/admin/duplicates/${id}/merge`, { keep_id: keepId, choices });
+        },
+
+        async getLicenses(params = {}) {
+            return API.get(`/admin/licenses${API.buildQuery(params)}`);
+        },
+
+        async updateLicense(chiropractorId, data) {
+            return API.put(`/admin/chiropractors/${chiropractorId}/license`, data);
+        },
+
+        async checkLicenses() {
+            return API.post('/admin/licenses/check');
+        },
+
+        async getDataQuality(params = {}) {
+            return API.get(`/admin/data-quality${API.buildQuery(params)}`);
+        },
+
+        async getSubscriptions(chiropractorId) {
+            return API.get(`/admin/chiropractors/${chiropractorId}/subscriptions`);
+        },
+
+        async addSubscription(chiropractorId, data) {
+            return API.post(`/admin/chiropractors/${chiropractorId}/subscriptions`, data);
+        },
+
+        async cancelSubscription(id) {
+            return API.post(`/admin/subscriptions/${id}/cancel`, {});
+        },
+
+        async getCampaigns(params = {}) {
+            return API.get(`/admin/campaigns${API.buildQuery(params)}`);
+        },
+
+        async createCampaign(data) {
+            return API.post('/admin/campaigns', data);
+        },
+
+        async updateCampaign(id, data) {
+            return API.put(`/admin/campaigns/${id}`, data);
+        },
+
+        async deleteCampaign(id) {
+            return API.delete(`/admin/campaigns/${id}`);
+        },
+
+        // Pass dryRun to check the file and get a per-row report without importing
+        async importChiropractors(file, { dryRun = false, mapping = null } = {}) {
+            const formData = new FormData();
+            formData.append('dry_run', dryRun);
+            if (mapping) {
+                formData.append('mapping', JSON.stringify(mapping));
+            }
+            formData.append('file', file);
+            return API.upload('/admin/chiropractors/import', formData);
+        },
+
+        // params: format (json, csv, ndjson), columns, created_from, created_to and type-specific filters
+        async exportData(type, params = {}) {
+            return API.download(`/admin/export/${type}${API.buildQuery(params)}`);
+        }
+    },
+
+    // Listing claim methods (practitioners)
+    claims: {
+        async create(data) {
+            return API.post('/claims', data);
+        },
+
+        async getMine() {
+            return API.get('/claims/mine');
+        },
+
+        async verify(id, code) {
+            return API.post(`/claims/${id}/verify`, { code });
+        },
+
+        async resend(id) {
+            return API.post(`/claims/${id}/resend`, {});
+        }
+    },
+
+    // Public practice submission methods
+    submissions: {
+        async create(data) {
+            return API.post('/submissions', data);
+        },
+
+        async confirm(token) {
+            return API.post('/submissions/confirm', { token });
+        }
+    },
+
+    // Practitioner portal methods
+    portal: {
+        async getListings() {
+            return API.get('/portal/listings');
+        },
+
+        async getListing(id) {
+            return API.get(`/portal/listings/${id}`);
+        },
+
+        async proposeChanges(id, data) {
+            return API.put(`/portal/listings/${id}`, data);
+        },
+
+        async getAppointments(params = {}) {
+            return API.get(`/portal/appointments${API.buildQuery(params)}`);
+        },
+
+        async updateAppointment(id, status, note = '') {
+            return API.post(`/portal/appointments/${id}/status`, { status, note });
+        }
+    },
+
+    // Patient account and saved list methods. Sign out with API.auth.logout.
+    patients: {
+        async register(data) {
+            return API.post('/patients/register', data);
+        },
+
+        async login(email, password) {
+            const response = await API.post('/patients/login', { email, password });
+            if (response.token) {
+                API.setToken(response.token);
+            }
+            return response;
+        },
+
+        async requestMagicLink(email) {
+            return API.post('/patients/magic-link', { email });
+        },
+
+        async verifyMagicLink(token) {
+            const response = await API.post('/patients/magic-link/verify', { token });
+            if (response.token) {
+                API.setToken(response.token);
+            }
+            return response;
+        },
+
+        async me() {
+            return API.get('/patients/me');
+        },
+
+        // currentPassword is only needed once the account has a password
+        async setPassword(newPassword, currentPassword = undefined) {
+            return API.put('/patients/me/password', { currentPassword, newPassword });
+        },
+
+        async getLists() {
+            return API.get('/patients/lists');
+        },
+
+        async createList(name) {
+            return API.post('/patients/lists', { name });
+        },
+
+        async getList(id) {
+            return API.get(`/patients/lists/${id}`);
+        },
+
+        async updateList(id, name) {
+            return API.put(`/patients/lists/${id}`, { name });
+        },
+
+        async deleteList(id) {
+            return API.delete(`/patients/lists/${id}`);
+        },
+
+        // item: { chiropractor_id } or { blog_post_id }, with an optional note
+        async addItem(listId, item) {
+            return API.post(`/patients/lists/${listId}/items`, item);
+        },
+
+        async updateItem(listId, itemId, note) {
+            return API.put(`/patients/lists/${listId}/items/${itemId}`, { note });
+        },
+
+        async removeItem(listId, itemId) {
+            return API.delete(`/patients/lists/${listId}/items/${itemId}`);
+        },
+
+        async shareList(id) {
+            return API.post(`/patients/lists/${id}/share`, {});
+        },
+
+        async unshareList(id) {
+            return API.delete(`/patients/lists/${id}/share`);
+        },
+
+        async getShared(token) {
+            return API.get(`/patients/shared/${token}`);
+        }
+    },
+
+    // Insurance carrier catalog methods
+    insurance: {
+        async getAll() {
+            return API.get('/insurance');
+        },
+
+        async create(name) {
+            return API.post('/insurance', { name });
+        },
+
+        async update(id, name) {
+            return API.put(`/insurance/${id}`, { name });
+        },
+
+        async delete(id) {
+            return API.delete(`/insurance/${id}`);
+        }
+    },
+
+    // Listing plan methods
+    plans: {
+        async getAll() {
+            return API.get('/plans');
+        },
+
+        async create(data) {
+            return API.post('/plans', data);
+        },
+
+        async update(id, data) {
+            return API.put(`/plans/${id}`, data);
+        }
+    },
+
+    // Media library methods (admin)
+    media: {
+        async getAll(params = {}) {
+            return API.get(`/media${API.buildQuery(params)}`);
+        },
+
+        // fields: { kind, chiropractor_id, alt_text }
+        async upload(file, fields = {}) {
+            const formData = new FormData();
+            Object.entries(fields).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') {
+                    formData.append(key, value);
+                }
+            });
+            formData.append('file', file);
+            return API.upload('/media', formData);
+        },
+
+        async update(id, data) {
+            return API.put(`/media/${id}`, data);
+        },
+
+        async delete(id) {
+            return API.delete(`/media/${id}`);
         }
     },
 
@@ -273,6 +680,10 @@ const API = {
 
         async getChiropractorSeo(id) {
             return API.get(`/seo/chiropractor/${id}`);
+        },
+
+        async getLocationSeo(state, city = '') {
+            return API.get(`/seo/location/${encodeURIComponent(state)}${city ? '/' + encodeURIComponent(city) : ''}`);
         }
     }
 };
@@ -26,6 +26,12 @@ function createSlug(name) {
         .replace(/^-+|-+$/g, '');
 }
 
+// Canonical page path of a chiropractor; older data without a slug falls
+// back to one made from the name, which the server redirects
+function chiropractorPath(chiro) {
+    return `/chiropractor/${chiro.id}/${chiro.slug || createSlug(chiro.name)}`;
+}
+
 function formatDate(dateString) {
     const date = new Date(dateString);
     const options = { year: 'numeric', month: 'long', day: 'numeric' };
@@ -43,6 +49,94 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Star rating, e.g. 4.4 -> four filled stars and one empty
+function renderStars(rating) {
+    const filled = Math.round(rating);
+    return '&#9733;'.repeat(filled) + '&#9734;'.repeat(5 - filled);
+}
+
+// Average rating and review count for a listing, or '' when it has no reviews
+function formatRating(item) {
+    if (!item.review_count) return '';
+    const average = Number(item.rating_average).toFixed(1);
+    return `
+        <span class="rating" title="${average} out of 5">
+            <span class="stars">${renderStars(item.rating_average)}</span>
+            ${average} (${item.review_count} review${item.review_count !== 1 ? 's' : ''})
+        </span>
+    `;
+}
+
+// Listings shortlisted for the compare page, kept across pages
+const MAX_COMPARE = 4;
+
+function getCompareIds() {
+    try {
+        return JSON.parse(localStorage.getItem('compareIds')) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function setCompareIds(ids) {
+    localStorage.setItem('compareIds', JSON.stringify(ids.slice(0, MAX_COMPARE)));
+}
+
+// Add or remove a listing from the shortlist; false if it is already full
+function toggleCompare(id) {
+    const ids = getCompareIds();
+    if (ids.includes(id)) {
+        setCompareIds(ids.filter(value => value !== id));
+        return true;
+    }
+    if (ids.length >= MAX_COMPARE) {
+        showToast(`You can compare up to ${MAX_COMPARE} chiropractors`, 'error');
+        return false;
+    }
+    setCompareIds([...ids, id]);
+    return true;
+}
+
+// "Save to list" control for a chiropractor or blog post page. item is
+// { chiropractor_id } or { blog_post_id }; savedListIds comes with the page
+// data and is only set when a patient is signed in.
+async function renderSaveControl(container, item, savedListIds) {
+    if (!savedListIds) {
+        container.innerHTML = `<a href="/saved?next=${encodeURIComponent(window.location.pathname)}">&#9825; Sign in to save</a>`;
+        return;
+    }
+
+    try {
+        const { lists } = await API.patients.getLists();
+        const saved = new Set(savedListIds);
+        const optionText = list => `${list.name}${saved.has(list.id) ? ' (saved)' : ''}`;
+
+        container.innerHTML = `
+            <select aria-label="List to save to">
+                ${lists.map(list => `<option value="${list.id}">${escapeHtml(optionText(list))}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-secondary btn-sm">Save</button>
+            <a href="/saved">My lists</a>
+        `;
+
+        container.querySelector('button').addEventListener('click', async () => {
+            const select = container.querySelector('select');
+            const listId = parseInt(select.value, 10);
+            try {
+                await API.patients.addItem(listId, item);
+                saved.add(listId);
+                select.selectedOptions[0].textContent = optionText(lists.find(list => list.id === listId));
+                showToast('Saved');
+            } catch (error) {
+                showToast(error.message || 'Failed to save', 'error');
+            }
+        });
+    } catch (error) {
+        console.error('Error loading lists:', error);
+        container.innerHTML = '';
+    }
+}
+
 function populateStateSelector(selectId) {
     const select = document.getElementById(selectId);
     if (!select) return;
@@ -223,6 +317,9 @@ window.formatDate = formatDate;
 window.getUrlParameter = getUrlParameter;
 window.escapeHtml = escapeHtml;
 window.populateStateSelector = populateStateSelector;
+window.getCompareIds = getCompareIds;
+window.setCompareIds = setCompareIds;
+window.toggleCompare = toggleCompare;
 window.showToast = showToast;
 window.showLoading = showLoading;
 window.showError = showError;
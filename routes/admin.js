@@ -7,8 +7,62 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const db = require('../config/database');
 const { verifyToken, isAdmin } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/validate');
+const {
+    paginationValidation,
+    moderationValidation,
+    reviewQueueValidation,
+    claimQueueValidation,
+    changeQueueValidation,
+    appointmentStatusValidation,
+    appointmentQueueValidation,
+    submissionQueueValidation,
+    duplicateQueueValidation,
+    duplicateMergeValidation,
+    importValidation,
+    subscriptionValidation,
+    campaignValidation,
+    campaignQueueValidation,
+    licenseValidation,
+    licenseQueueValidation,
+    dataQualityValidation,
+    exportValidation,
+    chiropractorValidation,
+    idValidation,
+    validateBody,
+    handleValidationErrors
+} = require('../middleware/validate');
+const { uploadSpreadsheet } = require('../middleware/upload');
 const { body, query } = require('express-validator');
+const { refreshRatingSummary } = require('../utils/reviews');
+const { savePrimaryLocation, syncChiropractorLocations } = require('../utils/locations');
+const { syncChiropractorSlug } = require('../utils/slugs');
+const { setChiropractorInsurance } = require('../utils/insurance');
+const { buildChiropractorValues } = require('../utils/chiropractors');
+const { getListingValues, diffChanges, applyChanges } = require('../utils/listingChanges');
+const { APPOINTMENT_FIELDS, findAppointment, setAppointmentStatus } = require('../utils/appointments');
+const { notifySubmitter } = require('../utils/submissions');
+const { MERGE_FIELDS, startDuplicateScan, getScanState, mergeListings } = require('../utils/duplicates');
+const {
+    MAX_IMPORT_ROWS,
+    IMPORT_FIELDS,
+    parseSpreadsheet,
+    autoMapColumns,
+    mapRow,
+    findExistingListings,
+    planRows
+} = require('../utils/imports');
+const { EXPORT_FORMATS, buildExportQuery, streamExport } = require('../utils/exports');
+const { FREE_PLAN, SUBSCRIPTION_FIELDS, getSubscriptions } = require('../utils/plans');
+const { CAMPAIGN_FIELDS, campaignStatusSql } = require('../utils/campaigns');
+const { PATIENT_ROLE } = require('../utils/patients');
+const { LICENSE_STATUSES, LICENSE_FIELDS, checkLicenses } = require('../utils/licenses');
+const {
+    COMPLETENESS_RULES,
+    QUALITY_CHECKS,
+    DATA_QUALITY_CTE,
+    DATA_QUALITY_SORTS,
+    getDataQualitySummary
+} = require('../utils/dataQuality');
 
 const router = express.Router();
 
@@ -20,14 +74,18 @@ router.use(isAdmin);
 router.get('/dashboard', async (req, res) => {
     try {
         const stats = await Promise.all([
-            db.query('SELECT COUNT(*) FROM chiropractors WHERE is_active = true'),
+            db.query(`SELECT COUNT(*) FROM chiropractors WHERE is_active = true AND listing_status = 'published'`),
             db.query('SELECT COUNT(*) FROM blog_posts WHERE is_published = true'),
-            db.query('SELECT COUNT(*) FROM users WHERE is_active = true'),
+            db.query(
+                `SELECT COUNT(*) FILTER (WHERE role != $1) AS count, COUNT(*) FILTER (WHERE role = $1) AS patients
+                 FROM users WHERE is_active = true`,
+                [PATIENT_ROLE]
+            ),
             db.query('SELECT SUM(views) FROM blog_posts'),
             db.query(`
                 SELECT state, COUNT(*) as count
                 FROM chiropractors
-                WHERE is_active = true
+                WHERE is_active = true AND listing_status = 'published'
                 GROUP BY state
                 ORDER BY count DESC
                 LIMIT 5
@@ -39,6 +97,21 @@ router.get('/dashboard', async (req, res) => {
                 ORDER BY views DESC
                 LIMIT 5
             `),
+            db.query(`SELECT COUNT(*) FROM reviews WHERE status = 'pending'`),
+            db.query(`SELECT COUNT(*) FROM listing_claims WHERE status = 'verified'`),
+            db.query(`SELECT COUNT(*) FROM listing_changes WHERE status = 'pending'`),
+            db.query(`
+                SELECT COUNT(*) FILTER (WHERE status = 'new') AS new,
+                       COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '30 days') AS recent
+                FROM appointment_requests
+            `),
+            db.query(`SELECT COUNT(*) FROM listing_submissions WHERE status = 'confirmed'`),
+            db.query(`SELECT COUNT(*) FROM duplicate_candidates WHERE status = 'open'`),
+            db.query(`
+                SELECT COUNT(*) FROM chiropractors
+                WHERE is_active = true AND license_status IN ('expiring', 'lapsed')
+            `),
+            getDataQualitySummary(),
             db.query(`
                 SELECT action, COUNT(*) as count
                 FROM audit_log
@@ -49,40 +122,1259 @@ router.get('/dashboard', async (req, res) => {
         ]);
 
         res.json({
-            totalChiropractors: parseInt(stats[0].rows[0].count),
-            totalBlogPosts: parseInt(stats[1].rows[0].count),
-            totalUsers: parseInt(stats[2].rows[0].count),
-            totalBlogViews: parseInt(stats[3].rows[0].sum) || 0,
-            topStates: stats[4].rows,
-            popularPosts: stats[5].rows,
-            recentActivity: stats[6].rows
+            totalChiropractors: parseInt(stats[0].rows[0].count),
+            totalBlogPosts: parseInt(stats[1].rows[0].count),
+            totalUsers: parseInt(stats[2].rows[0].count),
+            totalPatients: parseInt(stats[2].rows[0].patients),
+            totalBlogViews: parseInt(stats[3].rows[0].sum) || 0,
+            topStates: stats[4].rows,
+            popularPosts: stats[5].rows,
+            pendingReviews: parseInt(stats[6].rows[0].count),
+            pendingClaims: parseInt(stats[7].rows[0].count),
+            pendingChanges: parseInt(stats[8].rows[0].count),
+            newAppointments: parseInt(stats[9].rows[0].new),
+            appointmentsLast30Days: parseInt(stats[9].rows[0].recent),
+            pendingSubmissions: parseInt(stats[10].rows[0].count),
+            openDuplicates: parseInt(stats[11].rows[0].count),
+            licensesNeedingAttention: parseInt(stats[12].rows[0].count),
+            averageCompleteness: stats[13].average,
+            incompleteListings: stats[13].incomplete,
+            listingsWithDataIssues: stats[13].flagged,
+            recentActivity: stats[14].rows
+        });
+
+    } catch (error) {
+        console.error('Dashboard error:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard data' });
+    }
+});
+
+// Get all chiropractors (including inactive) for admin
+router.get('/chiropractors', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM chiropractors');
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT c.*, p.slug AS plan, p.name AS plan_name
+             FROM chiropractors c
+             JOIN listing_plans p ON p.id = listing_plan_id(c.id)
+             ORDER BY c.created_at DESC
+             LIMIT $1 OFFSET $2`,
+            [limit, offset]
+        );
+
+        res.json({
+            chiropractors: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get chiropractors error:', error);
+        res.status(500).json({ error: 'Failed to fetch chiropractors' });
+    }
+});
+
+// Get all blog posts (including unpublished) for admin
+router.get('/blog-posts', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM blog_posts');
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT * FROM blog_posts
+             ORDER BY created_at DESC
+             LIMIT $1 OFFSET $2`,
+            [limit, offset]
+        );
+
+        res.json({
+            posts: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get blog posts error:', error);
+        res.status(500).json({ error: 'Failed to fetch blog posts' });
+    }
+});
+
+// Import chiropractors from a CSV or XLSX file. Each row is validated like the
+// listing form and matched to an existing listing by email, then phone. A dry
+// run reports what every row would do; otherwise the whole file is applied in
+// one transaction, and a file with any invalid row imports nothing.
+router.post('/chiropractors/import', uploadSpreadsheet, importValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const sheet = await parseSpreadsheet(req.file);
+        if (!sheet) {
+            return res.status(400).json({ error: 'Uploads must be a CSV or XLSX file' });
+        }
+
+        if (sheet.rows.length === 0) {
+            return res.status(400).json({ error: 'The file has no data rows' });
+        }
+
+        if (sheet.rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+        }
+
+        const mapping = req.body.mapping || autoMapColumns(sheet.headers);
+
+        const unknownHeaders = Object.values(mapping).filter(header => !sheet.headers.includes(header));
+        if (unknownHeaders.length > 0) {
+            return res.status(400).json({ error: `Columns not found in the file: ${unknownHeaders.join(', ')}`, headers: sheet.headers, fields: IMPORT_FIELDS, mapping });
+        }
+
+        const missing = ['name', 'state', 'phone', 'email'].filter(field => !mapping[field]);
+        if (!mapping.street && !mapping.address) {
+            missing.push('street or address');
+        }
+        if (missing.length > 0) {
+            return res.status(400).json({ error: `Map a column to each required field: ${missing.join(', ')}`, headers: sheet.headers, fields: IMPORT_FIELDS, mapping });
+        }
+
+        const carriers = await client.query('SELECT id, name, slug FROM insurance_carriers');
+        const carriersByName = new Map(carriers.rows.flatMap(carrier => [
+            [carrier.name.toLowerCase(), carrier.id],
+            [carrier.slug, carrier.id]
+        ]));
+
+        const rows = [];
+        for (const { row, cells } of sheet.rows) {
+            const mapped = mapRow(cells, sheet.headers, mapping, carriersByName);
+            const validated = await validateBody(chiropractorValidation, mapped.body);
+            rows.push({ row, body: validated.body, errors: [...mapped.errors, ...validated.errors] });
+        }
+
+        await client.query('BEGIN');
+
+        planRows(rows, await findExistingListings(client, rows.filter(row => row.errors.length === 0)));
+
+        const summary = { rows: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+        rows.forEach(row => {
+            if (row.errors.length > 0) row.action = 'error';
+            summary[row.action]++;
+        });
+
+        if (req.body.dry_run || summary.error > 0) {
+            await client.query('ROLLBACK');
+
+            const report = rows.map(row => ({
+                row: row.row,
+                action: row.action,
+                chiropractor_id: row.listing ? row.listing.id : null,
+                name: row.body.name || null,
+                changes: row.changes ? Object.keys(row.changes) : [],
+                errors: row.errors
+            }));
+
+            if (!req.body.dry_run) {
+                return res.status(400).json({ error: 'The file has errors, so nothing was imported', summary, rows: report, mapping });
+            }
+
+            return res.json({ dry_run: true, summary, rows: report, headers: sheet.headers, fields: IMPORT_FIELDS, mapping });
+        }
+
+        const created = [];
+        const updated = [];
+
+        for (const row of rows) {
+            if (row.action === 'create') {
+                const values = buildChiropractorValues(row.body);
+                const columns = Object.keys(values);
+
+                const result = await client.query(
+                    `INSERT INTO chiropractors (${columns.join(', ')})
+                     VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+                     RETURNING id`,
+                    Object.values(values)
+                );
+                row.id = result.rows[0].id;
+
+                await savePrimaryLocation(client, row.id, values);
+                await syncChiropractorLocations(client, row.id);
+                await syncChiropractorSlug(client, row.id);
+
+                if (row.body.insurance_ids) {
+                    await setChiropractorInsurance(client, row.id, row.body.insurance_ids);
+                }
+
+                created.push(row.id);
+            } else if (row.action === 'update') {
+                const values = applyChanges(row.listing, row.changes);
+                const columns = Object.keys(values);
+                row.id = row.listing.id;
+
+                await client.query(
+                    `UPDATE chiropractors
+                     SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+                     WHERE id = $${columns.length + 1}`,
+                    [...Object.values(values), row.id]
+                );
+
+                await savePrimaryLocation(client, row.id, values);
+                await syncChiropractorLocations(client, row.id);
+                await syncChiropractorSlug(client, row.id);
+
+                if (row.changes.insurance_ids) {
+                    await setChiropractorInsurance(client, row.id, row.changes.insurance_ids);
+                }
+
+                updated.push(row.id);
+            }
+        }
+
+        // One entry covers the whole file
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, new_values, ip_address)
+             VALUES ($1, 'import', 'chiropractor', $2, $3)`,
+            [
+                req.user.id,
+                JSON.stringify({
+                    file: req.file.originalname,
+                    rows: rows.length,
+                    created,
+                    updated,
+                    unchanged: summary.unchanged,
+                    mapping
+                }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: `Imported ${rows.length} rows: ${created.length} created, ${updated.length} updated, ${summary.unchanged} unchanged`,
+            summary,
+            rows: rows.map(row => ({
+                row: row.row,
+                action: row.action,
+                chiropractor_id: row.id || (row.listing ? row.listing.id : null),
+                name: row.body.name
+            }))
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Import chiropractors error:', error);
+        res.status(500).json({ error: 'Failed to import chiropractors' });
+    } finally {
+        client.release();
+    }
+});
+
+// Restore soft-deleted chiropractor
+router.post('/chiropractors/:id/restore', async (req, res) => {
+    try {
+        // A merged listing lives on as the listing it was merged into
+        const merged = await db.query('SELECT merged_into_id FROM chiropractors WHERE id = $1', [req.params.id]);
+        if (merged.rows.length > 0 && merged.rows[0].merged_into_id) {
+            return res.status(400).json({ error: `This listing was merged into #${merged.rows[0].merged_into_id} and cannot be restored` });
+        }
+
+        const result = await db.query(
+            `UPDATE chiropractors SET is_active = true WHERE id = $1 RETURNING *`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, ip_address)
+             VALUES ($1, 'restore', 'chiropractor', $2, $3)`,
+            [req.user.id, req.params.id, req.ip]
+        );
+
+        res.json({
+            message: 'Chiropractor restored successfully',
+            chiropractor: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Restore chiropractor error:', error);
+        res.status(500).json({ error: 'Failed to restore chiropractor' });
+    }
+});
+
+// Permanently delete chiropractor
+router.delete('/chiropractors/:id/permanent', async (req, res) => {
+    try {
+        const current = await db.query('SELECT * FROM chiropractors WHERE id = $1', [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        await db.query('DELETE FROM chiropractors WHERE id = $1', [req.params.id]);
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
+             VALUES ($1, 'permanent_delete', 'chiropractor', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), req.ip]
+        );
+
+        res.json({ message: 'Chiropractor permanently deleted' });
+
+    } catch (error) {
+        console.error('Permanent delete chiropractor error:', error);
+        res.status(500).json({ error: 'Failed to delete chiropractor' });
+    }
+});
+
+// Get a listing's plan subscriptions, past, current and upcoming
+router.get('/chiropractors/:id/subscriptions', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const listing = await db.query(
+            `SELECT c.id, p.slug AS plan, p.name AS plan_name
+             FROM chiropractors c
+             JOIN listing_plans p ON p.id = listing_plan_id(c.id)
+             WHERE c.id = $1`,
+            [req.params.id]
+        );
+
+        if (listing.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        res.json({
+            plan: { slug: listing.rows[0].plan, name: listing.rows[0].plan_name },
+            subscriptions: await getSubscriptions(req.params.id)
+        });
+
+    } catch (error) {
+        console.error('Get subscriptions error:', error);
+        res.status(500).json({ error: 'Failed to fetch subscriptions' });
+    }
+});
+
+// Put a listing on a paid plan from starts_at (default now) until ends_at.
+// A renewal is a new subscription starting when the current one ends.
+router.post('/chiropractors/:id/subscriptions', subscriptionValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { plan_id: planId, starts_at: startsAt, ends_at: endsAt, note } = req.body;
+
+        const listing = await db.query(
+            'SELECT id, merged_into_id FROM chiropractors WHERE id = $1',
+            [req.params.id]
+        );
+        if (listing.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+        if (listing.rows[0].merged_into_id) {
+            return res.status(400).json({ error: `This listing was merged into #${listing.rows[0].merged_into_id}` });
+        }
+
+        const plan = await db.query('SELECT id, slug FROM listing_plans WHERE id = $1', [planId]);
+        if (plan.rows.length === 0) {
+            return res.status(400).json({ error: 'Plan not found' });
+        }
+        if (plan.rows[0].slug === FREE_PLAN) {
+            return res.status(400).json({ error: 'Listings are on the free plan whenever no subscription is in effect' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO chiropractor_subscriptions (chiropractor_id, plan_id, starts_at, ends_at, note, created_by)
+             VALUES ($1, $2, COALESCE($3::timestamptz, NOW()), $4, $5, $6)
+             RETURNING ${SUBSCRIPTION_FIELDS}`,
+            [req.params.id, planId, startsAt || null, endsAt, note || null, req.user.id]
+        );
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'subscribe', 'chiropractor', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.status(201).json({
+            message: 'Subscription added successfully',
+            subscription: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Create subscription error:', error);
+        res.status(500).json({ error: 'Failed to add subscription' });
+    }
+});
+
+// Cancel a subscription; the listing drops to its next best plan right away
+router.post('/subscriptions/:id/cancel', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE chiropractor_subscriptions SET cancelled_at = NOW()
+             WHERE id = $1 AND cancelled_at IS NULL
+             RETURNING ${SUBSCRIPTION_FIELDS}`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            const exists = await db.query('SELECT id FROM chiropractor_subscriptions WHERE id = $1', [req.params.id]);
+            return exists.rows.length === 0
+                ? res.status(404).json({ error: 'Subscription not found' })
+                : res.status(409).json({ error: 'This subscription is already cancelled' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'cancel_subscription', 'chiropractor', $2, $3, $4)`,
+            [req.user.id, result.rows[0].chiropractor_id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({
+            message: 'Subscription cancelled successfully',
+            subscription: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        res.status(500).json({ error: 'Failed to cancel subscription' });
+    }
+});
+
+// Why a listing cannot be featured in a state or city, or null when it can:
+// it must be live and have an office there
+const campaignListingError = async (chiropractorId, state, city) => {
+    const result = await db.query(
+        `SELECT c.is_active, c.listing_status, c.merged_into_id,
+                EXISTS (
+                    SELECT 1 FROM chiropractor_locations l
+                    WHERE l.chiropractor_id = c.id AND l.state = $2
+                      AND ($3::text IS NULL OR LOWER(l.city) = LOWER($3))
+                ) AS has_location
+         FROM chiropractors c
+         WHERE c.id = $1`,
+        [chiropractorId, state, city || null]
+    );
+
+    const listing = result.rows[0];
+    if (!listing) return 'Chiropractor not found';
+    if (!listing.is_active || listing.listing_status !== 'published' || listing.merged_into_id) {
+        return 'Only active, published listings can be featured';
+    }
+    if (!listing.has_location) {
+        return `The listing has no location in ${city ? `${city}, ` : ''}${state}`;
+    }
+    return null;
+};
+
+// Featured campaigns with their listing, status and impressions; running
+// campaigns first. Filter with status=upcoming|active|expired and state.
+router.get('/campaigns', paginationValidation, campaignQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const params = [];
+        const conditions = [];
+        if (req.query.status) {
+            params.push(req.query.status);
+            conditions.push(`${campaignStatusSql('fc')} = $${params.length}`);
+        }
+        if (req.query.state) {
+            params.push(req.query.state);
+            conditions.push(`fc.state = $${params.length}`);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [countResult, result] = await Promise.all([
+            db.query(
+                `SELECT ${campaignStatusSql('fc')} AS status, COUNT(*)::int AS count
+                 FROM featured_campaigns fc
+                 ${req.query.state ? 'WHERE fc.state = $1' : ''}
+                 GROUP BY 1`,
+                req.query.state ? [req.query.state] : []
+            ),
+            db.query(
+                `SELECT ${CAMPAIGN_FIELDS.split(',').map(field => `fc.${field.trim()}`).join(', ')},
+                        ${campaignStatusSql('fc')} AS status,
+                        c.name AS chiropractor_name, u.name AS created_by_name
+                 FROM featured_campaigns fc
+                 JOIN chiropractors c ON c.id = fc.chiropractor_id
+                 LEFT JOIN users u ON u.id = fc.created_by
+                 ${whereClause}
+                 ORDER BY CASE ${campaignStatusSql('fc')} WHEN 'active' THEN 0 WHEN 'upcoming' THEN 1 ELSE 2 END,
+                          fc.starts_at ASC, fc.id ASC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            )
+        ]);
+
+        const counts = { upcoming: 0, active: 0, expired: 0 };
+        countResult.rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+        const total = req.query.status ? counts[req.query.status] : counts.upcoming + counts.active + counts.expired;
+
+        res.json({
+            campaigns: result.rows,
+            counts,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get campaigns error:', error);
+        res.status(500).json({ error: 'Failed to fetch campaigns' });
+    }
+});
+
+// Schedule a featured campaign for a listing in a state, or one of its cities
+router.post('/campaigns', campaignValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { chiropractor_id: chiropractorId, state, city, starts_at: startsAt, ends_at: endsAt, note } = req.body;
+
+        const listingError = await campaignListingError(chiropractorId, state, city);
+        if (listingError) {
+            return res.status(400).json({ error: listingError });
+        }
+
+        const result = await db.query(
+            `INSERT INTO featured_campaigns (chiropractor_id, state, city, starts_at, ends_at, note, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING ${CAMPAIGN_FIELDS}`,
+            [chiropractorId, state, city || null, startsAt, endsAt, note || null, req.user.id]
+        );
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'create', 'featured_campaign', $2, $3, $4)`,
+            [req.user.id, result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.status(201).json({
+            message: 'Campaign scheduled successfully',
+            campaign: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Create campaign error:', error);
+        res.status(500).json({ error: 'Failed to schedule campaign' });
+    }
+});
+
+// Change a campaign's listing, place or dates; its impressions are kept.
+// Setting the end to now stops a running campaign.
+router.put('/campaigns/:id', idValidation, campaignValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { chiropractor_id: chiropractorId, state, city, starts_at: startsAt, ends_at: endsAt, note } = req.body;
+
+        const current = await db.query(`SELECT ${CAMPAIGN_FIELDS} FROM featured_campaigns WHERE id = $1`, [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        const listingError = await campaignListingError(chiropractorId, state, city);
+        if (listingError) {
+            return res.status(400).json({ error: listingError });
+        }
+
+        const result = await db.query(
+            `UPDATE featured_campaigns
+             SET chiropractor_id = $1, state = $2, city = $3, starts_at = $4, ends_at = $5, note = $6
+             WHERE id = $7
+             RETURNING ${CAMPAIGN_FIELDS}`,
+            [chiropractorId, state, city || null, startsAt, endsAt, note || null, req.params.id]
+        );
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update', 'featured_campaign', $2, $3, $4, $5)`,
+            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({
+            message: 'Campaign updated successfully',
+            campaign: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update campaign error:', error);
+        res.status(500).json({ error: 'Failed to update campaign' });
+    }
+});
+
+// Delete a campaign, e.g. one scheduled by mistake
+router.delete('/campaigns/:id', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `DELETE FROM featured_campaigns WHERE id = $1 RETURNING ${CAMPAIGN_FIELDS}`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Campaign not found' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
+             VALUES ($1, 'delete', 'featured_campaign', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({ message: 'Campaign deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete campaign error:', error);
+        res.status(500).json({ error: 'Failed to delete campaign' });
+    }
+});
+
+// Toggle blog post publish status
+router.post('/blog-posts/:id/toggle-publish', async (req, res) => {
+    try {
+        const current = await db.query('SELECT * FROM blog_posts WHERE id = $1', [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Blog post not found' });
+        }
+
+        const newStatus = !current.rows[0].is_published;
+        const publishedAt = newStatus ? (current.rows[0].published_at || new Date()) : null;
+
+        const result = await db.query(
+            `UPDATE blog_posts SET is_published = $1, published_at = $2 WHERE id = $3 RETURNING *`,
+            [newStatus, publishedAt, req.params.id]
+        );
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, $2, 'blog_post', $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                newStatus ? 'publish' : 'unpublish',
+                req.params.id,
+                JSON.stringify({ is_published: current.rows[0].is_published }),
+                JSON.stringify({ is_published: newStatus }),
+                req.ip
+            ]
+        );
+
+        res.json({
+            message: `Blog post ${newStatus ? 'published' : 'unpublished'} successfully`,
+            post: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Toggle publish error:', error);
+        res.status(500).json({ error: 'Failed to toggle publish status' });
+    }
+});
+
+// Review moderation queue, oldest first (pending by default)
+router.get('/reviews', paginationValidation, reviewQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM reviews WHERE status = $1', [status]);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT r.*, c.name AS chiropractor_name, u.name AS moderated_by_name
+             FROM reviews r
+             JOIN chiropractors c ON c.id = r.chiropractor_id
+             LEFT JOIN users u ON u.id = r.moderated_by
+             WHERE r.status = $1
+             ORDER BY r.created_at ASC
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+
+        res.json({
+            reviews: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reviews queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Move a review to a moderation status and refresh the listing's rating
+const moderateReview = (status, action) => async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const current = await client.query('SELECT * FROM reviews WHERE id = $1', [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE reviews
+             SET status = $1, moderation_note = $2, moderated_by = $3, moderated_at = NOW()
+             WHERE id = $4
+             RETURNING *`,
+            [status, req.body.note || null, req.user.id, req.params.id]
+        );
+
+        await refreshRatingSummary(client, current.rows[0].chiropractor_id);
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, $2, 'review', $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                action,
+                req.params.id,
+                JSON.stringify({ status: current.rows[0].status }),
+                JSON.stringify({ status, note: req.body.note || null }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: `Review ${status} successfully`,
+            review: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Moderate review (${status}) error:`, error);
+        res.status(500).json({ error: 'Failed to update review' });
+    } finally {
+        client.release();
+    }
+};
+
+// Approve, reject or flag a review; only approved reviews are public
+router.post('/reviews/:id/approve', moderationValidation, handleValidationErrors, moderateReview('approved', 'approve_review'));
+router.post('/reviews/:id/reject', moderationValidation, handleValidationErrors, moderateReview('rejected', 'reject_review'));
+router.post('/reviews/:id/flag', moderationValidation, handleValidationErrors, moderateReview('flagged', 'flag_review'));
+
+// Listing claims queue, oldest first (verified claims awaiting approval by default)
+router.get('/claims', paginationValidation, claimQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const status = req.query.status || 'verified';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM listing_claims WHERE status = $1', [status]);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT lc.id, lc.chiropractor_id, lc.user_id, lc.status, lc.verified_at, lc.reviewed_at,
+                    lc.review_note, lc.ip_address, lc.created_at,
+                    c.name AS chiropractor_name, c.email AS listing_email,
+                    u.name AS claimant_name, u.email AS claimant_email,
+                    reviewer.name AS reviewed_by_name
+             FROM listing_claims lc
+             JOIN chiropractors c ON c.id = lc.chiropractor_id
+             JOIN users u ON u.id = lc.user_id
+             LEFT JOIN users reviewer ON reviewer.id = lc.reviewed_by
+             WHERE lc.status = $1
+             ORDER BY lc.created_at ASC
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+
+        res.json({
+            claims: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get claims queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch claims' });
+    }
+});
+
+// Move a claim from one of the allowed statuses to another. Approving makes the
+// claimant the listing's owner; revoking removes them.
+const reviewClaim = (status, action, fromStatuses) => async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const current = await client.query('SELECT * FROM listing_claims WHERE id = $1', [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Claim not found' });
+        }
+
+        const claim = current.rows[0];
+        if (!fromStatuses.includes(claim.status)) {
+            return res.status(400).json({ error: `Cannot ${action.replace('_claim', '')} a claim that is ${claim.status}` });
+        }
+
+        await client.query('BEGIN');
+
+        if (status === 'approved') {
+            const listing = await client.query(
+                'UPDATE chiropractors SET claimed_by = $1, claimed_at = NOW() WHERE id = $2 AND claimed_by IS NULL RETURNING id',
+                [claim.user_id, claim.chiropractor_id]
+            );
+            if (listing.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: 'This listing has already been claimed' });
+            }
+        }
+
+        if (status === 'revoked') {
+            await client.query(
+                'UPDATE chiropractors SET claimed_by = NULL, claimed_at = NULL WHERE id = $1 AND claimed_by = $2',
+                [claim.chiropractor_id, claim.user_id]
+            );
+        }
+
+        const result = await client.query(
+            `UPDATE listing_claims
+             SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = NOW()
+             WHERE id = $4
+             RETURNING id, chiropractor_id, user_id, status, review_note, reviewed_at`,
+            [status, req.body.note || null, req.user.id, claim.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, $2, 'listing_claim', $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                action,
+                claim.id,
+                JSON.stringify({ status: claim.status }),
+                JSON.stringify({ status, note: req.body.note || null, chiropractor_id: claim.chiropractor_id }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: `Claim ${status} successfully`,
+            claim: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Review claim (${status}) error:`, error);
+        res.status(500).json({ error: 'Failed to update claim' });
+    } finally {
+        client.release();
+    }
+};
+
+// Approve a verified claim, reject an open one, or revoke an approved one
+router.post('/claims/:id/approve', moderationValidation, handleValidationErrors, reviewClaim('approved', 'approve_claim', ['verified']));
+router.post('/claims/:id/reject', moderationValidation, handleValidationErrors, reviewClaim('rejected', 'reject_claim', ['unverified', 'verified']));
+router.post('/claims/:id/revoke', moderationValidation, handleValidationErrors, reviewClaim('revoked', 'revoke_claim', ['approved']));
+
+// Submitted practices queue, oldest first (confirmed submissions awaiting review by default)
+router.get('/submissions', paginationValidation, submissionQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const status = req.query.status || 'confirmed';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM listing_submissions WHERE status = $1', [status]);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT ls.id, ls.chiropractor_id, ls.submitter_name, ls.submitter_email, ls.status,
+                    ls.confirmed_at, ls.reviewed_at, ls.review_note, ls.ip_address, ls.created_at,
+                    c.name, c.address, c.phone, c.email, c.website, c.specialty, c.description,
+                    c.listing_status,
+                    reviewer.name AS reviewed_by_name
+             FROM listing_submissions ls
+             JOIN chiropractors c ON c.id = ls.chiropractor_id
+             LEFT JOIN users reviewer ON reviewer.id = ls.reviewed_by
+             WHERE ls.status = $1
+             ORDER BY ls.created_at ASC
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+
+        res.json({
+            submissions: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get submissions queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch submissions' });
+    }
+});
+
+// Publish or reject a submitted practice. Admins can edit the pending listing
+// through PUT /api/chiropractors/:id first; the submitter is emailed either way.
+const reviewSubmission = (status, action, fromStatuses) => async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const current = await client.query(
+            `SELECT ls.*, c.name
+             FROM listing_submissions ls
+             JOIN chiropractors c ON c.id = ls.chiropractor_id
+             WHERE ls.id = $1`,
+            [req.params.id]
+        );
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const submission = current.rows[0];
+        if (!fromStatuses.includes(submission.status)) {
+            return res.status(400).json({ error: `Cannot ${action.replace('_submission', '')} a submission that is ${submission.status}` });
+        }
+
+        await client.query('BEGIN');
+
+        // A submitted listing gets its slug, and so its public URL, only when
+        // published; a rejected one gives up any slug an admin edit gave it
+        await client.query(
+            `UPDATE chiropractors SET listing_status = $1, slug = CASE WHEN $1 = 'rejected' THEN NULL ELSE slug END
+             WHERE id = $2`,
+            [status === 'approved' ? 'published' : 'rejected', submission.chiropractor_id]
+        );
+
+        if (status === 'approved') {
+            await syncChiropractorSlug(client, submission.chiropractor_id);
+        }
+
+        const result = await client.query(
+            `UPDATE listing_submissions
+             SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = NOW(),
+                 token_hash = NULL, token_expires_at = NULL
+             WHERE id = $4
+             RETURNING id, chiropractor_id, submitter_name, submitter_email, status, review_note, reviewed_at`,
+            [status, req.body.note || null, req.user.id, submission.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, $2, 'listing_submission', $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                action,
+                submission.id,
+                JSON.stringify({ status: submission.status }),
+                JSON.stringify({ status, note: req.body.note || null, chiropractor_id: submission.chiropractor_id }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        try {
+            await notifySubmitter(result.rows[0], { id: submission.chiropractor_id, name: submission.name });
+        } catch (error) {
+            console.error('Submission notification error:', error);
+        }
+
+        res.json({
+            message: `Submission ${status} successfully`,
+            submission: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Review submission (${status}) error:`, error);
+        res.status(500).json({ error: 'Failed to update submission' });
+    } finally {
+        client.release();
+    }
+};
+
+// Publish a confirmed submission, or reject one at any point before review
+router.post('/submissions/:id/approve', moderationValidation, handleValidationErrors, reviewSubmission('approved', 'approve_submission', ['confirmed']));
+router.post('/submissions/:id/reject', moderationValidation, handleValidationErrors, reviewSubmission('rejected', 'reject_submission', ['unconfirmed', 'confirmed']));
+
+// Listing details shown side by side when comparing a duplicate pair
+const PAIR_LISTING_COLUMNS = ['id', ...MERGE_FIELDS, 'is_active', 'listing_status', 'review_count', 'merged_into_id', 'created_at'];
+const pairListing = (alias) => `json_build_object(
+    ${PAIR_LISTING_COLUMNS.map(column => `'${column}', ${alias}.${column}`).join(', ')},
+    'is_claimed', ${alias}.claimed_by IS NOT NULL
+)`;
+
+// Likely duplicate listings, highest score first, with the state of the background scan
+router.get('/duplicates', paginationValidation, duplicateQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM duplicate_candidates WHERE status = $1', [status]);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT dc.id, dc.score::float8 AS score, dc.signals, dc.status, dc.detected_at, dc.reviewed_at,
+                    reviewer.name AS reviewed_by_name,
+                    ${pairListing('a')} AS listing_a,
+                    ${pairListing('b')} AS listing_b
+             FROM duplicate_candidates dc
+             JOIN chiropractors a ON a.id = dc.chiropractor_id_a
+             JOIN chiropractors b ON b.id = dc.chiropractor_id_b
+             LEFT JOIN users reviewer ON reviewer.id = dc.reviewed_by
+             WHERE dc.status = $1
+             ORDER BY dc.score DESC, dc.detected_at DESC
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+
+        res.json({
+            duplicates: result.rows,
+            mergeFields: MERGE_FIELDS,
+            scan: getScanState(),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get duplicates error:', error);
+        res.status(500).json({ error: 'Failed to fetch duplicate listings' });
+    }
+});
+
+// Start a duplicate scan in the background; poll GET /duplicates for its result
+router.post('/duplicates/scan', async (req, res) => {
+    if (!startDuplicateScan()) {
+        return res.status(409).json({ error: 'A duplicate scan is already running', scan: getScanState() });
+    }
+
+    res.status(202).json({
+        message: 'Duplicate scan started',
+        scan: getScanState()
+    });
+});
+
+// Mark a pair as not duplicates; later scans leave it dismissed
+router.post('/duplicates/:id/dismiss', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE duplicate_candidates
+             SET status = 'dismissed', reviewed_by = $1, reviewed_at = NOW()
+             WHERE id = $2 AND status = 'open'
+             RETURNING id, chiropractor_id_a, chiropractor_id_b, status`,
+            [req.user.id, req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            const existing = await db.query('SELECT status FROM duplicate_candidates WHERE id = $1', [req.params.id]);
+            return existing.rows.length === 0
+                ? res.status(404).json({ error: 'Duplicate pair not found' })
+                : res.status(400).json({ error: `Cannot dismiss a pair that is ${existing.rows[0].status}` });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'dismiss_duplicate', 'duplicate_candidate', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                result.rows[0].id,
+                JSON.stringify({ status: 'open' }),
+                JSON.stringify(result.rows[0]),
+                req.ip
+            ]
+        );
+
+        res.json({
+            message: 'Pair dismissed',
+            duplicate: result.rows[0]
         });
 
     } catch (error) {
-        console.error('Dashboard error:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard data' });
+        console.error('Dismiss duplicate error:', error);
+        res.status(500).json({ error: 'Failed to dismiss duplicate pair' });
     }
 });
 
-// Get all chiropractors (including inactive) for admin
-router.get('/chiropractors', async (req, res) => {
+// Merge a pair: keep_id survives with the chosen field values and the other
+// listing's child records; the other listing is soft-deleted and redirects
+router.post('/duplicates/:id/merge', duplicateMergeValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Claiming the open pair first stops it being merged twice
+        const pairResult = await client.query(
+            `UPDATE duplicate_candidates
+             SET status = 'merged', reviewed_by = $1, reviewed_at = NOW()
+             WHERE id = $2 AND status = 'open'
+             RETURNING id, chiropractor_id_a, chiropractor_id_b, score::float8 AS score, signals, status`,
+            [req.user.id, req.params.id]
+        );
+
+        if (pairResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            const existing = await db.query('SELECT status FROM duplicate_candidates WHERE id = $1', [req.params.id]);
+            return existing.rows.length === 0
+                ? res.status(404).json({ error: 'Duplicate pair not found' })
+                : res.status(400).json({ error: `Cannot merge a pair that is ${existing.rows[0].status}` });
+        }
+
+        const pair = pairResult.rows[0];
+        const keepId = req.body.keep_id;
+
+        if (keepId !== pair.chiropractor_id_a && keepId !== pair.chiropractor_id_b) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The listing to keep must be one of the pair' });
+        }
+
+        const mergeId = keepId === pair.chiropractor_id_a ? pair.chiropractor_id_b : pair.chiropractor_id_a;
+
+        // Either listing may have been deleted or merged since the scan
+        const active = await client.query(
+            `SELECT id FROM chiropractors
+             WHERE id = ANY($1::int[]) AND is_active = true AND merged_into_id IS NULL
+             FOR UPDATE`,
+            [[keepId, mergeId]]
+        );
+        if (active.rows.length < 2) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Both listings must still be active to merge them' });
+        }
+
+        const merged = await mergeListings(client, { keepId, mergeId, choices: req.body.choices });
+
+        // Log the action against both listings
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'merge', 'chiropractor', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                keepId,
+                JSON.stringify(merged.previous.keep),
+                JSON.stringify({
+                    ...merged.listing,
+                    merged_id: mergeId,
+                    choices: merged.choices,
+                    moved: merged.moved,
+                    duplicate_candidate_id: pair.id
+                }),
+                req.ip
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'merge_into', 'chiropractor', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                mergeId,
+                JSON.stringify(merged.previous.merge),
+                JSON.stringify({ is_active: false, merged_into_id: keepId }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Listings merged successfully',
+            chiropractor: merged.listing,
+            merged_id: mergeId,
+            moved: merged.moved
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Merge duplicates error:', error);
+        res.status(500).json({ error: 'Failed to merge listings' });
+    } finally {
+        client.release();
+    }
+});
+
+// License review queue: active listings by license status, those needing
+// attention first. Filter with status=unverified|verified|expiring|lapsed|rejected.
+router.get('/licenses', paginationValidation, licenseQueueValidation, handleValidationErrors, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
         const offset = (page - 1) * limit;
 
-        const countResult = await db.query('SELECT COUNT(*) FROM chiropractors');
-        const total = parseInt(countResult.rows[0].count);
+        const params = [];
+        let statusCondition = '';
+        if (req.query.status) {
+            params.push(req.query.status);
+            statusCondition = `AND c.license_status = $${params.length}`;
+        }
 
-        const result = await db.query(
-            `SELECT * FROM chiropractors
-             ORDER BY created_at DESC
-             LIMIT $1 OFFSET $2`,
-            [limit, offset]
-        );
+        const [countResult, result] = await Promise.all([
+            db.query(
+                `SELECT license_status AS status, COUNT(*)::int AS count
+                 FROM chiropractors
+                 WHERE is_active = true
+                 GROUP BY 1`
+            ),
+            db.query(
+                `SELECT c.id, c.name, c.slug, c.city, c.state, c.claimed_by IS NOT NULL AS is_claimed,
+                        ${LICENSE_FIELDS},
+                        verifier.name AS license_verified_by_name
+                 FROM chiropractors c
+                 LEFT JOIN users verifier ON verifier.id = c.license_verified_by
+                 WHERE c.is_active = true ${statusCondition}
+                 ORDER BY CASE c.license_status WHEN 'lapsed' THEN 0 WHEN 'expiring' THEN 1 WHEN 'unverified' THEN 2 ELSE 3 END,
+                          c.license_expires_on ASC NULLS LAST, c.name ASC, c.id ASC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            )
+        ]);
+
+        const counts = Object.fromEntries(LICENSE_STATUSES.map(status => [status, 0]));
+        countResult.rows.forEach(row => {
+            counts[row.status] = row.count;
+        });
+        const total = req.query.status
+            ? counts[req.query.status]
+            : Object.values(counts).reduce((sum, count) => sum + count, 0);
 
         res.json({
-            chiropractors: result.rows,
+            licenses: result.rows,
+            counts,
             pagination: {
                 page,
                 limit,
@@ -92,30 +1384,148 @@ router.get('/chiropractors', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Admin get chiropractors error:', error);
-        res.status(500).json({ error: 'Failed to fetch chiropractors' });
+        console.error('Get licenses error:', error);
+        res.status(500).json({ error: 'Failed to fetch licenses' });
     }
 });
 
-// Get all blog posts (including unpublished) for admin
-router.get('/blog-posts', async (req, res) => {
+// Run the daily license check now
+router.post('/licenses/check', async (req, res) => {
+    try {
+        const result = await checkLicenses();
+
+        res.json({
+            message: `${result.expiring} licenses flagged as expiring, ${result.lapsed} as lapsed`,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Check licenses error:', error);
+        res.status(500).json({ error: 'Failed to check licenses' });
+    }
+});
+
+// Record a license review. Verifying stamps the admin and time; the evidence
+// note says how the license was checked, e.g. the state board lookup.
+router.put('/chiropractors/:id/license', licenseValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const existing = await db.query(
+            `SELECT ${LICENSE_FIELDS} FROM chiropractors WHERE id = $1 AND is_active = true`,
+            [req.params.id]
+        );
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        const status = req.body.license_status;
+        const result = await db.query(
+            `UPDATE chiropractors
+             SET license_number = $1, license_state = $2, license_expires_on = $3, license_status = $4,
+                 license_evidence_note = $5, license_reverify_on = $6,
+                 license_verified_at = CASE WHEN $4 = 'verified' THEN NOW() END,
+                 license_verified_by = CASE WHEN $4 = 'verified' THEN $7::int END,
+                 updated_at = NOW()
+             WHERE id = $8
+             RETURNING id, ${LICENSE_FIELDS}`,
+            [
+                req.body.license_number || null,
+                req.body.license_state || null,
+                req.body.license_expires_on || null,
+                status,
+                req.body.license_evidence_note || null,
+                req.body.license_reverify_on || null,
+                req.user.id,
+                req.params.id
+            ]
+        );
+
+        const actions = { verified: 'verify_license', rejected: 'reject_license', unverified: 'update_license' };
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, $2, 'chiropractor', $3, $4, $5, $6)`,
+            [
+                req.user.id,
+                actions[status],
+                req.params.id,
+                JSON.stringify(existing.rows[0]),
+                JSON.stringify(result.rows[0]),
+                req.ip
+            ]
+        );
+
+        res.json({
+            message: status === 'verified' ? 'License verified' : 'License updated',
+            license: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update license error:', error);
+        res.status(500).json({ error: 'Failed to update license' });
+    }
+});
+
+// Data-quality report: active listings with their completeness score and
+// issues, lowest score first. Filter with issue=<type>, min_score and
+// max_score; order=score|score_desc|issues|name. The summary covers every
+// active listing, whatever the filters.
+router.get('/data-quality', paginationValidation, dataQualityValidation, handleValidationErrors, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 20;
+        const limit = parseInt(req.query.limit) || 50;
         const offset = (page - 1) * limit;
+        const order = req.query.order || 'score';
 
-        const countResult = await db.query('SELECT COUNT(*) FROM blog_posts');
-        const total = parseInt(countResult.rows[0].count);
+        const params = [];
+        const conditions = [];
+        if (req.query.issue) {
+            params.push(req.query.issue);
+            conditions.push(`$${params.length} = ANY(issues)`);
+        }
+        if (req.query.min_score) {
+            params.push(parseInt(req.query.min_score));
+            conditions.push(`completeness_score >= $${params.length}`);
+        }
+        if (req.query.max_score) {
+            params.push(parseInt(req.query.max_score));
+            conditions.push(`completeness_score <= $${params.length}`);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
+        // One query, so every listing is scored once for the summary, the
+        // filtered total and the page
         const result = await db.query(
-            `SELECT * FROM blog_posts
-             ORDER BY created_at DESC
-             LIMIT $1 OFFSET $2`,
-            [limit, offset]
+            `${DATA_QUALITY_CTE},
+             matching AS (
+                 SELECT * FROM scored ${whereClause}
+             ),
+             page AS (
+                 SELECT * FROM matching
+                 ORDER BY ${DATA_QUALITY_SORTS[order]}, name ASC, id ASC
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+             )
+             SELECT (SELECT COUNT(*)::int FROM scored) AS listing_count,
+                    (SELECT COALESCE(ROUND(AVG(completeness_score)), 0)::int FROM scored) AS average_score,
+                    (SELECT COALESCE(json_object_agg(issue, issue_count), '{}')
+                     FROM (SELECT issue, COUNT(*)::int AS issue_count FROM scored, UNNEST(issues) AS issue GROUP BY issue) issue_counts
+                    ) AS by_issue,
+                    (SELECT COUNT(*)::int FROM matching) AS total,
+                    (SELECT COALESCE(json_agg(page ORDER BY ${DATA_QUALITY_SORTS[order]}, name ASC, id ASC), '[]') FROM page) AS listings`,
+            [...params, limit, offset]
         );
 
+        const report = result.rows[0];
+        const total = report.total;
+
         res.json({
-            posts: result.rows,
+            listings: report.listings,
+            summary: {
+                listings: report.listing_count,
+                average_score: report.average_score,
+                by_issue: report.by_issue
+            },
+            rules: COMPLETENESS_RULES.map(({ key, label, weight }) => ({ key, label, weight })),
+            checks: QUALITY_CHECKS.map(({ key, label }) => ({ key, label })),
             pagination: {
                 page,
                 limit,
@@ -125,101 +1535,277 @@ router.get('/blog-posts', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Admin get blog posts error:', error);
-        res.status(500).json({ error: 'Failed to fetch blog posts' });
+        console.error('Get data quality error:', error);
+        res.status(500).json({ error: 'Failed to fetch data quality report' });
     }
 });
 
-// Restore soft-deleted chiropractor
-router.post('/chiropractors/:id/restore', async (req, res) => {
+// Listing changes queue, oldest first, with each proposal diffed against the live listing
+router.get('/listing-changes', paginationValidation, changeQueueValidation, handleValidationErrors, async (req, res) => {
     try {
+        const status = req.query.status || 'pending';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query('SELECT COUNT(*) FROM listing_changes WHERE status = $1', [status]);
+        const total = parseInt(countResult.rows[0].count);
+
         const result = await db.query(
-            `UPDATE chiropractors SET is_active = true WHERE id = $1 RETURNING *`,
-            [req.params.id]
+            `SELECT lc.id, lc.chiropractor_id, lc.user_id, lc.changes, lc.status, lc.reviewed_at,
+                    lc.review_note, lc.created_at,
+                    c.name AS chiropractor_name,
+                    u.name AS proposed_by_name, u.email AS proposed_by_email,
+                    reviewer.name AS reviewed_by_name
+             FROM listing_changes lc
+             JOIN chiropractors c ON c.id = lc.chiropractor_id
+             JOIN users u ON u.id = lc.user_id
+             LEFT JOIN users reviewer ON reviewer.id = lc.reviewed_by
+             WHERE lc.status = $1
+             ORDER BY lc.created_at ASC
+             LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Chiropractor not found' });
-        }
+        const listings = await getListingValues(db, result.rows.map(change => change.chiropractor_id));
 
-        await db.query(
-            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, ip_address)
-             VALUES ($1, 'restore', 'chiropractor', $2, $3)`,
-            [req.user.id, req.params.id, req.ip]
-        );
+        // Carrier IDs are shown by name
+        const carriersResult = await db.query('SELECT id, name FROM insurance_carriers');
+        const carrierNames = new Map(carriersResult.rows.map(carrier => [carrier.id, carrier.name]));
+        const describeCarriers = (ids) => (ids || []).map(id => carrierNames.get(id) || `#${id}`).sort();
 
         res.json({
-            message: 'Chiropractor restored successfully',
-            chiropractor: result.rows[0]
+            changes: result.rows.map(change => ({
+                ...change,
+                diff: diffChanges(listings.get(change.chiropractor_id), change.changes).map(entry => (
+                    entry.field === 'insurance_ids'
+                        ? { field: 'insurance', current: describeCarriers(entry.current), proposed: describeCarriers(entry.proposed) }
+                        : entry
+                ))
+            })),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
         });
 
     } catch (error) {
-        console.error('Restore chiropractor error:', error);
-        res.status(500).json({ error: 'Failed to restore chiropractor' });
+        console.error('Get listing changes queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch listing changes' });
     }
 });
 
-// Permanently delete chiropractor
-router.delete('/chiropractors/:id/permanent', async (req, res) => {
+// Apply a pending change to the live listing, logged like a direct admin edit
+router.post('/listing-changes/:id/approve', moderationValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
     try {
-        const current = await db.query('SELECT * FROM chiropractors WHERE id = $1', [req.params.id]);
-        if (current.rows.length === 0) {
-            return res.status(404).json({ error: 'Chiropractor not found' });
+        await client.query('BEGIN');
+
+        // Claiming the pending row first stops a change being applied twice
+        const changeResult = await client.query(
+            `UPDATE listing_changes
+             SET status = 'approved', review_note = $1, reviewed_by = $2, reviewed_at = NOW()
+             WHERE id = $3 AND status = 'pending'
+             RETURNING id, chiropractor_id, user_id, changes, status, review_note, reviewed_at`,
+            [req.body.note || null, req.user.id, req.params.id]
+        );
+
+        if (changeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            const existing = await db.query('SELECT status FROM listing_changes WHERE id = $1', [req.params.id]);
+            return existing.rows.length === 0
+                ? res.status(404).json({ error: 'Listing change not found' })
+                : res.status(400).json({ error: `Cannot approve a change that is ${existing.rows[0].status}` });
         }
 
-        await db.query('DELETE FROM chiropractors WHERE id = $1', [req.params.id]);
+        const change = changeResult.rows[0];
+        const listings = await getListingValues(client, [change.chiropractor_id]);
+        const current = listings.get(change.chiropractor_id);
 
-        await db.query(
-            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
-             VALUES ($1, 'permanent_delete', 'chiropractor', $2, $3, $4)`,
-            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), req.ip]
+        const values = applyChanges(current, change.changes);
+        const columns = Object.keys(values);
+
+        const result = await client.query(
+            `UPDATE chiropractors
+             SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+             WHERE id = $${columns.length + 1}
+             RETURNING *`,
+            [...Object.values(values), change.chiropractor_id]
         );
 
-        res.json({ message: 'Chiropractor permanently deleted' });
+        await savePrimaryLocation(client, change.chiropractor_id, values);
+        await syncChiropractorLocations(client, change.chiropractor_id);
+        result.rows[0].slug = await syncChiropractorSlug(client, change.chiropractor_id);
+
+        if (change.changes.insurance_ids) {
+            await setChiropractorInsurance(client, change.chiropractor_id, change.changes.insurance_ids);
+        }
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update', 'chiropractor', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                change.chiropractor_id,
+                JSON.stringify(current),
+                JSON.stringify({
+                    ...result.rows[0],
+                    insurance_ids: change.changes.insurance_ids || current.insurance_ids,
+                    listing_change_id: change.id
+                }),
+                req.ip
+            ]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'approve_change', 'listing_change', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                change.id,
+                JSON.stringify({ status: 'pending' }),
+                JSON.stringify({ status: 'approved', note: req.body.note || null, chiropractor_id: change.chiropractor_id }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Listing change approved successfully',
+            change,
+            chiropractor: result.rows[0]
+        });
 
     } catch (error) {
-        console.error('Permanent delete chiropractor error:', error);
-        res.status(500).json({ error: 'Failed to delete chiropractor' });
+        await client.query('ROLLBACK');
+        console.error('Approve listing change error:', error);
+        res.status(500).json({ error: 'Failed to approve listing change' });
+    } finally {
+        client.release();
     }
 });
 
-// Toggle blog post publish status
-router.post('/blog-posts/:id/toggle-publish', async (req, res) => {
+// Reject a pending change; the note is shown to the practitioner
+router.post('/listing-changes/:id/reject', moderationValidation, handleValidationErrors, async (req, res) => {
     try {
-        const current = await db.query('SELECT * FROM blog_posts WHERE id = $1', [req.params.id]);
+        const current = await db.query('SELECT id, chiropractor_id, status FROM listing_changes WHERE id = $1', [req.params.id]);
         if (current.rows.length === 0) {
-            return res.status(404).json({ error: 'Blog post not found' });
+            return res.status(404).json({ error: 'Listing change not found' });
         }
 
-        const newStatus = !current.rows[0].is_published;
-        const publishedAt = newStatus ? (current.rows[0].published_at || new Date()) : null;
+        const change = current.rows[0];
+        if (change.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot reject a change that is ${change.status}` });
+        }
 
         const result = await db.query(
-            `UPDATE blog_posts SET is_published = $1, published_at = $2 WHERE id = $3 RETURNING *`,
-            [newStatus, publishedAt, req.params.id]
+            `UPDATE listing_changes
+             SET status = 'rejected', review_note = $1, reviewed_by = $2, reviewed_at = NOW()
+             WHERE id = $3
+             RETURNING id, chiropractor_id, user_id, changes, status, review_note, reviewed_at`,
+            [req.body.note || null, req.user.id, change.id]
         );
 
         await db.query(
             `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
-             VALUES ($1, $2, 'blog_post', $3, $4, $5, $6)`,
+             VALUES ($1, 'reject_change', 'listing_change', $2, $3, $4, $5)`,
             [
                 req.user.id,
-                newStatus ? 'publish' : 'unpublish',
-                req.params.id,
-                JSON.stringify({ is_published: current.rows[0].is_published }),
-                JSON.stringify({ is_published: newStatus }),
+                change.id,
+                JSON.stringify({ status: change.status }),
+                JSON.stringify({ status: 'rejected', note: req.body.note || null, chiropractor_id: change.chiropractor_id }),
                 req.ip
             ]
         );
 
         res.json({
-            message: `Blog post ${newStatus ? 'published' : 'unpublished'} successfully`,
-            post: result.rows[0]
+            message: 'Listing change rejected successfully',
+            change: result.rows[0]
         });
 
     } catch (error) {
-        console.error('Toggle publish error:', error);
-        res.status(500).json({ error: 'Failed to toggle publish status' });
+        console.error('Reject listing change error:', error);
+        res.status(500).json({ error: 'Failed to reject listing change' });
+    }
+});
+
+// Appointment requests across all listings, newest first
+router.get('/appointments', paginationValidation, appointmentQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const offset = (page - 1) * limit;
+
+        const params = [];
+        let whereClause = '';
+        if (req.query.status) {
+            params.push(req.query.status);
+            whereClause = 'WHERE ar.status = $1';
+        }
+
+        const countResult = await db.query(`SELECT COUNT(*) FROM appointment_requests ar ${whereClause}`, params);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT ${APPOINTMENT_FIELDS.split(',').map(field => `ar.${field.trim()}`).join(', ')},
+                    c.name AS chiropractor_name, c.claimed_by IS NOT NULL AS is_claimed,
+                    updater.name AS updated_by_name
+             FROM appointment_requests ar
+             JOIN chiropractors c ON c.id = ar.chiropractor_id
+             LEFT JOIN users updater ON updater.id = ar.updated_by
+             ${whereClause}
+             ORDER BY ar.created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            appointments: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get appointments error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment requests' });
+    }
+});
+
+// Update an appointment request's status on the practice's behalf; the patient is emailed
+router.post('/appointments/:id/status', appointmentStatusValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const request = await findAppointment(req.params.id);
+        if (!request) {
+            return res.status(404).json({ error: 'Appointment request not found' });
+        }
+
+        if (request.status === req.body.status) {
+            return res.status(400).json({ error: `This request is already ${request.status}` });
+        }
+
+        const appointment = await setAppointmentStatus(request, {
+            status: req.body.status,
+            note: req.body.note,
+            userId: req.user.id,
+            ip: req.ip
+        });
+
+        res.json({
+            message: `Request marked ${appointment.status}. The patient has been notified.`,
+            appointment
+        });
+
+    } catch (error) {
+        console.error('Update appointment status error:', error);
+        res.status(500).json({ error: 'Failed to update appointment request' });
     }
 });
 
@@ -258,13 +1844,15 @@ router.get('/audit-log', async (req, res) => {
     }
 });
 
-// User management - get all users
+// User management - get staff and practitioner accounts (patients are not listed)
 router.get('/users', async (req, res) => {
     try {
         const result = await db.query(
             `SELECT id, email, name, role, is_active, created_at, updated_at
              FROM users
-             ORDER BY created_at DESC`
+             WHERE role != $1
+             ORDER BY created_at DESC`,
+            [PATIENT_ROLE]
         );
 
         res.json({ users: result.rows });
@@ -352,29 +1940,35 @@ router.post('/users/:id/toggle-active', async (req, res) => {
     }
 });
 
-// Export data
-router.get('/export/:type', async (req, res) => {
+// Export a table as JSON (default), CSV or NDJSON, streamed from a cursor.
+// Accepts columns=a,b and created_from/created_to dates; chiropractors also take
+// the directory filters and status=active|inactive, the audit log action and entity_type.
+router.get('/export/:type', exportValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
     try {
         const { type } = req.params;
-        let data;
-
-        if (type === 'chiropractors') {
-            const result = await db.query('SELECT * FROM chiropractors ORDER BY name');
-            data = result.rows;
-        } else if (type === 'blog-posts') {
-            const result = await db.query('SELECT * FROM blog_posts ORDER BY created_at DESC');
-            data = result.rows;
-        } else {
-            return res.status(400).json({ error: 'Invalid export type' });
-        }
+        const format = req.query.format || 'json';
+        const { contentType, extension } = EXPORT_FORMATS[format];
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename=${type}-export-${Date.now()}.${extension}`);
 
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename=${type}-export-${Date.now()}.json`);
-        res.json(data);
+        await streamExport(client, res, buildExportQuery(type, req.query), format);
+        res.end();
 
     } catch (error) {
         console.error('Export error:', error);
-        res.status(500).json({ error: 'Failed to export data' });
+        // Once rows have been sent the status can't change; cut the download short instead
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            res.status(500).json({ error: 'Failed to export data' });
+        }
+    } finally {
+        client.release();
     }
 });
 
@@ -4,10 +4,10 @@
 
 const express = require('express');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyToken, isAdmin, startSession } = require('../middleware/auth');
 const { loginValidation, passwordValidation, handleValidationErrors } = require('../middleware/validate');
+const { PATIENT_ROLE } = require('../utils/patients');
 
 const router = express.Router();
 
@@ -33,19 +33,17 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
             return res.status(401).json({ error: 'Account is deactivated' });
         }
 
+        // Patients sign in through /api/patients
+        if (user.role === PATIENT_ROLE || !user.password) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
         // Verify password
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) {
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
-
         // Log the login
         await db.query(
             `INSERT INTO audit_log (user_id, action, ip_address, user_agent)
@@ -53,13 +51,8 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
             [user.id, req.ip, req.headers['user-agent']]
         );
 
-        // Set HTTP-only cookie
-        res.cookie('token', token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        // Generate JWT token and set it as an HTTP-only cookie
+        const token = startSession(res, user);
 
         res.json({
             message: 'Login successful',
@@ -129,6 +122,11 @@ router.post('/change-password', verifyToken, passwordValidation, handleValidatio
             return res.status(404).json({ error: 'User not found' });
         }
 
+        // Patients who sign in by email link set a first password through /api/patients
+        if (!result.rows[0].password) {
+            return res.status(400).json({ error: 'This account has no password yet' });
+        }
+
         // Verify current password
         const validPassword = await bcrypt.compare(currentPassword, result.rows[0].password);
         if (!validPassword) {
@@ -4,9 +4,11 @@
 
 const express = require('express');
 const db = require('../config/database');
-const { verifyToken, isAdmin } = require('../middleware/auth');
+const { verifyToken, isAdmin, optionalAuth } = require('../middleware/auth');
 const { blogPostValidation, idValidation, paginationValidation, handleValidationErrors } = require('../middleware/validate');
 const { param } = require('express-validator');
+const { decodeCursor, cursorMatchesKeys, cursorFields, keysetOrder, keysetCondition, keysetPage } = require('../utils/pagination');
+const { PATIENT_ROLE, savedListIds } = require('../utils/patients');
 
 const router = express.Router();
 
@@ -18,7 +20,23 @@ const createSlug = (title, id = '') => {
     return id ? `${baseSlug}-${id}` : baseSlug;
 };
 
+// Blog orderings as keyset keys (see utils/pagination); newest is the default.
+// Posts published before published_at existed fall back to created_at.
+const NEWEST_KEYS = [
+    { sql: 'COALESCE(published_at, created_at)', type: 'timestamptz', desc: true },
+    { sql: 'id', type: 'int', desc: true }
+];
+
+const BLOG_SORTS = {
+    newest: () => NEWEST_KEYS,
+    name: () => [{ sql: 'title', type: 'text' }, { sql: 'id', type: 'int' }],
+    // Title matches first, then matches in the content only
+    relevance: (searchParam) => [{ sql: `(title ILIKE ${searchParam})`, type: 'boolean', desc: true }, ...NEWEST_KEYS]
+};
+
 // Get all blog posts (public)
+// sort=newest|name|relevance (relevance needs search=). Pages by page= with a
+// total, or by the next/prev cursor= of another page without one.
 router.get('/', paginationValidation, handleValidationErrors, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
@@ -26,49 +44,75 @@ router.get('/', paginationValidation, handleValidationErrors, async (req, res) =
         const offset = (page - 1) * limit;
         const tag = req.query.tag;
         const search = req.query.search;
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        const sort = req.query.sort || 'newest';
+
+        if (!BLOG_SORTS[sort]) {
+            return res.status(400).json({ error: `Blog posts cannot be sorted by ${sort}` });
+        }
+        if (sort === 'relevance' && !search) {
+            return res.status(400).json({ error: 'Sorting by relevance requires a search term' });
+        }
+        if (cursor && cursor.s !== sort) {
+            return res.status(400).json({ error: 'Cursor does not match the requested sort' });
+        }
 
-        let queryText = `
-            SELECT id, title, slug, excerpt, author, featured_image, tags, views, created_at, published_at
-            FROM blog_posts
-            WHERE is_published = true
-        `;
         const params = [];
-        let paramCount = 0;
+        const addParam = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+        const conditions = ['is_published = true'];
+        let searchParam = null;
 
         if (tag) {
-            paramCount++;
-            queryText += ` AND $${paramCount} = ANY(tags)`;
-            params.push(tag);
+            conditions.push(`${addParam(tag)} = ANY(tags)`);
         }
 
         if (search) {
-            paramCount++;
-            queryText += ` AND (title ILIKE $${paramCount} OR content ILIKE $${paramCount})`;
-            params.push(`%${search}%`);
+            searchParam = addParam(`%${search}%`);
+            conditions.push(`(title ILIKE ${searchParam} OR content ILIKE ${searchParam})`);
         }
 
-        // Get total count
-        const countQuery = queryText.replace(
-            'SELECT id, title, slug, excerpt, author, featured_image, tags, views, created_at, published_at',
-            'SELECT COUNT(*)'
-        );
-        const countResult = await db.query(countQuery, params);
-        const total = parseInt(countResult.rows[0].count);
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+        // Get total count (offset pages only)
+        let total = null;
+        if (!cursor) {
+            const countResult = await db.query(`SELECT COUNT(*) FROM blog_posts ${whereClause}`, params);
+            total = parseInt(countResult.rows[0].count);
+        }
+
+        const keys = BLOG_SORTS[sort](searchParam);
+        if (cursor && !cursorMatchesKeys(keys, cursor)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const pageWhere = cursor ? `${whereClause} AND ${keysetCondition(keys, cursor, addParam)}` : whereClause;
 
-        // Add sorting and pagination
-        queryText += ` ORDER BY published_at DESC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        params.push(limit, offset);
+        const result = await db.query(
+            `SELECT id, title, slug, excerpt, author, featured_image, tags, views, created_at, published_at,
+                    ${cursorFields(keys)}
+             FROM blog_posts
+             ${pageWhere}
+             ORDER BY ${keysetOrder(keys, cursor)}
+             LIMIT ${addParam(limit + 1)}${cursor ? '' : ` OFFSET ${addParam(offset)}`}`,
+            params
+        );
 
-        const result = await db.query(queryText, params);
+        const { rows, next, prev } = keysetPage(result.rows, {
+            keys,
+            limit,
+            cursor,
+            base: { s: sort },
+            hasPrevious: offset > 0
+        });
 
         res.json({
-            posts: result.rows,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit)
-            }
+            posts: rows,
+            pagination: cursor
+                ? { limit, next, prev }
+                : { page, limit, total, totalPages: Math.ceil(total / limit), next, prev }
         });
 
     } catch (error) {
@@ -78,7 +122,7 @@ router.get('/', paginationValidation, handleValidationErrors, async (req, res) =
 });
 
 // Get single blog post by slug (public)
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', optionalAuth(PATIENT_ROLE), async (req, res) => {
     try {
         const result = await db.query(
             `SELECT id, title, slug, content, excerpt, author, featured_image, tags,
@@ -98,7 +142,14 @@ router.get('/slug/:slug', async (req, res) => {
             [result.rows[0].id]
         );
 
-        res.json({ post: result.rows[0] });
+        const post = result.rows[0];
+
+        // Lets a signed-in patient see which of their lists hold this post
+        if (req.user) {
+            post.saved_list_ids = await savedListIds(req.user.id, { blogPostId: post.id });
+        }
+
+        res.json({ post });
 
     } catch (error) {
         console.error('Get blog post error:', error);
@@ -5,86 +5,334 @@
 const express = require('express');
 const db = require('../config/database');
 const { verifyToken, isAdmin, optionalAuth } = require('../middleware/auth');
-const { chiropractorValidation, idValidation, paginationValidation, handleValidationErrors } = require('../middleware/validate');
+const {
+    chiropractorValidation,
+    practiceLocationValidation,
+    idValidation,
+    locationIdValidation,
+    paginationValidation,
+    locationValidation,
+    compareValidation,
+    directoryFilterValidation,
+    officeHoursValidation,
+    reviewValidation,
+    appointmentValidation,
+    handleValidationErrors
+} = require('../middleware/validate');
 const { query } = require('express-validator');
+const { DEFAULT_RADIUS_MILES, resolveOrigin, boundingBox, distanceSql } = require('../utils/geo');
+const { buildChiropractorSearch, formatSearchRow } = require('../utils/search');
+const { FACETS, parseFacetFilters, facetConditions, facetCountSql, formatFacetRows } = require('../utils/facets');
+const { normalizeState, slugify } = require('../utils/address');
+const { buildChiropractorValues } = require('../utils/chiropractors');
+const { describeToday, openNowSql, getOfficeHours } = require('../utils/hours');
+const {
+    LOCATION_FIELDS,
+    buildLocationValues,
+    savePrimaryLocation,
+    syncChiropractorLocations,
+    getLocations
+} = require('../utils/locations');
+const { getChiropractorInsurance, setChiropractorInsurance } = require('../utils/insurance');
+const { getListingMedia } = require('../utils/media');
+const { planJoin, planFields, limitMedia } = require('../utils/plans');
+const { findFeatured, featuredSlotSql, markFeatured } = require('../utils/campaigns');
+const { findRelated } = require('../utils/related');
+const { PATIENT_ROLE, savedListIds } = require('../utils/patients');
+const { syncChiropractorSlug } = require('../utils/slugs');
+const { buildComparison } = require('../utils/compare');
+const { decodeCursor, cursorMatchesKeys, cursorFields, keysetOrder, keysetCondition, keysetPage } = require('../utils/pagination');
+const { PUBLIC_REVIEW_FIELDS, RATING_FIELDS, getRatingDistribution } = require('../utils/reviews');
+const { isThrottled, notifyPatient, notifyPractice } = require('../utils/appointments');
+const { LICENSE_FIELDS, PUBLIC_LICENSE_FIELDS, licenseVerifiedSql } = require('../utils/licenses');
 
 const router = express.Router();
 
+// Directory orderings as keyset keys (see utils/pagination). placement, higher
+// plans first, is the default; distance and relevance are the defaults for
+// radius and search queries. Unrated listings sort as -1.
+const NAME_KEYS = [{ sql: 'name', type: 'text' }, { sql: 'id', type: 'int' }];
+const PLACEMENT_KEY = { sql: 'placement_rank', type: 'int', desc: true };
+const RATING_KEY = { sql: 'COALESCE(rating_average, -1)', type: 'numeric', desc: true };
+const REVIEWS_KEY = { sql: 'review_count', type: 'int', desc: true };
+
+const DIRECTORY_SORTS = {
+    placement: () => [PLACEMENT_KEY, ...NAME_KEYS],
+    distance: () => [{ sql: 'nearest_distance', type: 'float8' }, PLACEMENT_KEY, ...NAME_KEYS],
+    relevance: (relevance) => [{ sql: `(${relevance})::float8`, type: 'float8', desc: true }, ...NAME_KEYS],
+    name: () => NAME_KEYS,
+    newest: () => [{ sql: 'created_at', type: 'timestamptz', desc: true }, { sql: 'id', type: 'int', desc: true }],
+    rating: () => [RATING_KEY, REVIEWS_KEY, ...NAME_KEYS],
+    reviews: () => [REVIEWS_KEY, RATING_KEY, ...NAME_KEYS]
+};
+
+// Slot of listings no campaign features, after every real one
+const NO_FEATURED_SLOT = 2147483647;
+
+// Build the WHERE clause shared by the list, count and facet queries.
+// excludeFacet leaves one facet's own filter out so its counts reflect the other filters.
+const buildDirectoryWhere = ({ origin, radius, search, filters, openNow, verifiedOnly }, excludeFacet = null) => {
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = ['is_active = true', `listing_status = 'published'`];
+
+    if (origin) {
+        // Any location in range matches. The bounding box narrows locations via
+        // the coordinates index before the exact distance check.
+        const box = boundingBox(origin, radius);
+        conditions.push(`EXISTS (
+            SELECT 1 FROM chiropractor_locations radius_loc
+            WHERE radius_loc.chiropractor_id = chiropractors.id
+              AND radius_loc.latitude BETWEEN ${addParam(box.minLat)} AND ${addParam(box.maxLat)}
+              AND radius_loc.longitude BETWEEN ${addParam(box.minLng)} AND ${addParam(box.maxLng)}
+              AND ${distanceSql(addParam(origin.latitude), addParam(origin.longitude), 'radius_loc.')} <= ${addParam(radius)}
+        )`);
+    }
+
+    conditions.push(...facetConditions(filters, addParam, excludeFacet));
+
+    if (openNow) {
+        conditions.push(openNowSql());
+    }
+
+    if (verifiedOnly) {
+        conditions.push(licenseVerifiedSql());
+    }
+
+    if (search) {
+        conditions.push(buildChiropractorSearch(addParam(search)).condition);
+    }
+
+    return { whereClause: `WHERE ${conditions.join(' AND ')}`, params, addParam };
+};
+
+// Columns of a listing's detail view. Admins see the website and description
+// as entered; everyone else sees them as the listing's plan allows. Only
+// admins see how a license was verified.
+const detailFields = (isAdminUser) => `id, slug, name, state, state_code, street, city, postal_code, address, phone, email, specialty,
+    ${isAdminUser ? 'plan.plan, plan.is_featured, website, description' : planFields('chiropractors', { description: true })},
+    plan.max_photos, accepts_new_patients, cash_only, accepts_medicare, sliding_scale,
+    timezone, latitude, longitude, created_at, ${RATING_FIELDS},
+    ${isAdminUser ? LICENSE_FIELDS : PUBLIC_LICENSE_FIELDS}, ${licenseVerifiedSql()} AS is_license_verified,
+    claimed_by IS NOT NULL AS is_claimed, listing_status`;
+
+// A detail row with its locations, insurance and the photos its plan allows
+const withDetails = async (row, isAdminUser) => {
+    const { max_photos: maxPhotos, ...chiropractor } = row;
+    const [locations, insurance, media] = await Promise.all([
+        getLocations(chiropractor.id),
+        getChiropractorInsurance(chiropractor.id),
+        getListingMedia(chiropractor.id)
+    ]);
+
+    return {
+        ...chiropractor,
+        locations,
+        insurance,
+        media: isAdminUser ? media : limitMedia(media, maxPhotos)
+    };
+};
+
+// Find a location that belongs to the given chiropractor
+const findLocation = async (client, chiropractorId, locationId) => {
+    const result = await client.query(
+        `SELECT ${LOCATION_FIELDS}
+         FROM chiropractor_locations
+         WHERE id = $1 AND chiropractor_id = $2`,
+        [locationId, chiropractorId]
+    );
+    return result.rows[0] || null;
+};
+
 // Get all chiropractors (public)
-router.get('/', paginationValidation, handleValidationErrors, async (req, res) => {
+// Supports radius search with near=<zip|lat,lng>&radius=<miles>,
+// ranked full-text search with search=<terms>, multi-value facet
+// filters (state, city, specialty, insurance, featured, accepts_new_patients
+// and the cash_only, accepts_medicare and sliding_scale payment options)
+// open_now=true and verified_only=true. sort=name|newest|rating|reviews|distance|relevance
+// overrides the default ordering, which lists higher plans first. Featured
+// campaigns for the states (and cities) filtered on come before either.
+// Pages by page= with a total, or by the next/prev cursor= of another page
+// without one.
+router.get('/', paginationValidation, locationValidation, directoryFilterValidation, handleValidationErrors, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 50;
         const offset = (page - 1) * limit;
-        const state = req.query.state;
         const search = req.query.search;
+        const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+        const filters = parseFacetFilters(req.query);
 
-        let queryText = `
-            SELECT id, name, state, address, phone, email, website, specialty, is_featured, created_at
-            FROM chiropractors
-            WHERE is_active = true
-        `;
-        const params = [];
-        let paramCount = 0;
+        let origin = null;
+        const radius = parseFloat(req.query.radius) || DEFAULT_RADIUS_MILES;
+        if (req.query.near) {
+            origin = resolveOrigin(req.query.near);
+            if (!origin) {
+                return res.status(400).json({ error: 'Could not resolve the given location' });
+            }
+        }
 
-        if (state) {
-            paramCount++;
-            queryText += ` AND state = $${paramCount}`;
-            params.push(state);
+        const sort = req.query.sort || (origin ? 'distance' : search ? 'relevance' : 'placement');
+        if (sort === 'distance' && !origin) {
+            return res.status(400).json({ error: 'Sorting by distance requires a near location' });
+        }
+        if (sort === 'relevance' && !search) {
+            return res.status(400).json({ error: 'Sorting by relevance requires a search term' });
+        }
+        if (cursor && cursor.s !== sort) {
+            return res.status(400).json({ error: 'Cursor does not match the requested sort' });
         }
 
-        if (search) {
-            paramCount++;
-            queryText += ` AND (
-                name ILIKE $${paramCount} OR
-                specialty ILIKE $${paramCount} OR
-                address ILIKE $${paramCount}
-            )`;
-            params.push(`%${search}%`);
-        }
-
-        // Get total count
-        const countQuery = queryText.replace(
-            'SELECT id, name, state, address, phone, email, website, specialty, is_featured, created_at',
-            'SELECT COUNT(*)'
-        );
-        const countResult = await db.query(countQuery, params);
-        const total = parseInt(countResult.rows[0].count);
+        const criteria = {
+            origin,
+            radius,
+            search,
+            filters,
+            openNow: req.query.open_now === 'true',
+            verifiedOnly: req.query.verified_only === 'true'
+        };
+        const { whereClause, params, addParam } = buildDirectoryWhere(criteria);
+        const countParams = [...params];
 
-        // Add sorting and pagination
-        queryText += ` ORDER BY is_featured DESC, name ASC LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-        params.push(limit, offset);
+        let selectFields = `id, slug, name, state, state_code, street, city, postal_code, address, phone, email, specialty,
+            ${planFields('chiropractors')}, accepts_new_patients, cash_only, accepts_medicare, sliding_scale,
+            timezone, latitude, longitude, created_at, ${RATING_FIELDS},
+            claimed_by IS NOT NULL AS is_claimed, ${openNowSql()} AS is_open_now,
+            ${licenseVerifiedSql()} AS is_license_verified`;
+        let fromClause = `chiropractors ${planJoin('chiropractors')}`;
+        let relevance = null;
 
-        const result = await db.query(queryText, params);
+        if (origin) {
+            // Distance is measured to each listing's nearest location
+            const distance = distanceSql(addParam(origin.latitude), addParam(origin.longitude), 'loc.');
+            fromClause += ` CROSS JOIN LATERAL (
+                SELECT loc.id AS nearest_id, loc.label AS nearest_label, loc.address AS nearest_address,
+                       ${distance} AS nearest_distance
+                FROM chiropractor_locations loc
+                WHERE loc.chiropractor_id = chiropractors.id AND loc.latitude IS NOT NULL
+                ORDER BY nearest_distance ASC
+                LIMIT 1
+            ) nearest`;
+            selectFields += `, ROUND(nearest_distance::numeric, 1)::float8 AS distance,
+                json_build_object('id', nearest_id, 'label', nearest_label, 'address', nearest_address) AS nearest_location`;
+        }
 
-        res.json({
-            chiropractors: result.rows,
-            pagination: {
-                page,
-                limit,
-                total,
-                totalPages: Math.ceil(total / limit)
+        if (search) {
+            // Featured boosting is already folded into the relevance score
+            const fullText = buildChiropractorSearch(addParam(search));
+            relevance = fullText.relevance;
+            selectFields += `, ${relevance} AS relevance, ${fullText.highlights}`;
+        }
+
+        // A city campaign only applies when its city is filtered on. Later
+        // pages keep the campaigns of the first, whatever the rotation, as
+        // long as those campaigns are still running and in scope.
+        let featured = [];
+        if (filters.state && (!cursor || (cursor.f || []).length > 0)) {
+            const scope = buildDirectoryWhere(criteria);
+            const states = filters.state.map(value => normalizeState(value)?.name || value);
+            const cities = (filters.city || []).map(value => value.toLowerCase());
+            let campaignScope = `fc.state = ANY(${scope.addParam(states)}::text[])
+                 AND (fc.city IS NULL OR LOWER(fc.city) = ANY(${scope.addParam(cities)}::text[]))
+                 AND fc.chiropractor_id IN (SELECT id FROM chiropractors ${scope.whereClause})`;
+            if (cursor) {
+                campaignScope += ` AND fc.id = ANY(${scope.addParam(cursor.f.map(([, campaignId]) => campaignId))}::int[])`;
             }
+            featured = await findFeatured(campaignScope, scope.params);
+
+            if (cursor) {
+                const running = new Set(featured.map(item => `${item.chiropractorId}:${item.campaignId}`));
+                featured = cursor.f
+                    .filter(([chiropractorId, campaignId]) => running.has(`${chiropractorId}:${campaignId}`))
+                    .map(([chiropractorId, campaignId]) => ({ chiropractorId, campaignId }));
+            }
+        }
+
+        const keys = DIRECTORY_SORTS[sort](relevance);
+        // A cursor's featured slot key stays even if its campaigns have ended
+        if (featured.length > 0 || (cursor && (cursor.f || []).length > 0)) {
+            const slot = featuredSlotSql(addParam(featured.map(item => item.chiropractorId)));
+            keys.unshift({ sql: `COALESCE(${slot}, ${NO_FEATURED_SLOT})`, type: 'int' });
+        }
+        if (cursor && !cursorMatchesKeys(keys, cursor)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const pageWhere = cursor ? `${whereClause} AND ${keysetCondition(keys, cursor, addParam)}` : whereClause;
+
+        const facetKeys = Object.keys(FACETS);
+        const [countResult, result, ...facetResults] = await Promise.all([
+            cursor ? null : db.query(`SELECT COUNT(*) FROM chiropractors ${whereClause}`, countParams),
+            db.query(
+                `SELECT ${selectFields}, ${cursorFields(keys)}
+                 FROM ${fromClause}
+                 ${pageWhere}
+                 ORDER BY ${keysetOrder(keys, cursor)}
+                 LIMIT ${addParam(limit + 1)}${cursor ? '' : ` OFFSET ${addParam(offset)}`}`,
+                params
+            ),
+            ...facetKeys.map(key => {
+                const facetWhere = buildDirectoryWhere(criteria, key);
+                return db.query(facetCountSql(key, facetWhere.whereClause), facetWhere.params);
+            })
+        ]);
+
+        const facets = {};
+        facetKeys.forEach((key, index) => {
+            facets[key] = formatFacetRows(key, facetResults[index].rows, filters);
+        });
+
+        const { rows, next, prev } = keysetPage(result.rows, {
+            keys,
+            limit,
+            cursor,
+            base: { s: sort, f: featured.map(item => [item.chiropractorId, item.campaignId]) },
+            hasPrevious: offset > 0
         });
 
+        let pagination = { limit, next, prev };
+        if (countResult) {
+            const total = parseInt(countResult.rows[0].count);
+            pagination = { page, limit, total, totalPages: Math.ceil(total / limit), next, prev };
+        }
+
+        const response = {
+            chiropractors: await markFeatured(search ? rows.map(formatSearchRow) : rows, featured),
+            facets,
+            pagination
+        };
+
+        if (origin) {
+            response.origin = { ...origin, radius };
+        }
+
+        res.json(response);
+
     } catch (error) {
         console.error('Get chiropractors error:', error);
         res.status(500).json({ error: 'Failed to fetch chiropractors' });
     }
 });
 
-// Get chiropractors by state (public)
+// Get chiropractors by state (public), state-wide featured campaigns first
 router.get('/state/:state', async (req, res) => {
     try {
+        const state = normalizeState(req.params.state)?.name || req.params.state;
+        const featured = await findFeatured('fc.state = $1 AND fc.city IS NULL', [state]);
+
         const result = await db.query(
-            `SELECT id, name, state, address, phone, email, website, specialty, is_featured
-             FROM chiropractors
-             WHERE state = $1 AND is_active = true
-             ORDER BY is_featured DESC, name ASC`,
-            [req.params.state]
+            `SELECT id, slug, name, state, address, phone, email, specialty, ${planFields('c')}, ${RATING_FIELDS}
+             FROM chiropractors c ${planJoin('c')}
+             WHERE is_active = true AND listing_status = 'published'
+               AND EXISTS (SELECT 1 FROM chiropractor_locations l WHERE l.chiropractor_id = c.id AND l.state = $1)
+             ORDER BY ${featuredSlotSql('$2')}, placement_rank DESC, name ASC`,
+            [state, featured.map(item => item.chiropractorId)]
         );
 
-        res.json({ chiropractors: result.rows });
+        res.json({ chiropractors: await markFeatured(result.rows, featured) });
 
     } catch (error) {
         console.error('Get chiropractors by state error:', error);
@@ -96,11 +344,12 @@ router.get('/state/:state', async (req, res) => {
 router.get('/states', async (req, res) => {
     try {
         const result = await db.query(`
-            SELECT state, COUNT(*) as count
-            FROM chiropractors
-            WHERE is_active = true
-            GROUP BY state
-            ORDER BY state ASC
+            SELECT l.state, COUNT(DISTINCT c.id) as count
+            FROM chiropractor_locations l
+            JOIN chiropractors c ON c.id = l.chiropractor_id
+            WHERE c.is_active = true AND c.listing_status = 'published'
+            GROUP BY l.state
+            ORDER BY l.state ASC
         `);
 
         res.json({ states: result.rows });
@@ -111,13 +360,136 @@ router.get('/states', async (req, res) => {
     }
 });
 
-// Get single chiropractor (public)
-router.get('/:id', idValidation, handleValidationErrors, async (req, res) => {
+// Get chiropractors for a state or city landing page (public)
+// e.g. /location/texas or /location/texas/houston. Featured campaigns for the
+// state, and on a city page for the city, come first.
+router.get('/location/:state/:city?', async (req, res) => {
+    try {
+        const state = normalizeState(req.params.state);
+        if (!state) {
+            return res.status(404).json({ error: 'State not found' });
+        }
+
+        const citiesResult = await db.query(
+            `SELECT l.city, COUNT(DISTINCT c.id)::int AS count
+             FROM chiropractor_locations l
+             JOIN chiropractors c ON c.id = l.chiropractor_id
+             WHERE l.state = $1 AND l.city IS NOT NULL AND c.is_active = true AND c.listing_status = 'published'
+             GROUP BY l.city
+             ORDER BY l.city ASC`,
+            [state.name]
+        );
+
+        const cities = citiesResult.rows.map(row => ({ ...row, slug: slugify(row.city) }));
+
+        let city = null;
+        if (req.params.city) {
+            city = cities.find(c => c.slug === slugify(req.params.city));
+            if (!city) {
+                return res.status(404).json({ error: 'City not found' });
+            }
+        }
+
+        const featured = city
+            ? await findFeatured('fc.state = $1 AND (fc.city IS NULL OR LOWER(fc.city) = LOWER($2))', [state.name, city.city])
+            : await findFeatured('fc.state = $1 AND fc.city IS NULL', [state.name]);
+
+        // One row per listing; address fields come from its location in this
+        // state or city, preferring the primary location
+        const params = [state.name, featured.map(item => item.chiropractorId)];
+        let queryText = `
+            SELECT DISTINCT ON (${featuredSlotSql('$2', 'c.id')}, plan.placement_rank, c.name, c.id)
+                   c.id, c.slug, c.name, l.state, l.state_code, l.street, l.city, l.postal_code, l.address,
+                   COALESCE(l.phone, c.phone) AS phone, c.email, c.specialty,
+                   ${planFields('c')}, c.accepts_new_patients, c.rating_average::float8 AS rating_average, c.review_count,
+                   c.claimed_by IS NOT NULL AS is_claimed, ${licenseVerifiedSql('c')} AS is_license_verified,
+                   l.id AS location_id, l.label AS location_label
+            FROM chiropractors c
+            ${planJoin('c')}
+            JOIN chiropractor_locations l ON l.chiropractor_id = c.id
+            WHERE l.state = $1 AND c.is_active = true AND c.listing_status = 'published'
+        `;
+
+        if (city) {
+            params.push(city.city);
+            queryText += ' AND l.city = $3';
+        }
+
+        queryText += ` ORDER BY ${featuredSlotSql('$2', 'c.id')}, plan.placement_rank DESC, c.name ASC, c.id, l.is_primary DESC`;
+
+        const result = await db.query(queryText, params);
+
+        res.json({
+            state: { ...state, slug: slugify(state.name) },
+            city: city ? { name: city.city, slug: city.slug } : null,
+            cities,
+            chiropractors: await markFeatured(result.rows, featured)
+        });
+
+    } catch (error) {
+        console.error('Get chiropractors by location error:', error);
+        res.status(500).json({ error: 'Failed to fetch chiropractors' });
+    }
+});
+
+// Compare 2 to 4 published listings side by side (public): ids=1,2,3 with an
+// optional near=<zip|lat,lng> for distances. Listings come back with the
+// detail view's public fields, plus comparison rows with differences marked.
+router.get('/compare', compareValidation, locationValidation, handleValidationErrors, async (req, res) => {
     try {
+        const ids = req.query.ids.split(',').map(id => parseInt(id));
+
+        let origin = null;
+        if (req.query.near) {
+            origin = resolveOrigin(req.query.near);
+            if (!origin) {
+                return res.status(400).json({ error: 'Could not resolve the given location' });
+            }
+        }
+
+        const result = await db.query(
+            `SELECT ${detailFields(false)}
+             FROM chiropractors ${planJoin('chiropractors')}
+             WHERE id = ANY($1::int[]) AND is_active = true AND listing_status = 'published'`,
+            [ids]
+        );
+
+        const found = new Map(result.rows.map(row => [row.id, row]));
+        const missing = ids.filter(id => !found.has(id));
+        if (missing.length > 0) {
+            return res.status(404).json({ error: 'Some chiropractors are not available to compare', ids: missing });
+        }
+
+        const chiropractors = await Promise.all(ids.map(id => withDetails(found.get(id), false)));
+
+        const response = {
+            chiropractors,
+            comparison: buildComparison(chiropractors, origin)
+        };
+
+        if (origin) {
+            response.origin = origin;
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Compare chiropractors error:', error);
+        res.status(500).json({ error: 'Failed to compare chiropractors' });
+    }
+});
+
+// Get single chiropractor (public). Admins can also load pending and inactive
+// listings, e.g. to edit a submission before approving it, and always see the
+// full website, description and photos; the public sees what the plan allows.
+router.get('/:id', optionalAuth('admin', PATIENT_ROLE), idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const isAdminUser = req.user && req.user.role === 'admin';
+
         const result = await db.query(
-            `SELECT id, name, state, address, phone, email, website, specialty, description, is_featured, created_at
-             FROM chiropractors
-             WHERE id = $1 AND is_active = true`,
+            `SELECT ${detailFields(isAdminUser)}
+             FROM chiropractors ${planJoin('chiropractors')}
+             WHERE id = $1 ${isAdminUser ? '' : `AND is_active = true AND listing_status = 'published'`}`,
             [req.params.id]
         );
 
@@ -125,7 +497,14 @@ router.get('/:id', idValidation, handleValidationErrors, async (req, res) => {
             return res.status(404).json({ error: 'Chiropractor not found' });
         }
 
-        res.json({ chiropractor: result.rows[0] });
+        const chiropractor = await withDetails(result.rows[0], isAdminUser);
+
+        // Lets a signed-in patient see which of their lists hold this listing
+        if (req.user && req.user.role === PATIENT_ROLE) {
+            chiropractor.saved_list_ids = await savedListIds(req.user.id, { chiropractorId: chiropractor.id });
+        }
+
+        res.json({ chiropractor });
 
     } catch (error) {
         console.error('Get chiropractor error:', error);
@@ -134,74 +513,114 @@ router.get('/:id', idValidation, handleValidationErrors, async (req, res) => {
 });
 
 // Create chiropractor (admin only)
+// The address fields in the body describe the primary location
 router.post('/', verifyToken, isAdmin, chiropractorValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
     try {
-        const { name, state, address, phone, email, website, specialty, description, is_featured } = req.body;
+        const values = buildChiropractorValues(req.body);
+        const columns = Object.keys(values);
 
-        const result = await db.query(
-            `INSERT INTO chiropractors (name, state, address, phone, email, website, specialty, description, is_featured)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO chiropractors (${columns.join(', ')})
+             VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
              RETURNING *`,
-            [name, state, address, phone, email, website || null, specialty || null, description || null, is_featured || false]
+            Object.values(values)
         );
 
+        await savePrimaryLocation(client, result.rows[0].id, values);
+        await syncChiropractorLocations(client, result.rows[0].id);
+        result.rows[0].slug = await syncChiropractorSlug(client, result.rows[0].id);
+
+        if (req.body.insurance_ids) {
+            await setChiropractorInsurance(client, result.rows[0].id, req.body.insurance_ids);
+        }
+
         // Log the action
-        await db.query(
+        await client.query(
             `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
              VALUES ($1, 'create', 'chiropractor', $2, $3, $4)`,
-            [req.user.id, result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+            [req.user.id, result.rows[0].id, JSON.stringify({ ...result.rows[0], insurance_ids: req.body.insurance_ids }), req.ip]
         );
 
+        await client.query('COMMIT');
+
         res.status(201).json({
             message: 'Chiropractor created successfully',
             chiropractor: result.rows[0]
         });
 
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Create chiropractor error:', error);
         res.status(500).json({ error: 'Failed to create chiropractor' });
+    } finally {
+        client.release();
     }
 });
 
 // Update chiropractor (admin only)
+// The address fields in the body update the primary location
 router.put('/:id', verifyToken, isAdmin, idValidation, chiropractorValidation, handleValidationErrors, async (req, res) => {
-    try {
-        const { name, state, address, phone, email, website, specialty, description, is_featured } = req.body;
+    const client = await db.pool.connect();
 
+    try {
         // Get current values for audit log
-        const current = await db.query('SELECT * FROM chiropractors WHERE id = $1', [req.params.id]);
+        const current = await client.query('SELECT * FROM chiropractors WHERE id = $1', [req.params.id]);
         if (current.rows.length === 0) {
             return res.status(404).json({ error: 'Chiropractor not found' });
         }
 
-        const result = await db.query(
+        const values = buildChiropractorValues(req.body);
+        const columns = Object.keys(values);
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
             `UPDATE chiropractors
-             SET name = $1, state = $2, address = $3, phone = $4, email = $5,
-                 website = $6, specialty = $7, description = $8, is_featured = $9
-             WHERE id = $10
+             SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+             WHERE id = $${columns.length + 1}
              RETURNING *`,
-            [name, state, address, phone, email, website || null, specialty || null, description || null, is_featured || false, req.params.id]
+            [...Object.values(values), req.params.id]
         );
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Chiropractor not found' });
+        await savePrimaryLocation(client, req.params.id, values);
+        await syncChiropractorLocations(client, req.params.id);
+        result.rows[0].slug = await syncChiropractorSlug(client, req.params.id);
+
+        // Carriers are only replaced when the client sends the list
+        if (req.body.insurance_ids) {
+            await setChiropractorInsurance(client, req.params.id, req.body.insurance_ids);
         }
 
         // Log the action
-        await db.query(
+        await client.query(
             `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
              VALUES ($1, 'update', 'chiropractor', $2, $3, $4, $5)`,
-            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), JSON.stringify(result.rows[0]), req.ip]
+            [
+                req.user.id,
+                req.params.id,
+                JSON.stringify(current.rows[0]),
+                JSON.stringify({ ...result.rows[0], insurance_ids: req.body.insurance_ids }),
+                req.ip
+            ]
         );
 
+        await client.query('COMMIT');
+
         res.json({
             message: 'Chiropractor updated successfully',
             chiropractor: result.rows[0]
         });
 
     } catch (error) {
+        await client.query('ROLLBACK');
         console.error('Update chiropractor error:', error);
         res.status(500).json({ error: 'Failed to update chiropractor' });
+    } finally {
+        client.release();
     }
 });
 
@@ -235,14 +654,365 @@ router.delete('/:id', verifyToken, isAdmin, idValidation, handleValidationErrors
     }
 });
 
-// Get related chiropractors (same state)
-router.get('/:id/related', idValidation, handleValidationErrors, async (req, res) => {
+// Get a chiropractor's practice locations with office hours (public)
+router.get('/:id/locations', idValidation, handleValidationErrors, async (req, res) => {
     try {
-        const limit = parseInt(req.query.limit) || 6;
+        const result = await db.query(
+            `SELECT id FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        res.json({ locations: await getLocations(req.params.id) });
+
+    } catch (error) {
+        console.error('Get locations error:', error);
+        res.status(500).json({ error: 'Failed to fetch locations' });
+    }
+});
+
+// Add a practice location (admin only)
+router.post('/:id/locations', verifyToken, isAdmin, idValidation, practiceLocationValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const chiroResult = await client.query('SELECT id FROM chiropractors WHERE id = $1', [req.params.id]);
+        if (chiroResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        const values = buildLocationValues(req.body);
+        const columns = Object.keys(values);
+        const isPrimary = req.body.is_primary === true;
+
+        await client.query('BEGIN');
+
+        if (isPrimary) {
+            await client.query(
+                'UPDATE chiropractor_locations SET is_primary = false WHERE chiropractor_id = $1 AND is_primary',
+                [req.params.id]
+            );
+        }
+
+        const result = await client.query(
+            `INSERT INTO chiropractor_locations (chiropractor_id, ${columns.join(', ')}, is_primary)
+             VALUES ($1, ${columns.map((column, i) => `$${i + 2}`).join(', ')}, $${columns.length + 2})
+             RETURNING ${LOCATION_FIELDS}`,
+            [req.params.id, ...Object.values(values), isPrimary]
+        );
+
+        await syncChiropractorLocations(client, req.params.id);
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'create_location', 'chiropractor', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Location added successfully',
+            location: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create location error:', error);
+        res.status(500).json({ error: 'Failed to add location' });
+    } finally {
+        client.release();
+    }
+});
+
+// Update a practice location (admin only)
+// Setting is_primary moves the primary flag here; the primary location cannot be demoted directly.
+router.put('/:id/locations/:locationId', verifyToken, isAdmin, idValidation, locationIdValidation, practiceLocationValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const current = await findLocation(client, req.params.id, req.params.locationId);
+        if (!current) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const values = buildLocationValues(req.body);
+        const columns = Object.keys(values);
+        const isPrimary = current.is_primary || req.body.is_primary === true;
+
+        await client.query('BEGIN');
+
+        if (isPrimary && !current.is_primary) {
+            await client.query(
+                'UPDATE chiropractor_locations SET is_primary = false WHERE chiropractor_id = $1 AND is_primary',
+                [req.params.id]
+            );
+        }
+
+        const result = await client.query(
+            `UPDATE chiropractor_locations
+             SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, is_primary = $${columns.length + 1}
+             WHERE id = $${columns.length + 2}
+             RETURNING ${LOCATION_FIELDS}`,
+            [...Object.values(values), isPrimary, current.id]
+        );
+
+        await syncChiropractorLocations(client, req.params.id);
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update_location', 'chiropractor', $2, $3, $4, $5)`,
+            [req.user.id, req.params.id, JSON.stringify(current), JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Location updated successfully',
+            location: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update location error:', error);
+        res.status(500).json({ error: 'Failed to update location' });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete a practice location and its hours (admin only)
+router.delete('/:id/locations/:locationId', verifyToken, isAdmin, idValidation, locationIdValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const current = await findLocation(client, req.params.id, req.params.locationId);
+        if (!current) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        if (current.is_primary) {
+            return res.status(400).json({ error: 'Make another location primary before deleting this one' });
+        }
+
+        await client.query('BEGIN');
+
+        await client.query('DELETE FROM chiropractor_locations WHERE id = $1', [current.id]);
+        await syncChiropractorLocations(client, req.params.id);
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
+             VALUES ($1, 'delete_location', 'chiropractor', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(current), req.ip]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({ message: 'Location deleted successfully' });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete location error:', error);
+        res.status(500).json({ error: 'Failed to delete location' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get office hours for a location (public)
+router.get('/:id/locations/:locationId/hours', idValidation, locationIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const location = await findLocation(db, req.params.id, req.params.locationId);
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const { hours, exceptions } = await getOfficeHours(location.id);
+
+        res.json({
+            timezone: location.timezone,
+            hours,
+            exceptions,
+            today: describeToday(hours, exceptions, location.timezone)
+        });
+
+    } catch (error) {
+        console.error('Get office hours error:', error);
+        res.status(500).json({ error: 'Failed to fetch office hours' });
+    }
+});
+
+// Replace a location's office hours and exceptions (admin only)
+router.put('/:id/locations/:locationId/hours', verifyToken, isAdmin, idValidation, locationIdValidation, officeHoursValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        const { hours, exceptions = [], timezone } = req.body;
+
+        const location = await findLocation(client, req.params.id, req.params.locationId);
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const old = await getOfficeHours(location.id);
+
+        await client.query('BEGIN');
+
+        if (timezone) {
+            await client.query('UPDATE chiropractor_locations SET timezone = $1 WHERE id = $2', [timezone, location.id]);
+            await syncChiropractorLocations(client, req.params.id);
+        }
+
+        await client.query('DELETE FROM office_hours WHERE location_id = $1', [location.id]);
+        for (const h of hours) {
+            await client.query(
+                `INSERT INTO office_hours (location_id, day_of_week, opens_at, closes_at)
+                 VALUES ($1, $2, $3, $4)`,
+                [location.id, h.day_of_week, h.opens_at, h.closes_at]
+            );
+        }
+
+        await client.query('DELETE FROM office_hour_exceptions WHERE location_id = $1', [location.id]);
+        for (const e of exceptions) {
+            const isClosed = e.is_closed !== false;
+            await client.query(
+                `INSERT INTO office_hour_exceptions (location_id, exception_date, is_closed, opens_at, closes_at, label)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [location.id, e.exception_date, isClosed, isClosed ? null : e.opens_at, isClosed ? null : e.closes_at, e.label || null]
+            );
+        }
+
+        const activeTimezone = timezone || location.timezone;
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update_hours', 'chiropractor', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                req.params.id,
+                JSON.stringify({ location_id: location.id, timezone: location.timezone, ...old }),
+                JSON.stringify({ location_id: location.id, timezone: activeTimezone, hours, exceptions }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        const updated = await getOfficeHours(location.id);
+
+        res.json({
+            message: 'Office hours updated successfully',
+            timezone: activeTimezone,
+            ...updated,
+            today: describeToday(updated.hours, updated.exceptions, activeTimezone)
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Update office hours error:', error);
+        res.status(500).json({ error: 'Failed to update office hours' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get approved reviews with the rating breakdown (public)
+router.get('/:id/reviews', idValidation, paginationValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const offset = (page - 1) * limit;
+
+        const chiroResult = await db.query(
+            `SELECT ${RATING_FIELDS} FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
+            [req.params.id]
+        );
+
+        if (chiroResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        const { rating_average, review_count } = chiroResult.rows[0];
+
+        const result = await db.query(
+            `SELECT ${PUBLIC_REVIEW_FIELDS}
+             FROM reviews
+             WHERE chiropractor_id = $1 AND status = 'approved'
+             ORDER BY created_at DESC
+             LIMIT $2 OFFSET $3`,
+            [req.params.id, limit, offset]
+        );
+
+        res.json({
+            reviews: result.rows,
+            summary: {
+                rating_average,
+                review_count,
+                distribution: await getRatingDistribution(req.params.id)
+            },
+            pagination: {
+                page,
+                limit,
+                total: review_count,
+                totalPages: Math.ceil(review_count / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Submit a review (public); it stays hidden until an admin approves it
+router.post('/:id/reviews', idValidation, reviewValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { rating, title, body, author_name, author_email } = req.body;
+
+        const chiroResult = await db.query(
+            `SELECT id FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
+            [req.params.id]
+        );
+
+        if (chiroResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO reviews (chiropractor_id, rating, title, body, author_name, author_email, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id, chiropractor_id, rating, title, body, author_name, status, created_at`,
+            [req.params.id, rating, title || null, body, author_name, author_email || null, req.ip]
+        );
+
+        // Log the action (no user: reviews come from the public)
+        await db.query(
+            `INSERT INTO audit_log (action, entity_type, entity_id, new_values, ip_address)
+             VALUES ('submit_review', 'review', $1, $2, $3)`,
+            [result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.status(201).json({
+            message: 'Thank you! Your review will appear once it has been approved.',
+            review: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Submit review error:', error);
+        res.status(500).json({ error: 'Failed to submit review' });
+    }
+});
+
+// Request an appointment (public). The patient and the practice are both emailed.
+router.post('/:id/appointments', appointmentValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { patient_name, patient_email, patient_phone, preferred_times, reason, is_new_patient } = req.body;
 
-        // First get the chiropractor's state
         const chiroResult = await db.query(
-            'SELECT state FROM chiropractors WHERE id = $1 AND is_active = true',
+            `SELECT id, name, email, phone FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
             [req.params.id]
         );
 
@@ -250,17 +1020,86 @@ router.get('/:id/related', idValidation, handleValidationErrors, async (req, res
             return res.status(404).json({ error: 'Chiropractor not found' });
         }
 
-        // Get related chiropractors from same state
+        const listing = chiroResult.rows[0];
+
+        if (await isThrottled(listing.id, patient_email)) {
+            return res.status(429).json({ error: 'You have already sent a request recently. The office will be in touch.' });
+        }
+
         const result = await db.query(
-            `SELECT id, name, state, address, phone, specialty
-             FROM chiropractors
-             WHERE state = $1 AND id != $2 AND is_active = true
-             ORDER BY is_featured DESC, RANDOM()
-             LIMIT $3`,
-            [chiroResult.rows[0].state, req.params.id, limit]
+            `INSERT INTO appointment_requests
+                (chiropractor_id, patient_name, patient_email, patient_phone, preferred_times, reason, is_new_patient, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id, chiropractor_id, patient_name, patient_email, patient_phone, preferred_times,
+                       reason, is_new_patient, status, status_note, created_at`,
+            [
+                listing.id,
+                patient_name,
+                patient_email,
+                patient_phone || null,
+                JSON.stringify(preferred_times.map(({ date, time }) => ({ date, time }))),
+                reason || null,
+                is_new_patient !== false,
+                req.ip
+            ]
         );
 
-        res.json({ related: result.rows });
+        const request = result.rows[0];
+
+        // Log the action (no user: requests come from the public)
+        await db.query(
+            `INSERT INTO audit_log (action, entity_type, entity_id, new_values, ip_address)
+             VALUES ('request_appointment', 'appointment_request', $1, $2, $3)`,
+            [request.id, JSON.stringify({ chiropractor_id: listing.id, status: request.status }), req.ip]
+        );
+
+        // The request is saved either way; a delivery failure is only logged
+        try {
+            await notifyPractice(request, listing);
+            await notifyPatient(request, listing);
+        } catch (error) {
+            console.error('Appointment notification error:', error);
+        }
+
+        res.status(201).json({
+            message: `Your request was sent to ${listing.name}. They will contact you to confirm a time.`,
+            appointment: { id: request.id, status: request.status, preferred_times: request.preferred_times }
+        });
+
+    } catch (error) {
+        console.error('Request appointment error:', error);
+        res.status(500).json({ error: 'Failed to send appointment request' });
+    }
+});
+
+// Get related chiropractors (public): listings in the same states or nearby,
+// ranked by shared specialty, distance and shared insurance and payment
+// options, each with an explanation of why it was picked. Campaign listings
+// come back separately as featured, so related can be cached.
+router.get('/:id/related', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+
+        // Campaigns for the listing's states, or its cities
+        const featured = await findFeatured(
+            `fc.chiropractor_id != $1
+             AND EXISTS (
+                 SELECT 1 FROM chiropractor_locations l
+                 WHERE l.chiropractor_id = $1 AND l.state = fc.state
+                   AND (fc.city IS NULL OR LOWER(fc.city) = LOWER(l.city))
+             )`,
+            [req.params.id]
+        );
+
+        const related = await findRelated(req.params.id, limit, featured.map(item => item.chiropractorId));
+        if (!related) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        res.json({
+            related: related.related,
+            featured: await markFeatured(related.featured, featured)
+        });
 
     } catch (error) {
         console.error('Get related chiropractors error:', error);
@@ -0,0 +1,279 @@
+/**
+ * Listing Claim Routes
+ * Practitioners claim a listing, verify ownership with a code emailed to the
+ * listing's address, then wait for an admin to approve the claim.
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { verifyToken, isPractitioner, optionalAuth } = require('../middleware/auth');
+const { claimValidation, claimCodeValidation, idValidation, handleValidationErrors } = require('../middleware/validate');
+const {
+    MAX_CODE_ATTEMPTS,
+    CODE_RESEND_INTERVAL_SECONDS,
+    MAX_CODE_SENDS,
+    createClaimCode,
+    sendClaimCode,
+    sendClaimantNextStep,
+    checkClaimCode
+} = require('../utils/claims');
+
+const router = express.Router();
+
+// Claim columns safe to return to the claimant
+const CLAIM_FIELDS = 'id, chiropractor_id, status, code_expires_at, verified_at, reviewed_at, review_note, created_at';
+
+// Signed-out claimants get this whether or not their email has an account,
+// so the form cannot be used to find out who has one
+const SIGNED_OUT_CLAIM_MESSAGE = 'Check your email for the next step to claim this listing';
+
+// Find a claim owned by the given user
+const findClaim = async (claimId, userId) => {
+    const result = await db.query(
+        `SELECT lc.*, c.name, c.email
+         FROM listing_claims lc
+         JOIN chiropractors c ON c.id = lc.chiropractor_id
+         WHERE lc.id = $1 AND lc.user_id = $2`,
+        [claimId, userId]
+    );
+    return result.rows[0] || null;
+};
+
+// Start a claim (public). Signed-out claimants get a practitioner account
+// and are emailed how to sign in and enter the code.
+router.post('/', optionalAuth(), claimValidation, handleValidationErrors, async (req, res) => {
+    if (req.user && req.user.role !== 'practitioner') {
+        return res.status(403).json({ error: 'Only practitioner accounts can claim listings' });
+    }
+
+    const client = await db.pool.connect();
+
+    try {
+        const listingResult = await client.query(
+            `SELECT id, name, email, claimed_by FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
+            [req.body.chiropractor_id]
+        );
+
+        if (listingResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Chiropractor not found' });
+        }
+
+        const listing = listingResult.rows[0];
+        if (listing.claimed_by) {
+            return res.status(409).json({ error: 'This listing has already been claimed' });
+        }
+
+        let user = req.user;
+        let hashedPassword = null;
+        if (!user) {
+            // Hashed up front so both paths take about as long
+            hashedPassword = await bcrypt.hash(req.body.password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+            const existing = await client.query('SELECT id FROM users WHERE email = $1', [req.body.email]);
+            if (existing.rows.length > 0) {
+                await sendClaimantNextStep(req.body.email, listing, { isNewAccount: false });
+                return res.status(202).json({ message: SIGNED_OUT_CLAIM_MESSAGE });
+            }
+        } else {
+            const open = await client.query(
+                `SELECT id FROM listing_claims
+                 WHERE chiropractor_id = $1 AND user_id = $2 AND status IN ('unverified', 'verified')`,
+                [listing.id, user.id]
+            );
+            if (open.rows.length > 0) {
+                return res.status(409).json({ error: 'You already have a claim in progress for this listing' });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        if (!user) {
+            const userResult = await client.query(
+                `INSERT INTO users (email, password, name, role)
+                 VALUES ($1, $2, $3, 'practitioner')
+                 RETURNING id, email, name, role`,
+                [req.body.email, hashedPassword, req.body.name]
+            );
+            user = userResult.rows[0];
+        }
+
+        const code = createClaimCode();
+
+        const result = await client.query(
+            `INSERT INTO listing_claims (chiropractor_id, user_id, code_hash, code_expires_at, ip_address)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING ${CLAIM_FIELDS}`,
+            [listing.id, user.id, code.code_hash, code.code_expires_at, req.ip]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'create_claim', 'listing_claim', $2, $3, $4)`,
+            [user.id, result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        await client.query('COMMIT');
+
+        // Sent after commit so no code goes out for a claim that was not
+        // saved; if delivery fails the claimant can ask for a new code
+        try {
+            await sendClaimCode(listing, code.code);
+        } catch (error) {
+            console.error('Claim code email error:', error);
+        }
+
+        if (!req.user) {
+            await sendClaimantNextStep(user.email, listing, { isNewAccount: true });
+            return res.status(202).json({ message: SIGNED_OUT_CLAIM_MESSAGE });
+        }
+
+        res.status(201).json({
+            message: 'We emailed a verification code to the address on file for this listing',
+            claim: result.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Create claim error:', error);
+        res.status(500).json({ error: 'Failed to create claim' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get the signed-in practitioner's claims
+router.get('/mine', verifyToken, isPractitioner, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT ${CLAIM_FIELDS.split(', ').map(field => `lc.${field}`).join(', ')},
+                    c.name AS chiropractor_name
+             FROM listing_claims lc
+             JOIN chiropractors c ON c.id = lc.chiropractor_id
+             WHERE lc.user_id = $1
+             ORDER BY lc.created_at DESC`,
+            [req.user.id]
+        );
+
+        res.json({ claims: result.rows });
+
+    } catch (error) {
+        console.error('Get claims error:', error);
+        res.status(500).json({ error: 'Failed to fetch claims' });
+    }
+});
+
+// Verify ownership with the emailed code
+router.post('/:id/verify', verifyToken, isPractitioner, claimCodeValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const claim = await findClaim(req.params.id, req.user.id);
+        if (!claim) {
+            return res.status(404).json({ error: 'Claim not found' });
+        }
+
+        if (claim.status !== 'unverified') {
+            return res.status(400).json({ error: 'This claim has already been verified' });
+        }
+
+        // Take an attempt before checking, in one statement, so parallel
+        // requests cannot all get a guess in under the limit
+        const attempt = await db.query(
+            `UPDATE listing_claims SET code_attempts = code_attempts + 1
+             WHERE id = $1 AND status = 'unverified' AND code_attempts < $2
+             RETURNING code_hash, code_expires_at`,
+            [claim.id, MAX_CODE_ATTEMPTS]
+        );
+
+        if (attempt.rows.length === 0) {
+            return res.status(429).json({ error: 'Too many attempts. Request a new code.' });
+        }
+
+        if (!checkClaimCode(attempt.rows[0], req.body.code)) {
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+
+        const result = await db.query(
+            `UPDATE listing_claims
+             SET status = 'verified', verified_at = NOW(), code_hash = NULL, code_expires_at = NULL
+             WHERE id = $1 AND status = 'unverified'
+             RETURNING ${CLAIM_FIELDS}`,
+            [claim.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'This claim has already been verified' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, ip_address)
+             VALUES ($1, 'verify_claim', 'listing_claim', $2, $3)`,
+            [req.user.id, claim.id, req.ip]
+        );
+
+        res.json({
+            message: 'Ownership verified. An administrator will review your claim shortly.',
+            claim: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Verify claim error:', error);
+        res.status(500).json({ error: 'Failed to verify claim' });
+    }
+});
+
+// Email a fresh code, resetting the attempt counter. Codes are at least
+// CODE_RESEND_INTERVAL_SECONDS apart, and a claim gets MAX_CODE_SENDS in all.
+router.post('/:id/resend', verifyToken, isPractitioner, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const claim = await findClaim(req.params.id, req.user.id);
+        if (!claim) {
+            return res.status(404).json({ error: 'Claim not found' });
+        }
+
+        if (claim.status !== 'unverified') {
+            return res.status(400).json({ error: 'This claim has already been verified' });
+        }
+
+        if (claim.code_sends >= MAX_CODE_SENDS) {
+            return res.status(429).json({ error: 'No more codes can be sent for this claim. Contact us to verify your ownership.' });
+        }
+
+        // Reserve the send in one statement so parallel requests cannot exceed the cap or interval
+        const reserved = await db.query(
+            `UPDATE listing_claims SET code_sends = code_sends + 1, code_sent_at = NOW()
+             WHERE id = $1 AND status = 'unverified' AND code_sends < $2
+               AND (code_sent_at IS NULL OR code_sent_at <= NOW() - make_interval(secs => $3))
+             RETURNING code_sends`,
+            [claim.id, MAX_CODE_SENDS, CODE_RESEND_INTERVAL_SECONDS]
+        );
+
+        if (reserved.rows.length === 0) {
+            return res.status(429).json({ error: `Please wait ${CODE_RESEND_INTERVAL_SECONDS} seconds before requesting another code` });
+        }
+
+        const code = createClaimCode();
+
+        await db.query(
+            `UPDATE listing_claims
+             SET code_hash = $1, code_expires_at = $2, code_attempts = 0
+             WHERE id = $3`,
+            [code.code_hash, code.code_expires_at, claim.id]
+        );
+
+        await sendClaimCode(claim, code.code);
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, ip_address)
+             VALUES ($1, 'resend_claim_code', 'listing_claim', $2, $3)`,
+            [req.user.id, claim.id, req.ip]
+        );
+
+        res.json({ message: 'A new verification code has been sent' });
+
+    } catch (error) {
+        console.error('Resend claim code error:', error);
+        res.status(500).json({ error: 'Failed to resend code' });
+    }
+});
+
+module.exports = router;
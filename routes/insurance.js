@@ -0,0 +1,142 @@
+/**
+ * Insurance Carrier Routes
+ * Managed catalog of carriers that listings can be tagged with
+ */
+
+const express = require('express');
+const db = require('../config/database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { insuranceCarrierValidation, idValidation, handleValidationErrors } = require('../middleware/validate');
+const { slugify } = require('../utils/address');
+
+const router = express.Router();
+
+// Get all carriers with the number of active listings accepting each (public)
+router.get('/', async (req, res) => {
+    try {
+        const result = await db.query(`
+            SELECT ic.id, ic.name, ic.slug, COUNT(c.id)::int AS chiropractor_count
+            FROM insurance_carriers ic
+            LEFT JOIN chiropractor_insurance ci ON ci.carrier_id = ic.id
+            LEFT JOIN chiropractors c ON c.id = ci.chiropractor_id AND c.is_active = true AND c.listing_status = 'published'
+            GROUP BY ic.id
+            ORDER BY ic.name ASC
+        `);
+
+        res.json({ carriers: result.rows });
+
+    } catch (error) {
+        console.error('Get insurance carriers error:', error);
+        res.status(500).json({ error: 'Failed to fetch insurance carriers' });
+    }
+});
+
+// Add a carrier to the catalog (admin only)
+router.post('/', verifyToken, isAdmin, insuranceCarrierValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { name } = req.body;
+        const slug = slugify(name);
+
+        const existing = await db.query('SELECT id FROM insurance_carriers WHERE slug = $1', [slug]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'An insurance carrier with this name already exists' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO insurance_carriers (name, slug)
+             VALUES ($1, $2)
+             RETURNING id, name, slug`,
+            [name, slug]
+        );
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'create', 'insurance_carrier', $2, $3, $4)`,
+            [req.user.id, result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.status(201).json({
+            message: 'Insurance carrier created successfully',
+            carrier: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Create insurance carrier error:', error);
+        res.status(500).json({ error: 'Failed to create insurance carrier' });
+    }
+});
+
+// Rename a carrier (admin only)
+router.put('/:id', verifyToken, isAdmin, idValidation, insuranceCarrierValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const { name } = req.body;
+        const slug = slugify(name);
+
+        const current = await db.query('SELECT id, name, slug FROM insurance_carriers WHERE id = $1', [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Insurance carrier not found' });
+        }
+
+        const existing = await db.query(
+            'SELECT id FROM insurance_carriers WHERE slug = $1 AND id != $2',
+            [slug, req.params.id]
+        );
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'An insurance carrier with this name already exists' });
+        }
+
+        const result = await db.query(
+            `UPDATE insurance_carriers
+             SET name = $1, slug = $2
+             WHERE id = $3
+             RETURNING id, name, slug`,
+            [name, slug, req.params.id]
+        );
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update', 'insurance_carrier', $2, $3, $4, $5)`,
+            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({
+            message: 'Insurance carrier updated successfully',
+            carrier: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update insurance carrier error:', error);
+        res.status(500).json({ error: 'Failed to update insurance carrier' });
+    }
+});
+
+// Remove a carrier and untag every listing that accepted it (admin only)
+router.delete('/:id', verifyToken, isAdmin, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM insurance_carriers WHERE id = $1 RETURNING id, name, slug',
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Insurance carrier not found' });
+        }
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
+             VALUES ($1, 'delete', 'insurance_carrier', $2, $3, $4)`,
+            [req.user.id, req.params.id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({ message: 'Insurance carrier deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete insurance carrier error:', error);
+        res.status(500).json({ error: 'Failed to delete insurance carrier' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,283 @@
+/**
+ * Media Routes
+ * Image uploads for listing logos, office photos and blog posts, and the
+ * admin media library. Files are stored on the configured storage backend.
+ */
+
+const express = require('express');
+const db = require('../config/database');
+const { verifyToken, isAdmin } = require('../middleware/auth');
+const { uploadImage } = require('../middleware/upload');
+const {
+    mediaUploadValidation,
+    mediaUpdateValidation,
+    mediaQueueValidation,
+    idValidation,
+    paginationValidation,
+    handleValidationErrors
+} = require('../middleware/validate');
+const {
+    MAX_PHOTOS_PER_LISTING,
+    MEDIA_FIELDS,
+    withUrls,
+    processImage,
+    storeImage,
+    removeFiles
+} = require('../utils/media');
+
+const router = express.Router();
+
+router.use(verifyToken);
+router.use(isAdmin);
+
+// Browse uploaded images, newest first
+router.get('/', paginationValidation, mediaQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 48;
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        if (req.query.kind) {
+            params.push(req.query.kind);
+            conditions.push(`m.kind = $${params.length}`);
+        }
+
+        if (req.query.chiropractor_id) {
+            params.push(req.query.chiropractor_id);
+            conditions.push(`m.chiropractor_id = $${params.length}`);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countResult = await db.query(`SELECT COUNT(*) FROM media m ${whereClause}`, params);
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT ${MEDIA_FIELDS.split(',').map(field => `m.${field.trim()}`).join(', ')},
+                    c.name AS chiropractor_name, u.name AS uploaded_by_name
+             FROM media m
+             LEFT JOIN chiropractors c ON c.id = m.chiropractor_id
+             LEFT JOIN users u ON u.id = m.uploaded_by
+             ${whereClause}
+             ORDER BY m.created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            media: result.rows.map(withUrls),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get media error:', error);
+        res.status(500).json({ error: 'Failed to fetch media' });
+    }
+});
+
+// Upload an image. A new logo replaces the listing's current one.
+router.post('/', uploadImage, mediaUploadValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+    let stored = null;
+
+    try {
+        const { kind, alt_text } = req.body;
+        const chiropractorId = kind === 'blog' ? null : req.body.chiropractor_id;
+
+        if (chiropractorId) {
+            const listing = await client.query(
+                `SELECT c.id, COUNT(m.id) FILTER (WHERE m.kind = 'photo')::int AS photo_count
+                 FROM chiropractors c
+                 LEFT JOIN media m ON m.chiropractor_id = c.id
+                 WHERE c.id = $1
+                 GROUP BY c.id`,
+                [chiropractorId]
+            );
+
+            if (listing.rows.length === 0) {
+                return res.status(404).json({ error: 'Chiropractor not found' });
+            }
+
+            if (kind === 'photo' && listing.rows[0].photo_count >= MAX_PHOTOS_PER_LISTING) {
+                return res.status(400).json({ error: `A listing can have at most ${MAX_PHOTOS_PER_LISTING} photos` });
+            }
+        }
+
+        const image = await processImage(req.file.buffer, kind);
+        if (!image) {
+            return res.status(400).json({ error: 'Uploads must be a JPEG, PNG or WebP image' });
+        }
+
+        stored = await storeImage(image, kind);
+
+        await client.query('BEGIN');
+
+        const replaced = kind === 'logo'
+            ? await client.query(
+                `DELETE FROM media WHERE chiropractor_id = $1 AND kind = 'logo' RETURNING ${MEDIA_FIELDS}`,
+                [chiropractorId]
+            )
+            : { rows: [] };
+
+        // New photos go to the end of the gallery
+        const result = await client.query(
+            `INSERT INTO media (kind, chiropractor_id, storage_backend, storage_key, thumbnail_key, original_name,
+                                mime_type, size_bytes, width, height, alt_text, sort_order, uploaded_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+                     (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM media WHERE chiropractor_id = $2 AND kind = $1),
+                     $12)
+             RETURNING ${MEDIA_FIELDS}`,
+            [
+                kind,
+                chiropractorId,
+                stored.storage_backend,
+                stored.storage_key,
+                stored.thumbnail_key,
+                req.file.originalname ? req.file.originalname.slice(0, 255) : null,
+                image.mimeType,
+                image.data.length,
+                image.width,
+                image.height,
+                alt_text || null,
+                req.user.id
+            ]
+        );
+
+        // Log the action
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'upload', 'media', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                result.rows[0].id,
+                replaced.rows.length > 0 ? JSON.stringify(replaced.rows[0]) : null,
+                JSON.stringify(result.rows[0]),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+        stored = null;
+
+        for (const media of replaced.rows) {
+            await removeFiles(media);
+        }
+
+        res.status(201).json({
+            message: 'Image uploaded successfully',
+            media: withUrls(result.rows[0])
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (stored) {
+            await removeFiles(stored);
+        }
+        console.error('Upload media error:', error);
+        res.status(500).json({ error: 'Failed to upload image' });
+    } finally {
+        client.release();
+    }
+});
+
+// Update an image's alt text or gallery position
+router.put('/:id', mediaUpdateValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const current = await db.query(`SELECT ${MEDIA_FIELDS} FROM media WHERE id = $1`, [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const media = current.rows[0];
+        const altText = req.body.alt_text !== undefined ? req.body.alt_text || null : media.alt_text;
+        const sortOrder = req.body.sort_order !== undefined ? req.body.sort_order : media.sort_order;
+
+        const result = await db.query(
+            `UPDATE media SET alt_text = $1, sort_order = $2
+             WHERE id = $3
+             RETURNING ${MEDIA_FIELDS}`,
+            [altText, sortOrder, media.id]
+        );
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update', 'media', $2, $3, $4, $5)`,
+            [
+                req.user.id,
+                media.id,
+                JSON.stringify({ alt_text: media.alt_text, sort_order: media.sort_order }),
+                JSON.stringify({ alt_text: altText, sort_order: sortOrder }),
+                req.ip
+            ]
+        );
+
+        res.json({
+            message: 'Image updated successfully',
+            media: withUrls(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('Update media error:', error);
+        res.status(500).json({ error: 'Failed to update image' });
+    }
+});
+
+// Delete an image and its files. Blog posts using it as their featured image
+// fall back to no image rather than a broken link.
+router.delete('/:id', idValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `DELETE FROM media WHERE id = $1 RETURNING ${MEDIA_FIELDS}`,
+            [req.params.id]
+        );
+
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Image not found' });
+        }
+
+        const media = withUrls(result.rows[0]);
+
+        if (media.kind === 'blog') {
+            await client.query(
+                'UPDATE blog_posts SET featured_image = NULL WHERE featured_image = $1',
+                [media.url]
+            );
+        }
+
+        // Log the action
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, ip_address)
+             VALUES ($1, 'delete', 'media', $2, $3, $4)`,
+            [req.user.id, media.id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        await client.query('COMMIT');
+
+        await removeFiles(media);
+
+        res.json({ message: 'Image deleted successfully' });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Delete media error:', error);
+        res.status(500).json({ error: 'Failed to delete image' });
+    } finally {
+        client.release();
+    }
+});
+
+module.exports = router;
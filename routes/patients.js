@@ -0,0 +1,514 @@
+/**
+ * Patient Routes
+ * Patient sign-up and sign-in (password or emailed link), and the lists of
+ * chiropractors and blog posts patients save. A list can be shared through a
+ * read-only link that leaves out the owner's private notes.
+ */
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { verifyToken, isPatient, startSession } = require('../middleware/auth');
+const {
+    patientRegisterValidation,
+    loginValidation,
+    magicLinkValidation,
+    magicLinkVerifyValidation,
+    patientPasswordValidation,
+    patientListValidation,
+    listItemValidation,
+    listItemNoteValidation,
+    itemIdValidation,
+    shareTokenValidation,
+    idValidation,
+    handleValidationErrors
+} = require('../middleware/validate');
+const { hashToken } = require('../utils/submissions');
+const {
+    PATIENT_ROLE,
+    MAX_LISTS,
+    LIST_FIELDS,
+    issueMagicLink,
+    createPatient,
+    newShareToken,
+    getListItems
+} = require('../utils/patients');
+
+const router = express.Router();
+
+const patientOnly = [verifyToken, isPatient];
+
+// Public address of a shared list
+const shareUrl = (token) => `/lists/${token}`;
+
+// Find a list owned by the given patient
+const findList = async (listId, userId) => {
+    const result = await db.query(
+        `SELECT ${LIST_FIELDS} FROM patient_lists WHERE id = $1 AND user_id = $2`,
+        [listId, userId]
+    );
+    return result.rows[0] || null;
+};
+
+// Account fields returned to the patient
+const patientResponse = (user) => ({ id: user.id, email: user.email, name: user.name, role: user.role });
+
+// Sign up with a password (public). Nothing is created until the emailed
+// sign-in link is used, which proves the address and creates the account with
+// this password. The response is the same whether or not the address already
+// has an account, as for /magic-link.
+router.post('/register', patientRegisterValidation, handleValidationErrors, async (req, res) => {
+    try {
+        // Hashed up front so both paths take about as long
+        const hashedPassword = await bcrypt.hash(req.body.password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+        const existing = await db.query('SELECT role, is_active FROM users WHERE email = $1', [req.body.email]);
+        const account = existing.rows[0];
+
+        // An existing patient gets a plain sign-in link; their password is left alone
+        if (!account || (account.role === PATIENT_ROLE && account.is_active)) {
+            const link = await issueMagicLink(req.body.email);
+
+            await db.query(
+                `INSERT INTO magic_links (email, token_hash, expires_at, ip_address, password_hash, name)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [
+                    req.body.email,
+                    link.token_hash,
+                    link.expires_at,
+                    req.ip,
+                    account ? null : hashedPassword,
+                    account ? null : req.body.name || null
+                ]
+            );
+        }
+
+        res.status(202).json({ message: 'Check your email for a link to finish signing up' });
+
+    } catch (error) {
+        console.error('Patient register error:', error);
+        res.status(500).json({ error: 'Failed to create account' });
+    }
+});
+
+// Sign in with a password (public). Staff accounts use /api/auth/login.
+router.post('/login', loginValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT id, email, password, name, role, is_active FROM users WHERE email = $1 AND role = $2',
+            [req.body.email, PATIENT_ROLE]
+        );
+
+        const user = result.rows[0];
+        if (!user || !user.password || !(await bcrypt.compare(req.body.password, user.password))) {
+            return res.status(401).json({ error: 'Invalid email or password' });
+        }
+
+        if (!user.is_active) {
+            return res.status(401).json({ error: 'Account is deactivated' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, ip_address, user_agent)
+             VALUES ($1, 'login', $2, $3)`,
+            [user.id, req.ip, req.headers['user-agent']]
+        );
+
+        res.json({
+            message: 'Login successful',
+            user: patientResponse(user),
+            token: startSession(res, user)
+        });
+
+    } catch (error) {
+        console.error('Patient login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Email a sign-in link (public). New addresses get an account when the link
+// is used. The response is the same whatever the address, so it cannot be
+// used to find out who has an account.
+router.post('/magic-link', magicLinkValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const existing = await db.query('SELECT role, is_active FROM users WHERE email = $1', [req.body.email]);
+        const account = existing.rows[0];
+
+        if (!account || (account.role === PATIENT_ROLE && account.is_active)) {
+            const link = await issueMagicLink(req.body.email);
+
+            await db.query(
+                `INSERT INTO magic_links (email, token_hash, expires_at, ip_address)
+                 VALUES ($1, $2, $3, $4)`,
+                [req.body.email, link.token_hash, link.expires_at, req.ip]
+            );
+        }
+
+        res.json({ message: 'If this address can be used for a patient account, we emailed you a sign-in link' });
+
+    } catch (error) {
+        console.error('Magic link error:', error);
+        res.status(500).json({ error: 'Failed to send sign-in link' });
+    }
+});
+
+// Sign in with an emailed link (public). Each link works once.
+router.post('/magic-link/verify', magicLinkVerifyValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const linkResult = await client.query(
+            `UPDATE magic_links SET used_at = NOW()
+             WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+             RETURNING email, password_hash, name`,
+            [hashToken(req.body.token)]
+        );
+
+        if (linkResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This sign-in link is invalid or has expired' });
+        }
+
+        const link = linkResult.rows[0];
+        const email = link.email;
+        const existing = await client.query(
+            'SELECT id, email, name, role, is_active FROM users WHERE email = $1',
+            [email]
+        );
+
+        let user = existing.rows[0];
+        if (user && (user.role !== PATIENT_ROLE || !user.is_active)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This sign-in link is invalid or has expired' });
+        }
+
+        // A sign-up link's password only applies to the account it creates
+        const isNew = !user;
+        if (isNew) {
+            user = await createPatient(client, { email, password: link.password_hash, name: link.name });
+        }
+
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address, user_agent)
+             VALUES ($1, $2, 'user', $1, $3, $4, $5)`,
+            [user.id, isNew ? 'register' : 'login', JSON.stringify({ method: 'magic_link' }), req.ip, req.headers['user-agent']]
+        );
+
+        await client.query('COMMIT');
+
+        res.json({
+            message: 'Login successful',
+            user: patientResponse(user),
+            token: startSession(res, user)
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Magic link verify error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    } finally {
+        client.release();
+    }
+});
+
+// Get the signed-in patient, and whether they have a password yet
+router.get('/me', patientOnly, async (req, res) => {
+    try {
+        const result = await db.query('SELECT password IS NOT NULL AS has_password FROM users WHERE id = $1', [req.user.id]);
+
+        res.json({ user: { ...patientResponse(req.user), has_password: result.rows[0].has_password } });
+
+    } catch (error) {
+        console.error('Get patient error:', error);
+        res.status(500).json({ error: 'Failed to get account' });
+    }
+});
+
+// Set or change the patient's password. Accounts made from a sign-in link
+// have none, so the first one needs no current password.
+router.put('/me/password', patientOnly, patientPasswordValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query('SELECT password FROM users WHERE id = $1', [req.user.id]);
+        const current = result.rows[0].password;
+
+        if (current && !(req.body.currentPassword && await bcrypt.compare(req.body.currentPassword, current))) {
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        const hashedPassword = await bcrypt.hash(req.body.newPassword, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+        await db.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, req.user.id]);
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, ip_address)
+             VALUES ($1, 'password_change', $2)`,
+            [req.user.id, req.ip]
+        );
+
+        res.json({ message: current ? 'Password changed successfully' : 'Password set successfully' });
+
+    } catch (error) {
+        console.error('Set patient password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Get the patient's lists with how many entries each holds
+router.get('/lists', patientOnly, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT ${LIST_FIELDS.split(', ').map(field => `l.${field}`).join(', ')},
+                    (SELECT COUNT(*)::int FROM patient_list_items i WHERE i.list_id = l.id) AS item_count
+             FROM patient_lists l
+             WHERE l.user_id = $1
+             ORDER BY l.created_at ASC, l.id ASC`,
+            [req.user.id]
+        );
+
+        res.json({
+            lists: result.rows.map(list => ({ ...list, share_url: list.share_token ? shareUrl(list.share_token) : null }))
+        });
+
+    } catch (error) {
+        console.error('Get lists error:', error);
+        res.status(500).json({ error: 'Failed to fetch lists' });
+    }
+});
+
+// Create a list
+router.post('/lists', patientOnly, patientListValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const countResult = await db.query('SELECT COUNT(*)::int AS count FROM patient_lists WHERE user_id = $1', [req.user.id]);
+        if (countResult.rows[0].count >= MAX_LISTS) {
+            return res.status(400).json({ error: `You can have up to ${MAX_LISTS} lists` });
+        }
+
+        const result = await db.query(
+            `INSERT INTO patient_lists (user_id, name) VALUES ($1, $2) RETURNING ${LIST_FIELDS}`,
+            [req.user.id, req.body.name]
+        );
+
+        res.status(201).json({ message: 'List created', list: result.rows[0] });
+
+    } catch (error) {
+        console.error('Create list error:', error);
+        res.status(500).json({ error: 'Failed to create list' });
+    }
+});
+
+// Get a list with its entries and notes
+router.get('/lists/:id', patientOnly, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const list = await findList(req.params.id, req.user.id);
+        if (!list) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json({
+            list: { ...list, share_url: list.share_token ? shareUrl(list.share_token) : null },
+            items: await getListItems(list.id, { owner: true })
+        });
+
+    } catch (error) {
+        console.error('Get list error:', error);
+        res.status(500).json({ error: 'Failed to fetch list' });
+    }
+});
+
+// Rename a list
+router.put('/lists/:id', patientOnly, idValidation, patientListValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE patient_lists SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING ${LIST_FIELDS}`,
+            [req.body.name, req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json({ message: 'List renamed', list: result.rows[0] });
+
+    } catch (error) {
+        console.error('Rename list error:', error);
+        res.status(500).json({ error: 'Failed to rename list' });
+    }
+});
+
+// Delete a list and everything saved in it
+router.delete('/lists/:id', patientOnly, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            'DELETE FROM patient_lists WHERE id = $1 AND user_id = $2 RETURNING id',
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json({ message: 'List deleted' });
+
+    } catch (error) {
+        console.error('Delete list error:', error);
+        res.status(500).json({ error: 'Failed to delete list' });
+    }
+});
+
+// Save a published chiropractor or blog post to a list, with an optional note
+router.post('/lists/:id/items', patientOnly, idValidation, listItemValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const list = await findList(req.params.id, req.user.id);
+        if (!list) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        const { chiropractor_id: chiropractorId = null, blog_post_id: blogPostId = null } = req.body;
+        const target = await db.query(
+            chiropractorId
+                ? `SELECT id FROM chiropractors WHERE id = $1 AND is_active = true AND listing_status = 'published'`
+                : 'SELECT id FROM blog_posts WHERE id = $1 AND is_published = true',
+            [chiropractorId || blogPostId]
+        );
+        if (target.rows.length === 0) {
+            return res.status(404).json({ error: chiropractorId ? 'Chiropractor not found' : 'Blog post not found' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO patient_list_items (list_id, chiropractor_id, blog_post_id, note)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT DO NOTHING
+             RETURNING id, chiropractor_id, blog_post_id, note, created_at`,
+            [list.id, chiropractorId, blogPostId, req.body.note || null]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ error: 'Already saved in this list' });
+        }
+
+        res.status(201).json({ message: 'Saved', item: result.rows[0] });
+
+    } catch (error) {
+        console.error('Save list item error:', error);
+        res.status(500).json({ error: 'Failed to save' });
+    }
+});
+
+// Update the private note on a saved entry
+router.put('/lists/:id/items/:itemId', patientOnly, idValidation, listItemNoteValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE patient_list_items i SET note = $1
+             FROM patient_lists l
+             WHERE i.id = $2 AND i.list_id = $3 AND l.id = i.list_id AND l.user_id = $4
+             RETURNING i.id, i.chiropractor_id, i.blog_post_id, i.note, i.created_at`,
+            [req.body.note || null, req.params.itemId, req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Saved item not found' });
+        }
+
+        res.json({ message: 'Note saved', item: result.rows[0] });
+
+    } catch (error) {
+        console.error('Update list item error:', error);
+        res.status(500).json({ error: 'Failed to save note' });
+    }
+});
+
+// Remove a saved entry from a list
+router.delete('/lists/:id/items/:itemId', patientOnly, idValidation, itemIdValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `DELETE FROM patient_list_items i
+             USING patient_lists l
+             WHERE i.id = $1 AND i.list_id = $2 AND l.id = i.list_id AND l.user_id = $3
+             RETURNING i.id`,
+            [req.params.itemId, req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Saved item not found' });
+        }
+
+        res.json({ message: 'Removed from list' });
+
+    } catch (error) {
+        console.error('Delete list item error:', error);
+        res.status(500).json({ error: 'Failed to remove from list' });
+    }
+});
+
+// Share a list through a read-only link; sharing again keeps the same link
+router.post('/lists/:id/share', patientOnly, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE patient_lists SET share_token = COALESCE(share_token, $1)
+             WHERE id = $2 AND user_id = $3
+             RETURNING ${LIST_FIELDS}`,
+            [newShareToken(), req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json({
+            message: 'List shared',
+            list: result.rows[0],
+            share_url: shareUrl(result.rows[0].share_token)
+        });
+
+    } catch (error) {
+        console.error('Share list error:', error);
+        res.status(500).json({ error: 'Failed to share list' });
+    }
+});
+
+// Stop sharing a list; the old link stops working
+router.delete('/lists/:id/share', patientOnly, idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE patient_lists SET share_token = NULL WHERE id = $1 AND user_id = $2 RETURNING ${LIST_FIELDS}`,
+            [req.params.id, req.user.id]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        res.json({ message: 'List is no longer shared', list: result.rows[0] });
+
+    } catch (error) {
+        console.error('Unshare list error:', error);
+        res.status(500).json({ error: 'Failed to stop sharing list' });
+    }
+});
+
+// Get a shared list (public): its name and public entries, without notes
+router.get('/shared/:token', shareTokenValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT l.id, l.name, l.updated_at
+             FROM patient_lists l
+             JOIN users u ON u.id = l.user_id
+             WHERE l.share_token = $1 AND u.is_active = true`,
+            [req.params.token]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+
+        const { id, ...list } = result.rows[0];
+        res.json({ list, items: await getListItems(id) });
+
+    } catch (error) {
+        console.error('Get shared list error:', error);
+        res.status(500).json({ error: 'Failed to fetch list' });
+    }
+});
+
+module.exports = router;
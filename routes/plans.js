@@ -0,0 +1,140 @@
+/**
+ * Listing Plan Routes
+ * The tiers sold on the Advertise page and the features each one unlocks
+ */
+
+const express = require('express');
+const db = require('../config/database');
+const { verifyToken, isAdmin, optionalAuth } = require('../middleware/auth');
+const { planValidation, idValidation, handleValidationErrors } = require('../middleware/validate');
+const { slugify } = require('../utils/address');
+const { FREE_PLAN, PLAN_FIELDS } = require('../utils/plans');
+
+const router = express.Router();
+
+// Plan columns set from the request body, in INSERT/UPDATE order
+const planValues = (body) => ({
+    name: body.name,
+    description: body.description || null,
+    price_cents: body.price_cents,
+    billing_period: body.billing_period,
+    placement_rank: body.placement_rank,
+    is_featured: body.is_featured || false,
+    max_photos: body.max_photos,
+    show_website: body.show_website || false,
+    max_description_length: body.max_description_length || null,
+    is_public: body.is_public || false,
+    sort_order: body.sort_order || 0
+});
+
+// Get the plans on sale (public). Admins also get the free plan and retired
+// plans, with the number of listings currently on each.
+router.get('/', optionalAuth('admin'), async (req, res) => {
+    try {
+        const isAdminUser = req.user && req.user.role === 'admin';
+
+        const result = await db.query(
+            isAdminUser
+                ? `SELECT ${PLAN_FIELDS},
+                          (SELECT COUNT(*)::int FROM chiropractors c
+                           WHERE c.is_active = true AND listing_plan_id(c.id) = listing_plans.id) AS listing_count
+                   FROM listing_plans
+                   ORDER BY sort_order ASC, price_cents ASC`
+                : `SELECT ${PLAN_FIELDS}
+                   FROM listing_plans
+                   WHERE is_public = true
+                   ORDER BY sort_order ASC, price_cents ASC`
+        );
+
+        res.json({ plans: result.rows });
+
+    } catch (error) {
+        console.error('Get plans error:', error);
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+// Create a plan (admin only)
+router.post('/', verifyToken, isAdmin, planValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const slug = slugify(req.body.name);
+
+        const existing = await db.query('SELECT id FROM listing_plans WHERE slug = $1', [slug]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ error: 'A plan with this name already exists' });
+        }
+
+        const values = { slug, ...planValues(req.body) };
+        const columns = Object.keys(values);
+
+        const result = await db.query(
+            `INSERT INTO listing_plans (${columns.join(', ')})
+             VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+             RETURNING ${PLAN_FIELDS}`,
+            Object.values(values)
+        );
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'create', 'listing_plan', $2, $3, $4)`,
+            [req.user.id, result.rows[0].id, JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.status(201).json({
+            message: 'Plan created successfully',
+            plan: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Create plan error:', error);
+        res.status(500).json({ error: 'Failed to create plan' });
+    }
+});
+
+// Update a plan's name, price and features (admin only). The slug never
+// changes, so links to a plan keep working. Listings on the plan pick up the
+// new features on their next request.
+router.put('/:id', verifyToken, isAdmin, idValidation, planValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const current = await db.query(`SELECT ${PLAN_FIELDS} FROM listing_plans WHERE id = $1`, [req.params.id]);
+        if (current.rows.length === 0) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const values = planValues(req.body);
+
+        // Listings fall back to the free plan, so it is never sold
+        if (current.rows[0].slug === FREE_PLAN && (values.price_cents > 0 || values.is_public)) {
+            return res.status(400).json({ error: 'The free plan cannot have a price or be offered for sale' });
+        }
+
+        const columns = Object.keys(values);
+
+        const result = await db.query(
+            `UPDATE listing_plans
+             SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+             WHERE id = $${columns.length + 1}
+             RETURNING ${PLAN_FIELDS}`,
+            [...Object.values(values), req.params.id]
+        );
+
+        // Log the action
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+             VALUES ($1, 'update', 'listing_plan', $2, $3, $4, $5)`,
+            [req.user.id, req.params.id, JSON.stringify(current.rows[0]), JSON.stringify(result.rows[0]), req.ip]
+        );
+
+        res.json({
+            message: 'Plan updated successfully',
+            plan: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Update plan error:', error);
+        res.status(500).json({ error: 'Failed to update plan' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+/**
+ * Practitioner Portal Routes
+ * Owners of a claimed listing propose edits here and work through the
+ * appointment requests patients send them. Proposed edits are held for admin
+ * approval and never touch the live listing directly.
+ */
+
+const express = require('express');
+const db = require('../config/database');
+const { verifyToken, isPractitioner } = require('../middleware/auth');
+const {
+    chiropractorValidation,
+    idValidation,
+    paginationValidation,
+    appointmentStatusValidation,
+    appointmentQueueValidation,
+    handleValidationErrors
+} = require('../middleware/validate');
+const { getListingValues, editableValues, proposedChanges, diffChanges } = require('../utils/listingChanges');
+const { APPOINTMENT_FIELDS, findAppointment, setAppointmentStatus } = require('../utils/appointments');
+
+const router = express.Router();
+
+router.use(verifyToken);
+router.use(isPractitioner);
+
+// Change columns safe to return to the practitioner
+const CHANGE_FIELDS = 'id, chiropractor_id, changes, status, review_note, reviewed_at, created_at, updated_at';
+
+// Most recent proposal per listing
+const latestChanges = async (chiropractorIds) => {
+    const result = await db.query(
+        `SELECT DISTINCT ON (chiropractor_id) ${CHANGE_FIELDS}
+         FROM listing_changes
+         WHERE chiropractor_id = ANY($1::int[])
+         ORDER BY chiropractor_id, created_at DESC`,
+        [chiropractorIds]
+    );
+    return new Map(result.rows.map(change => [change.chiropractor_id, change]));
+};
+
+// Get the listings the signed-in practitioner owns
+router.get('/listings', async (req, res) => {
+    try {
+        // The plan in effect and when the subscription granting it runs out
+        const result = await db.query(
+            `SELECT c.id, c.name, c.city, c.state, c.is_active, c.claimed_at,
+                    p.slug AS plan, p.name AS plan_name,
+                    (SELECT MAX(s.ends_at) FROM chiropractor_subscriptions s
+                     WHERE s.chiropractor_id = c.id AND s.plan_id = p.id AND s.cancelled_at IS NULL
+                       AND s.starts_at <= NOW() AND s.ends_at > NOW()) AS plan_ends_at
+             FROM chiropractors c
+             JOIN listing_plans p ON p.id = listing_plan_id(c.id)
+             WHERE c.claimed_by = $1
+             ORDER BY c.name ASC`,
+            [req.user.id]
+        );
+
+        const changes = await latestChanges(result.rows.map(listing => listing.id));
+
+        res.json({
+            listings: result.rows.map(listing => ({
+                ...listing,
+                latest_change: changes.get(listing.id) || null
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get portal listings error:', error);
+        res.status(500).json({ error: 'Failed to fetch listings' });
+    }
+});
+
+// Get an owned listing's current values and its latest proposal
+router.get('/listings/:id', idValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const listings = await getListingValues(db, [req.params.id]);
+        const listing = listings.get(parseInt(req.params.id));
+
+        if (!listing || listing.claimed_by !== req.user.id) {
+            return res.status(404).json({ error: 'Listing not found' });
+        }
+
+        const changes = await latestChanges([listing.id]);
+
+        res.json({
+            listing: editableValues(listing),
+            latest_change: changes.get(listing.id) || null
+        });
+
+    } catch (error) {
+        console.error('Get portal listing error:', error);
+        res.status(500).json({ error: 'Failed to fetch listing' });
+    }
+});
+
+// Propose edits to an owned listing. A newer proposal replaces a pending one.
+router.put('/listings/:id', idValidation, chiropractorValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const listings = await getListingValues(db, [req.params.id]);
+        const listing = listings.get(parseInt(req.params.id));
+
+        if (!listing || listing.claimed_by !== req.user.id) {
+            return res.status(404).json({ error: 'Listing not found' });
+        }
+
+        const changes = proposedChanges(listing, req.body);
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'No changes to submit' });
+        }
+
+        const result = await db.query(
+            `INSERT INTO listing_changes (chiropractor_id, user_id, changes)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (chiropractor_id) WHERE status = 'pending'
+             DO UPDATE SET user_id = EXCLUDED.user_id, changes = EXCLUDED.changes, created_at = NOW()
+             RETURNING ${CHANGE_FIELDS}`,
+            [listing.id, req.user.id, JSON.stringify(changes)]
+        );
+
+        await db.query(
+            `INSERT INTO audit_log (user_id, action, entity_type, entity_id, new_values, ip_address)
+             VALUES ($1, 'propose_change', 'listing_change', $2, $3, $4)`,
+            [req.user.id, result.rows[0].id, JSON.stringify({ chiropractor_id: listing.id, changes }), req.ip]
+        );
+
+        res.json({
+            message: 'Your changes were submitted for review',
+            change: result.rows[0],
+            diff: diffChanges(listing, changes)
+        });
+
+    } catch (error) {
+        console.error('Propose listing change error:', error);
+        res.status(500).json({ error: 'Failed to submit changes' });
+    }
+});
+
+// Appointment requests for the practitioner's listings, newest first
+router.get('/appointments', paginationValidation, appointmentQueueValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+
+        const conditions = ['c.claimed_by = $1'];
+        const params = [req.user.id];
+
+        if (req.query.status) {
+            params.push(req.query.status);
+            conditions.push(`ar.status = $${params.length}`);
+        }
+
+        const whereClause = conditions.join(' AND ');
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) FROM appointment_requests ar
+             JOIN chiropractors c ON c.id = ar.chiropractor_id
+             WHERE ${whereClause}`,
+            params
+        );
+        const total = parseInt(countResult.rows[0].count);
+
+        const result = await db.query(
+            `SELECT ${APPOINTMENT_FIELDS.split(',').map(field => `ar.${field.trim()}`).join(', ')},
+                    c.name AS chiropractor_name
+             FROM appointment_requests ar
+             JOIN chiropractors c ON c.id = ar.chiropractor_id
+             WHERE ${whereClause}
+             ORDER BY ar.created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+
+        res.json({
+            appointments: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get portal appointments error:', error);
+        res.status(500).json({ error: 'Failed to fetch appointment requests' });
+    }
+});
+
+// Update an appointment request's status; the patient is emailed
+router.post('/appointments/:id/status', appointmentStatusValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const request = await findAppointment(req.params.id, req.user.id);
+        if (!request) {
+            return res.status(404).json({ error: 'Appointment request not found' });
+        }
+
+        if (request.status === req.body.status) {
+            return res.status(400).json({ error: `This request is already ${request.status}` });
+        }
+
+        const appointment = await setAppointmentStatus(request, {
+            status: req.body.status,
+            note: req.body.note,
+            userId: req.user.id,
+            ip: req.ip
+        });
+
+        res.json({
+            message: `Request marked ${appointment.status}. The patient has been notified.`,
+            appointment
+        });
+
+    } catch (error) {
+        console.error('Update appointment status error:', error);
+        res.status(500).json({ error: 'Failed to update appointment request' });
+    }
+});
+
+module.exports = router;
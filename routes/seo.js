@@ -5,9 +5,29 @@
 
 const express = require('express');
 const db = require('../config/database');
+const { normalizeState, slugify } = require('../utils/address');
+const { listingPath } = require('../utils/slugs');
+const { openingHoursSpecification } = require('../utils/hours');
+const { getLocations } = require('../utils/locations');
+const { PUBLIC_REVIEW_FIELDS, RATING_FIELDS } = require('../utils/reviews');
 
 const router = express.Router();
 
+// schema.org PostalAddress for a chiropractor or location row
+const postalAddress = (row) => ({
+    '@type': 'PostalAddress',
+    'streetAddress': row.street || row.address,
+    'addressLocality': row.city || undefined,
+    'addressRegion': row.state_code || row.state,
+    'postalCode': row.postal_code || undefined,
+    'addressCountry': 'US'
+});
+
+// schema.org GeoCoordinates, or undefined when the row is not geocoded
+const geoCoordinates = (row) => (row.latitude !== null && row.longitude !== null
+    ? { '@type': 'GeoCoordinates', 'latitude': row.latitude, 'longitude': row.longitude }
+    : undefined);
+
 // Get SEO data for a page
 router.get('/page/:page', async (req, res) => {
     try {
@@ -92,7 +112,10 @@ router.get('/blog/:slug', async (req, res) => {
             description: post.meta_description || post.excerpt,
             canonical: `${settings.site_url || 'https://justchiropractor.com'}/blog/${slug}`,
             ogType: 'article',
-            ogImage: post.featured_image || `${settings.site_url || 'https://justchiropractor.com'}/images/og-default.jpg`,
+            // Uploaded images may be stored as site-relative paths
+            ogImage: post.featured_image
+                ? new URL(post.featured_image, settings.site_url || 'https://justchiropractor.com').href
+                : `${settings.site_url || 'https://justchiropractor.com'}/images/og-default.jpg`,
             article: {
                 author: post.author,
                 publishedTime: post.published_at
@@ -113,9 +136,10 @@ router.get('/chiropractor/:id', async (req, res) => {
         const { id } = req.params;
 
         const result = await db.query(
-            `SELECT name, state, specialty, address, phone, email
+            `SELECT id, slug, name, state, state_code, street, city, postal_code, specialty, address, phone, email, latitude, longitude,
+                    ${RATING_FIELDS}
              FROM chiropractors
-             WHERE id = $1 AND is_active = true`,
+             WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
             [id]
         );
 
@@ -140,24 +164,72 @@ router.get('/chiropractor/:id', async (req, res) => {
             title: `${chiro.name} - ${chiro.state} Chiropractor | ${settings.site_name || 'Just Chiropractor'}`,
             description: `${chiro.name} - ${chiro.specialty || 'Chiropractor'} in ${chiro.state}. Contact: ${chiro.phone}. Find detailed information and contact this trusted chiropractic professional.`,
             keywords: `${chiro.name}, chiropractor ${chiro.state}, ${chiro.specialty || 'chiropractic care'}`,
-            canonical: `${settings.site_url || 'https://justchiropractor.com'}/chiropractor/${id}`,
+            canonical: `${settings.site_url || 'https://justchiropractor.com'}${listingPath(chiro)}`,
             ogType: 'profile',
             schema: {
                 '@context': 'https://schema.org',
                 '@type': 'MedicalBusiness',
                 'name': chiro.name,
                 'medicalSpecialty': chiro.specialty || 'Chiropractic',
-                'address': {
-                    '@type': 'PostalAddress',
-                    'streetAddress': chiro.address,
-                    'addressRegion': chiro.state,
-                    'addressCountry': 'US'
-                },
+                'address': postalAddress(chiro),
+                'geo': geoCoordinates(chiro),
                 'telephone': chiro.phone,
                 'email': chiro.email
             }
         };
 
+        // The primary location's hours describe the business itself;
+        // other clinics are listed as additional places
+        const locations = await getLocations(id);
+        locations.forEach(location => {
+            const hasHours = location.hours.length > 0 || location.hour_exceptions.length > 0;
+            const hours = hasHours ? openingHoursSpecification(location.hours, location.hour_exceptions) : undefined;
+
+            if (location.is_primary) {
+                seoData.schema.openingHoursSpecification = hours;
+                return;
+            }
+
+            seoData.schema.location = seoData.schema.location || [];
+            seoData.schema.location.push({
+                '@type': 'Place',
+                'name': location.label || `${chiro.name} - ${location.city || location.state}`,
+                'address': postalAddress(location),
+                'geo': geoCoordinates(location),
+                'telephone': location.phone || chiro.phone,
+                'openingHoursSpecification': hours
+            });
+        });
+
+        // Rating from approved reviews only, with the latest few as examples
+        if (chiro.review_count > 0) {
+            seoData.schema.aggregateRating = {
+                '@type': 'AggregateRating',
+                'ratingValue': chiro.rating_average,
+                'reviewCount': chiro.review_count,
+                'bestRating': 5,
+                'worstRating': 1
+            };
+
+            const reviewsResult = await db.query(
+                `SELECT ${PUBLIC_REVIEW_FIELDS}
+                 FROM reviews
+                 WHERE chiropractor_id = $1 AND status = 'approved'
+                 ORDER BY created_at DESC
+                 LIMIT 5`,
+                [id]
+            );
+
+            seoData.schema.review = reviewsResult.rows.map(review => ({
+                '@type': 'Review',
+                'author': { '@type': 'Person', 'name': review.author_name },
+                'datePublished': new Date(review.created_at).toISOString().slice(0, 10),
+                'name': review.title || undefined,
+                'reviewBody': review.body,
+                'reviewRating': { '@type': 'Rating', 'ratingValue': review.rating, 'bestRating': 5, 'worstRating': 1 }
+            }));
+        }
+
         res.json({ seo: seoData });
 
     } catch (error) {
@@ -166,6 +238,92 @@ router.get('/chiropractor/:id', async (req, res) => {
     }
 });
 
+// Get SEO data for a state or city landing page
+router.get('/location/:state/:city?', async (req, res) => {
+    try {
+        const state = normalizeState(req.params.state);
+        if (!state) {
+            return res.status(404).json({ error: 'State not found' });
+        }
+
+        // Listings with several locations in the state count once for the state
+        const [stateCountResult, countResult] = await Promise.all([
+            db.query(
+                `SELECT COUNT(DISTINCT c.id)::int AS count
+                 FROM chiropractor_locations l
+                 JOIN chiropractors c ON c.id = l.chiropractor_id
+                 WHERE l.state = $1 AND c.is_active = true AND c.listing_status = 'published'`,
+                [state.name]
+            ),
+            db.query(
+                `SELECT l.city, COUNT(DISTINCT c.id)::int AS count
+                 FROM chiropractor_locations l
+                 JOIN chiropractors c ON c.id = l.chiropractor_id
+                 WHERE l.state = $1 AND c.is_active = true AND c.listing_status = 'published'
+                 GROUP BY l.city`,
+                [state.name]
+            )
+        ]);
+
+        let city = null;
+        let count = stateCountResult.rows[0].count;
+        if (req.params.city) {
+            const match = countResult.rows.find(row => row.city && slugify(row.city) === slugify(req.params.city));
+            if (!match) {
+                return res.status(404).json({ error: 'City not found' });
+            }
+            city = match.city;
+            count = match.count;
+        }
+
+        // Get site settings
+        const settingsResult = await db.query(
+            `SELECT setting_key, setting_value FROM site_settings
+             WHERE setting_key IN ('site_name', 'site_url')`
+        );
+
+        const settings = {};
+        settingsResult.rows.forEach(row => {
+            settings[row.setting_key] = row.setting_value;
+        });
+
+        const siteUrl = settings.site_url || 'https://justchiropractor.com';
+        const place = city ? `${city}, ${state.code}` : state.name;
+        const pagePath = city
+            ? `/chiropractors/${slugify(state.name)}/${slugify(city)}`
+            : `/chiropractors/${slugify(state.name)}`;
+
+        const seoData = {
+            title: `Chiropractors in ${place} | ${settings.site_name || 'Just Chiropractor'}`,
+            description: `Find ${count} trusted chiropractor${count !== 1 ? 's' : ''} in ${place}. Compare specialties, contact details and locations.`,
+            keywords: `chiropractor ${place}, chiropractic care ${city || state.name}, ${state.name} chiropractors`,
+            canonical: `${siteUrl}${pagePath}`,
+            ogType: 'website',
+            schema: {
+                '@context': 'https://schema.org',
+                '@type': 'BreadcrumbList',
+                'itemListElement': [
+                    { '@type': 'ListItem', 'position': 1, 'name': 'Home', 'item': `${siteUrl}/` },
+                    { '@type': 'ListItem', 'position': 2, 'name': 'Directory', 'item': `${siteUrl}/directory` },
+                    { '@type': 'ListItem', 'position': 3, 'name': state.name, 'item': `${siteUrl}/chiropractors/${slugify(state.name)}` }
+                ]
+            }
+        };
+
+        if (city) {
+            seoData.schema.itemListElement.push(
+                { '@type': 'ListItem', 'position': 4, 'name': city, 'item': `${siteUrl}${pagePath}` }
+            );
+        }
+
+        res.json({ seo: seoData });
+
+    } catch (error) {
+        console.error('Get location SEO error:', error);
+        res.status(500).json({ error: 'Failed to fetch SEO data' });
+    }
+});
+
 // Generate dynamic sitemap data
 router.get('/sitemap-data', async (req, res) => {
     try {
@@ -178,17 +336,33 @@ router.get('/sitemap-data', async (req, res) => {
             { url: '/blog', priority: 0.8, changefreq: 'daily' }
         ];
 
-        // Get all states with chiropractors
-        const statesResult = await db.query(`
-            SELECT DISTINCT state FROM chiropractors WHERE is_active = true ORDER BY state
+        // Get all state and city landing pages with chiropractors, from every location
+        const locationsResult = await db.query(`
+            SELECT DISTINCT l.state, l.city
+            FROM chiropractor_locations l
+            JOIN chiropractors c ON c.id = l.chiropractor_id
+            WHERE c.is_active = true AND c.listing_status = 'published'
+            ORDER BY l.state, l.city
         `);
 
-        statesResult.rows.forEach(row => {
-            pages.push({
-                url: `/directory?state=${encodeURIComponent(row.state)}`,
-                priority: 0.7,
-                changefreq: 'weekly'
-            });
+        const seenStates = new Set();
+        locationsResult.rows.forEach(row => {
+            const stateSlug = slugify(row.state);
+            if (!seenStates.has(stateSlug)) {
+                seenStates.add(stateSlug);
+                pages.push({
+                    url: `/chiropractors/${stateSlug}`,
+                    priority: 0.7,
+                    changefreq: 'weekly'
+                });
+            }
+            if (row.city) {
+                pages.push({
+                    url: `/chiropractors/${stateSlug}/${slugify(row.city)}`,
+                    priority: 0.65,
+                    changefreq: 'weekly'
+                });
+            }
         });
 
         // Get all published blog posts
@@ -207,13 +381,12 @@ router.get('/sitemap-data', async (req, res) => {
 
         // Get all chiropractors
         const chirosResult = await db.query(`
-            SELECT id, name, updated_at FROM chiropractors WHERE is_active = true ORDER BY name
+            SELECT id, slug, updated_at FROM chiropractors WHERE is_active = true AND listing_status = 'published' ORDER BY name
         `);
 
         chirosResult.rows.forEach(row => {
-            const slug = row.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
             pages.push({
-                url: `/chiropractor/${row.id}/${slug}`,
+                url: listingPath(row),
                 priority: 0.5,
                 changefreq: 'monthly',
                 lastmod: row.updated_at
@@ -0,0 +1,123 @@
+/**
+ * Listing Submission Routes
+ * The public submits a practice, which is created as a pending listing.
+ * Submitters confirm their email address, then an admin approves or rejects it.
+ */
+
+const express = require('express');
+const db = require('../config/database');
+const { submissionValidation, submissionConfirmValidation, handleValidationErrors } = require('../middleware/validate');
+const { buildChiropractorValues } = require('../utils/chiropractors');
+const { savePrimaryLocation, syncChiropractorLocations } = require('../utils/locations');
+const { setChiropractorInsurance } = require('../utils/insurance');
+const { hashToken, issueConfirmation } = require('../utils/submissions');
+
+const router = express.Router();
+
+// Submit a practice (public)
+router.post('/', submissionValidation, handleValidationErrors, async (req, res) => {
+    const client = await db.pool.connect();
+
+    try {
+        // Featuring is an admin decision
+        const values = { ...buildChiropractorValues(req.body), listing_status: 'pending' };
+        const columns = Object.keys(values);
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO chiropractors (${columns.join(', ')})
+             VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+             RETURNING id, name, listing_status`,
+            Object.values(values)
+        );
+
+        const listing = result.rows[0];
+
+        await savePrimaryLocation(client, listing.id, values);
+        await syncChiropractorLocations(client, listing.id);
+
+        if (req.body.insurance_ids) {
+            await setChiropractorInsurance(client, listing.id, req.body.insurance_ids);
+        }
+
+        const submitter = { submitter_name: req.body.submitter_name, submitter_email: req.body.submitter_email };
+
+        // Sent before commit so a delivery failure leaves no submission behind
+        const confirmation = await issueConfirmation(submitter, listing);
+
+        const submissionResult = await client.query(
+            `INSERT INTO listing_submissions
+                (chiropractor_id, submitter_name, submitter_email, token_hash, token_expires_at, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING id, chiropractor_id, status, created_at`,
+            [
+                listing.id,
+                submitter.submitter_name,
+                submitter.submitter_email,
+                confirmation.token_hash,
+                confirmation.token_expires_at,
+                req.ip
+            ]
+        );
+
+        // Log the action (no user: submissions come from the public)
+        await client.query(
+            `INSERT INTO audit_log (action, entity_type, entity_id, new_values, ip_address)
+             VALUES ('submit_listing', 'listing_submission', $1, $2, $3)`,
+            [
+                submissionResult.rows[0].id,
+                JSON.stringify({ ...values, insurance_ids: req.body.insurance_ids, chiropractor_id: listing.id }),
+                req.ip
+            ]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(201).json({
+            message: 'Thanks! Check your email for a link to confirm your submission.',
+            submission: submissionResult.rows[0]
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Submit listing error:', error);
+        res.status(500).json({ error: 'Failed to submit listing' });
+    } finally {
+        client.release();
+    }
+});
+
+// Confirm a submission from the emailed link (public)
+router.post('/confirm', submissionConfirmValidation, handleValidationErrors, async (req, res) => {
+    try {
+        const result = await db.query(
+            `UPDATE listing_submissions
+             SET status = 'confirmed', confirmed_at = NOW(), token_hash = NULL, token_expires_at = NULL
+             WHERE token_hash = $1 AND status = 'unconfirmed' AND token_expires_at > NOW()
+             RETURNING id, chiropractor_id, status, confirmed_at`,
+            [hashToken(req.body.token)]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(400).json({ error: 'This confirmation link is invalid or has expired' });
+        }
+
+        await db.query(
+            `INSERT INTO audit_log (action, entity_type, entity_id, ip_address)
+             VALUES ('confirm_submission', 'listing_submission', $1, $2)`,
+            [result.rows[0].id, req.ip]
+        );
+
+        res.json({
+            message: 'Thanks for confirming. Our team will review your listing shortly.',
+            submission: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('Confirm submission error:', error);
+        res.status(500).json({ error: 'Failed to confirm submission' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * License Check Script
+ * Flags verified licenses that are expiring, due a re-check or lapsed and
+ * emails the practitioners managing those listings.
+ * The server runs the same check daily (LICENSE_CHECK_INTERVAL_HOURS); this
+ * script is for running it by hand or from cron with that set to 0. Admins
+ * can also run a check from the dashboard.
+ *
+ * Usage: npm run db:licenses
+ * Cron, daily at 03:00: 0 3 * * * cd /path/to/app && npm run db:licenses
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const { checkLicenses } = require('../utils/licenses');
+
+const run = async () => {
+    try {
+        console.log('Checking license dates...');
+
+        const result = await checkLicenses();
+
+        console.log(`${result.expiring} licenses flagged as expiring, ${result.lapsed} as lapsed`);
+
+    } catch (error) {
+        console.error('Error checking licenses:', error);
+        throw error;
+    } finally {
+        await db.pool.end();
+    }
+};
+
+run().catch(() => process.exit(1));
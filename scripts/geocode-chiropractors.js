@@ -0,0 +1,77 @@
+/**
+ * Geocoding Backfill Script
+ * Fills latitude/longitude for practice locations from their address ZIP code,
+ * then copies each primary location's coordinates onto its chiropractor
+ *
+ * Usage: node scripts/geocode-chiropractors.js [--all]
+ *   --all  re-geocode every listing, not only those missing coordinates
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { geocodeAddress } = require('../utils/geo');
+
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL
+});
+
+const geocodeChiropractors = async () => {
+    const client = await pool.connect();
+    const all = process.argv.includes('--all');
+
+    try {
+        console.log('Starting geocoding backfill...');
+
+        const result = await client.query(`
+            SELECT l.id, c.name, l.address
+            FROM chiropractor_locations l
+            JOIN chiropractors c ON c.id = l.chiropractor_id
+            ${all ? '' : 'WHERE l.latitude IS NULL OR l.longitude IS NULL'}
+            ORDER BY l.id
+        `);
+
+        let updated = 0;
+        const unresolved = [];
+
+        await client.query('BEGIN');
+
+        for (const row of result.rows) {
+            const coords = geocodeAddress(row.address);
+            if (!coords) {
+                unresolved.push(row);
+                continue;
+            }
+
+            await client.query(
+                'UPDATE chiropractor_locations SET latitude = $1, longitude = $2 WHERE id = $3',
+                [coords.latitude, coords.longitude, row.id]
+            );
+            updated++;
+        }
+
+        await client.query(`
+            UPDATE chiropractors c
+            SET latitude = l.latitude, longitude = l.longitude
+            FROM chiropractor_locations l
+            WHERE l.chiropractor_id = c.id AND l.is_primary
+        `);
+
+        await client.query('COMMIT');
+
+        console.log(`Geocoded ${updated} of ${result.rows.length} locations`);
+        if (unresolved.length > 0) {
+            console.log('Could not find a ZIP code for:');
+            unresolved.forEach(row => console.log(`  #${row.id} ${row.name}: ${row.address}`));
+        }
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error geocoding chiropractors:', error);
+        throw error;
+    } finally {
+        client.release();
+        await pool.end();
+    }
+};
+
+geocodeChiropractors().catch(console.error);
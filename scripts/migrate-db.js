@@ -0,0 +1,85 @@
+/**
+ * Database Migration Script
+ * Applies incremental schema changes on top of the tables created by init-db.js
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Apply every migration not yet recorded in schema_migrations, in filename
+ * order, each in its own transaction. Returns how many were applied.
+ */
+const applyMigrations = async (client) => {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            name VARCHAR(255) PRIMARY KEY,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    const appliedResult = await client.query('SELECT name FROM schema_migrations');
+    const applied = new Set(appliedResult.rows.map(row => row.name));
+
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .sort();
+
+    let count = 0;
+    for (const file of files) {
+        const name = path.basename(file, '.js');
+        if (applied.has(name)) continue;
+
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+
+        try {
+            await client.query('BEGIN');
+            await migration.up(client);
+            await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+            await client.query('COMMIT');
+            console.log(`Applied ${name}`);
+            count++;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`Migration ${name} failed:`, error);
+            throw error;
+        }
+    }
+
+    return count;
+};
+
+const runMigrations = async () => {
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL
+    });
+    const client = await pool.connect();
+
+    try {
+        console.log('Starting database migration...');
+
+        const count = await applyMigrations(client);
+
+        console.log(count > 0
+            ? `Database migration completed: ${count} migration(s) applied`
+            : 'Database is already up to date');
+
+    } finally {
+        client.release();
+        await pool.end();
+    }
+};
+
+// A failed migration must fail the deploy
+if (require.main === module) {
+    runMigrations().catch((error) => {
+        console.error('Error running migrations:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { applyMigrations };
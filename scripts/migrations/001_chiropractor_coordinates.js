@@ -0,0 +1,17 @@
+/**
+ * Store latitude/longitude per listing for radius search
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+                ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION;
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_coordinates ON chiropractors(latitude, longitude);
+        `);
+    }
+};
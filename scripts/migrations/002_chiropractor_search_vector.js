@@ -0,0 +1,27 @@
+/**
+ * Weighted full-text search vector and trigram indexes for directory search
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+
+        // name > specialty > description > address
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS search_vector tsvector
+                GENERATED ALWAYS AS (
+                    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+                    setweight(to_tsvector('english', COALESCE(specialty, '')), 'B') ||
+                    setweight(to_tsvector('english', COALESCE(description, '')), 'C') ||
+                    setweight(to_tsvector('english', COALESCE(address, '')), 'D')
+                ) STORED;
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_search_vector ON chiropractors USING GIN (search_vector);
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_name_trgm ON chiropractors USING GIN (name gin_trgm_ops);
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_specialty_trgm ON chiropractors USING GIN (specialty gin_trgm_ops);
+        `);
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * City and accepts-new-patients columns for faceted directory search
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS city VARCHAR(100),
+                ADD COLUMN IF NOT EXISTS accepts_new_patients BOOLEAN DEFAULT true;
+        `);
+
+        // Backfill city from addresses shaped like "123 Main Street, Houston, TX 77001"
+        await client.query(`
+            UPDATE chiropractors
+            SET city = TRIM((regexp_match(address, ',\\s*([^,]+),\\s*[A-Za-z .]+\\s+\\d{5}(-\\d{4})?\\s*$'))[1])
+            WHERE city IS NULL;
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_city ON chiropractors(city);
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_accepts_new_patients ON chiropractors(accepts_new_patients);
+        `);
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Split chiropractor addresses into street, city, state code and postal code,
+ * and normalize free-text states ("CA", "Calif.") to the US_STATES names
+ */
+
+const { normalizeState, parseAddress } = require('../../utils/address');
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS street VARCHAR(255),
+                ADD COLUMN IF NOT EXISTS state_code CHAR(2),
+                ADD COLUMN IF NOT EXISTS postal_code VARCHAR(10);
+        `);
+
+        const result = await client.query('SELECT id, state, city, address FROM chiropractors ORDER BY id');
+        const unresolved = [];
+
+        for (const row of result.rows) {
+            const parsed = parseAddress(row.address);
+            const state = normalizeState(row.state) || (parsed.state ? { name: parsed.state, code: parsed.state_code } : null);
+
+            if (!state) {
+                unresolved.push(row);
+            }
+
+            await client.query(
+                `UPDATE chiropractors
+                 SET street = $1, city = $2, state = $3, state_code = $4, postal_code = $5
+                 WHERE id = $6`,
+                [
+                    parsed.street,
+                    row.city || parsed.city,
+                    state ? state.name : row.state,
+                    state ? state.code : null,
+                    parsed.postal_code,
+                    row.id
+                ]
+            );
+        }
+
+        if (unresolved.length > 0) {
+            console.log(`  ${unresolved.length} chiropractor(s) have a state that is not in US_STATES:`);
+            unresolved.forEach(row => console.log(`    #${row.id}: "${row.state}"`));
+        }
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_state_code ON chiropractors(state_code);
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_state_city ON chiropractors(state, city);
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_postal_code ON chiropractors(postal_code);
+        `);
+    }
+};
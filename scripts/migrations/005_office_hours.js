@@ -0,0 +1,56 @@
+/**
+ * Weekly office hours, holiday exceptions and a time zone per listing
+ */
+
+const { timezoneForState } = require('../../utils/hours');
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York';
+        `);
+
+        // Default existing listings to their state's primary time zone
+        const result = await client.query('SELECT DISTINCT state_code FROM chiropractors WHERE state_code IS NOT NULL');
+        for (const row of result.rows) {
+            await client.query(
+                'UPDATE chiropractors SET timezone = $1 WHERE state_code = $2',
+                [timezoneForState(row.state_code), row.state_code]
+            );
+        }
+
+        // A day may have several intervals (e.g. closed for lunch)
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS office_hours (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+                opens_at TIME NOT NULL,
+                closes_at TIME NOT NULL,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK (closes_at > opens_at)
+            );
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS office_hour_exceptions (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                exception_date DATE NOT NULL,
+                is_closed BOOLEAN NOT NULL DEFAULT true,
+                opens_at TIME,
+                closes_at TIME,
+                label VARCHAR(255),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (chiropractor_id, exception_date),
+                CHECK (is_closed OR (opens_at IS NOT NULL AND closes_at IS NOT NULL AND closes_at > opens_at))
+            );
+        `);
+
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_office_hours_chiropractor ON office_hours(chiropractor_id, day_of_week);
+            CREATE INDEX IF NOT EXISTS idx_office_hour_exceptions_chiropractor ON office_hour_exceptions(chiropractor_id, exception_date);
+        `);
+    }
+};
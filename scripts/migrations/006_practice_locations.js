@@ -0,0 +1,102 @@
+/**
+ * Practice locations: one chiropractor profile owns many clinic locations,
+ * each with its own address, phone and office hours
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chiropractor_locations (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                label VARCHAR(255),
+                street VARCHAR(255),
+                city VARCHAR(100),
+                state VARCHAR(100) NOT NULL,
+                state_code CHAR(2),
+                postal_code VARCHAR(10),
+                address TEXT NOT NULL,
+                phone VARCHAR(50),
+                latitude DOUBLE PRECISION,
+                longitude DOUBLE PRECISION,
+                timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+                is_primary BOOLEAN NOT NULL DEFAULT false,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_chiropractor_locations_primary
+                ON chiropractor_locations(chiropractor_id) WHERE is_primary;
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_locations_chiropractor ON chiropractor_locations(chiropractor_id);
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_locations_state_city ON chiropractor_locations(state, city);
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_locations_coordinates ON chiropractor_locations(latitude, longitude);
+
+            DROP TRIGGER IF EXISTS update_chiropractor_locations_updated_at ON chiropractor_locations;
+            CREATE TRIGGER update_chiropractor_locations_updated_at
+                BEFORE UPDATE ON chiropractor_locations
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        // Each existing listing becomes its own primary location
+        await client.query(`
+            INSERT INTO chiropractor_locations
+                (chiropractor_id, street, city, state, state_code, postal_code, address, phone,
+                 latitude, longitude, timezone, is_primary)
+            SELECT id, street, city, state, state_code, postal_code, address, phone,
+                   latitude, longitude, timezone, true
+            FROM chiropractors c
+            WHERE NOT EXISTS (SELECT 1 FROM chiropractor_locations l WHERE l.chiropractor_id = c.id)
+        `);
+
+        // Office hours now belong to a location rather than the profile
+        for (const table of ['office_hours', 'office_hour_exceptions']) {
+            await client.query(`
+                ALTER TABLE ${table}
+                    ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES chiropractor_locations(id) ON DELETE CASCADE;
+            `);
+            await client.query(`
+                UPDATE ${table} t SET location_id = l.id
+                FROM chiropractor_locations l
+                WHERE l.chiropractor_id = t.chiropractor_id AND l.is_primary AND t.location_id IS NULL
+            `);
+            await client.query(`
+                ALTER TABLE ${table}
+                    ALTER COLUMN location_id SET NOT NULL,
+                    DROP COLUMN IF EXISTS chiropractor_id;
+            `);
+        }
+
+        await client.query(`
+            ALTER TABLE office_hour_exceptions
+                ADD CONSTRAINT office_hour_exceptions_location_date_key UNIQUE (location_id, exception_date);
+            CREATE INDEX IF NOT EXISTS idx_office_hours_location ON office_hours(location_id, day_of_week);
+        `);
+
+        // Addresses of every location, kept in sync by the app, so search matches any of them
+        await client.query('ALTER TABLE chiropractors ADD COLUMN IF NOT EXISTS location_search TEXT;');
+        await client.query(`
+            UPDATE chiropractors c SET location_search = (
+                SELECT string_agg(CONCAT_WS(' ', l.label, l.address), ' ')
+                FROM chiropractor_locations l
+                WHERE l.chiropractor_id = c.id
+            )
+        `);
+
+        // Generated columns cannot be altered, so rebuild the vector on location_search
+        await client.query(`
+            ALTER TABLE chiropractors DROP COLUMN IF EXISTS search_vector;
+            ALTER TABLE chiropractors
+                ADD COLUMN search_vector tsvector
+                GENERATED ALWAYS AS (
+                    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+                    setweight(to_tsvector('english', COALESCE(specialty, '')), 'B') ||
+                    setweight(to_tsvector('english', COALESCE(description, '')), 'C') ||
+                    setweight(to_tsvector('english', COALESCE(location_search, address, '')), 'D')
+                ) STORED;
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_search_vector ON chiropractors USING GIN (search_vector);
+        `);
+    }
+};
@@ -0,0 +1,62 @@
+/**
+ * Insurance carrier catalog linked to listings, plus payment option flags
+ */
+
+const { slugify } = require('../../utils/address');
+
+// Starting catalog; admins manage it from the admin panel afterwards.
+// Medicare is a payment flag on the listing rather than a catalog entry.
+const DEFAULT_CARRIERS = [
+    'Aetna',
+    'Blue Cross Blue Shield',
+    'Cigna',
+    'Humana',
+    'Kaiser Permanente',
+    'Medicaid',
+    'Tricare',
+    'UnitedHealthcare',
+    'Workers\' Compensation'
+];
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS insurance_carriers (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL UNIQUE,
+                slug VARCHAR(255) NOT NULL UNIQUE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            DROP TRIGGER IF EXISTS update_insurance_carriers_updated_at ON insurance_carriers;
+            CREATE TRIGGER update_insurance_carriers_updated_at
+                BEFORE UPDATE ON insurance_carriers
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chiropractor_insurance (
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                carrier_id INTEGER NOT NULL REFERENCES insurance_carriers(id) ON DELETE CASCADE,
+                PRIMARY KEY (chiropractor_id, carrier_id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_insurance_carrier ON chiropractor_insurance(carrier_id);
+        `);
+
+        for (const name of DEFAULT_CARRIERS) {
+            await client.query(
+                'INSERT INTO insurance_carriers (name, slug) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+                [name, slugify(name)]
+            );
+        }
+
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS cash_only BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS accepts_medicare BOOLEAN NOT NULL DEFAULT false,
+                ADD COLUMN IF NOT EXISTS sliding_scale BOOLEAN NOT NULL DEFAULT false;
+        `);
+    }
+};
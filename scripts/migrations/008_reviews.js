@@ -0,0 +1,44 @@
+/**
+ * Patient reviews with a moderation queue, plus the approved rating summary
+ * kept on each listing for display and sorting
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS reviews (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+                title VARCHAR(255),
+                body TEXT NOT NULL,
+                author_name VARCHAR(255) NOT NULL,
+                author_email VARCHAR(255),
+                status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'approved', 'rejected', 'flagged')),
+                moderation_note TEXT,
+                moderated_by INTEGER REFERENCES users(id),
+                moderated_at TIMESTAMP WITH TIME ZONE,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_reviews_chiropractor_status ON reviews(chiropractor_id, status);
+            CREATE INDEX IF NOT EXISTS idx_reviews_status_created ON reviews(status, created_at);
+
+            DROP TRIGGER IF EXISTS update_reviews_updated_at ON reviews;
+            CREATE TRIGGER update_reviews_updated_at
+                BEFORE UPDATE ON reviews
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS rating_average NUMERIC(3, 2),
+                ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_rating ON chiropractors(rating_average DESC NULLS LAST, review_count DESC);
+        `);
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * Claim-your-listing: practitioner accounts claim a chiropractor listing,
+ * prove ownership with a code sent to the listing's email, then an admin approves
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS listing_claims (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+                    CHECK (status IN ('unverified', 'verified', 'approved', 'rejected', 'revoked')),
+                code_hash VARCHAR(64),
+                code_expires_at TIMESTAMP WITH TIME ZONE,
+                code_attempts INTEGER NOT NULL DEFAULT 0,
+                verified_at TIMESTAMP WITH TIME ZONE,
+                reviewed_by INTEGER REFERENCES users(id),
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                review_note TEXT,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- A listing has at most one approved owner
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_claims_approved
+                ON listing_claims(chiropractor_id) WHERE status = 'approved';
+            CREATE INDEX IF NOT EXISTS idx_listing_claims_user ON listing_claims(user_id);
+            CREATE INDEX IF NOT EXISTS idx_listing_claims_status ON listing_claims(status, created_at);
+
+            DROP TRIGGER IF EXISTS update_listing_claims_updated_at ON listing_claims;
+            CREATE TRIGGER update_listing_claims_updated_at
+                BEFORE UPDATE ON listing_claims
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        // The approved owner, mirrored onto the listing for the "Claimed" badge
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS claimed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE;
+        `);
+    }
+};
@@ -0,0 +1,35 @@
+/**
+ * Edits proposed by a listing's practitioner, held for admin approval
+ * instead of overwriting the live row
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS listing_changes (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                changes JSONB NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending'
+                    CHECK (status IN ('pending', 'approved', 'rejected')),
+                reviewed_by INTEGER REFERENCES users(id),
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                review_note TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- A newer proposal replaces the pending one rather than queueing behind it
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_changes_pending
+                ON listing_changes(chiropractor_id) WHERE status = 'pending';
+            CREATE INDEX IF NOT EXISTS idx_listing_changes_status ON listing_changes(status, created_at);
+
+            DROP TRIGGER IF EXISTS update_listing_changes_updated_at ON listing_changes;
+            CREATE TRIGGER update_listing_changes_updated_at
+                BEFORE UPDATE ON listing_changes
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * Appointment requests sent from a listing, worked through by the practice
+ * owner or an admin
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS appointment_requests (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                patient_name VARCHAR(255) NOT NULL,
+                patient_email VARCHAR(255) NOT NULL,
+                patient_phone VARCHAR(50),
+                preferred_times JSONB NOT NULL DEFAULT '[]',
+                reason TEXT,
+                is_new_patient BOOLEAN NOT NULL DEFAULT true,
+                status VARCHAR(20) NOT NULL DEFAULT 'new'
+                    CHECK (status IN ('new', 'contacted', 'booked', 'declined')),
+                status_note TEXT,
+                updated_by INTEGER REFERENCES users(id),
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_appointment_requests_chiropractor_status
+                ON appointment_requests(chiropractor_id, status, created_at);
+            CREATE INDEX IF NOT EXISTS idx_appointment_requests_status ON appointment_requests(status, created_at);
+            -- Per-patient throttling looks up recent requests by email
+            CREATE INDEX IF NOT EXISTS idx_appointment_requests_email
+                ON appointment_requests(LOWER(patient_email), created_at);
+
+            DROP TRIGGER IF EXISTS update_appointment_requests_updated_at ON appointment_requests;
+            CREATE TRIGGER update_appointment_requests_updated_at
+                BEFORE UPDATE ON appointment_requests
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * Public "submit your practice" flow. Submitted listings start out pending,
+ * which is separate from the soft-deleted is_active = false state, and only
+ * published listings are shown publicly.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS listing_status VARCHAR(20) NOT NULL DEFAULT 'published'
+                    CHECK (listing_status IN ('pending', 'published', 'rejected'));
+
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_listing_status ON chiropractors(listing_status);
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS listing_submissions (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                submitter_name VARCHAR(255) NOT NULL,
+                submitter_email VARCHAR(255) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'unconfirmed'
+                    CHECK (status IN ('unconfirmed', 'confirmed', 'approved', 'rejected')),
+                token_hash VARCHAR(64),
+                token_expires_at TIMESTAMP WITH TIME ZONE,
+                confirmed_at TIMESTAMP WITH TIME ZONE,
+                reviewed_by INTEGER REFERENCES users(id),
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                review_note TEXT,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_listing_submissions_token
+                ON listing_submissions(token_hash) WHERE token_hash IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_listing_submissions_status ON listing_submissions(status, created_at);
+
+            DROP TRIGGER IF EXISTS update_listing_submissions_updated_at ON listing_submissions;
+            CREATE TRIGGER update_listing_submissions_updated_at
+                BEFORE UPDATE ON listing_submissions
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
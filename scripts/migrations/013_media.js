@@ -0,0 +1,35 @@
+/**
+ * Uploaded images: listing logos, office photos and blog images. The files
+ * live on the configured storage backend; rows hold their keys and metadata.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS media (
+                id SERIAL PRIMARY KEY,
+                kind VARCHAR(20) NOT NULL CHECK (kind IN ('logo', 'photo', 'blog')),
+                chiropractor_id INTEGER REFERENCES chiropractors(id) ON DELETE CASCADE,
+                storage_backend VARCHAR(20) NOT NULL,
+                storage_key VARCHAR(255) NOT NULL UNIQUE,
+                thumbnail_key VARCHAR(255) NOT NULL UNIQUE,
+                original_name VARCHAR(255),
+                mime_type VARCHAR(50) NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                width INTEGER NOT NULL,
+                height INTEGER NOT NULL,
+                alt_text VARCHAR(255),
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                uploaded_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK ((kind = 'blog') = (chiropractor_id IS NULL))
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_media_chiropractor ON media(chiropractor_id, kind, sort_order);
+            CREATE INDEX IF NOT EXISTS idx_media_kind_created ON media(kind, created_at);
+            -- A listing has at most one logo; uploading a new one replaces it
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_media_one_logo
+                ON media(chiropractor_id) WHERE kind = 'logo';
+        `);
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Duplicate listing detection: scored candidate pairs for admin review, and
+ * the listing a merged duplicate now redirects to
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS merged_into_id INTEGER REFERENCES chiropractors(id) ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_merged_into
+                ON chiropractors(merged_into_id) WHERE merged_into_id IS NOT NULL;
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS duplicate_candidates (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id_a INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                chiropractor_id_b INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                score NUMERIC(4, 3) NOT NULL,
+                signals JSONB NOT NULL DEFAULT '{}',
+                status VARCHAR(20) NOT NULL DEFAULT 'open'
+                    CHECK (status IN ('open', 'dismissed', 'merged')),
+                reviewed_by INTEGER REFERENCES users(id),
+                reviewed_at TIMESTAMP WITH TIME ZONE,
+                detected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                -- Each pair is stored once, lower ID first
+                CHECK (chiropractor_id_a < chiropractor_id_b),
+                UNIQUE (chiropractor_id_a, chiropractor_id_b)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_status_score
+                ON duplicate_candidates(status, score DESC);
+            CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_b ON duplicate_candidates(chiropractor_id_b);
+
+            DROP TRIGGER IF EXISTS update_duplicate_candidates_updated_at ON duplicate_candidates;
+            CREATE TRIGGER update_duplicate_candidates_updated_at
+                BEFORE UPDATE ON duplicate_candidates
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
@@ -0,0 +1,113 @@
+/**
+ * Listing plans: paid tiers and the features each unlocks, and the
+ * subscriptions that put a listing on one for a date range. A listing with no
+ * subscription in effect is on the free plan, so expiry needs no scheduled job.
+ * Featured placement becomes a plan feature and replaces chiropractors.is_featured.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS listing_plans (
+                id SERIAL PRIMARY KEY,
+                slug VARCHAR(50) NOT NULL UNIQUE,
+                name VARCHAR(100) NOT NULL,
+                description TEXT,
+                price_cents INTEGER NOT NULL DEFAULT 0 CHECK (price_cents >= 0),
+                billing_period VARCHAR(10) NOT NULL DEFAULT 'year'
+                    CHECK (billing_period IN ('month', 'year')),
+                -- Higher ranks are listed first
+                placement_rank INTEGER NOT NULL DEFAULT 0,
+                is_featured BOOLEAN NOT NULL DEFAULT false,
+                max_photos INTEGER NOT NULL DEFAULT 0 CHECK (max_photos >= 0),
+                show_website BOOLEAN NOT NULL DEFAULT false,
+                -- NULL means the full description is shown
+                max_description_length INTEGER CHECK (max_description_length > 0),
+                -- Offered for sale; the free plan and retired plans are not
+                is_public BOOLEAN NOT NULL DEFAULT true,
+                sort_order INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            DROP TRIGGER IF EXISTS update_listing_plans_updated_at ON listing_plans;
+            CREATE TRIGGER update_listing_plans_updated_at
+                BEFORE UPDATE ON listing_plans
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+
+            INSERT INTO listing_plans
+                (slug, name, description, price_cents, placement_rank, is_featured, max_photos,
+                 show_website, max_description_length, is_public, sort_order)
+            VALUES
+                ('free', 'Free', 'Name, address and contact details in the directory.',
+                 0, 0, false, 0, false, 300, false, 0),
+                ('basic', 'Basic', 'A standard directory listing with a website link, office photos and a longer practice description.',
+                 9700, 1, false, 4, true, 1500, true, 1),
+                ('featured', 'Featured', 'Featured badge, priority placement in search and the full photo gallery and description.',
+                 14700, 2, true, 12, true, NULL, true, 2)
+            ON CONFLICT (slug) DO NOTHING;
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chiropractor_subscriptions (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                plan_id INTEGER NOT NULL REFERENCES listing_plans(id),
+                starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                cancelled_at TIMESTAMP WITH TIME ZONE,
+                note TEXT,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK (ends_at > starts_at)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_subscriptions_listing
+                ON chiropractor_subscriptions(chiropractor_id, ends_at);
+
+            DROP TRIGGER IF EXISTS update_chiropractor_subscriptions_updated_at ON chiropractor_subscriptions;
+            CREATE TRIGGER update_chiropractor_subscriptions_updated_at
+                BEFORE UPDATE ON chiropractor_subscriptions
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        // The plan a listing is on right now: its highest-ranked subscription in
+        // effect, otherwise the free plan
+        await client.query(`
+            CREATE OR REPLACE FUNCTION listing_plan_id(listing_id INTEGER) RETURNS INTEGER AS $$
+                SELECT COALESCE(
+                    (SELECT s.plan_id
+                     FROM chiropractor_subscriptions s
+                     JOIN listing_plans p ON p.id = s.plan_id
+                     WHERE s.chiropractor_id = listing_id
+                       AND s.cancelled_at IS NULL
+                       AND s.starts_at <= NOW() AND s.ends_at > NOW()
+                     ORDER BY p.placement_rank DESC, s.ends_at DESC
+                     LIMIT 1),
+                    (SELECT id FROM listing_plans WHERE slug = 'free')
+                )
+            $$ LANGUAGE sql STABLE;
+        `);
+
+        // Listings featured under the old flag keep featured placement for a year
+        const hasFeaturedColumn = await client.query(`
+            SELECT 1 FROM information_schema.columns
+            WHERE table_name = 'chiropractors' AND column_name = 'is_featured'
+        `);
+
+        if (hasFeaturedColumn.rows.length > 0) {
+            await client.query(`
+                INSERT INTO chiropractor_subscriptions (chiropractor_id, plan_id, starts_at, ends_at, note)
+                SELECT c.id, p.id, NOW(), NOW() + INTERVAL '1 year', 'Featured before listing plans were introduced'
+                FROM chiropractors c
+                JOIN listing_plans p ON p.slug = 'featured'
+                WHERE c.is_featured = true;
+
+                ALTER TABLE chiropractors DROP COLUMN is_featured;
+            `);
+        }
+    }
+};
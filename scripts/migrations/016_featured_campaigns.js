@@ -0,0 +1,38 @@
+/**
+ * Featured campaigns: a listing pinned to the top of results in one state, or
+ * one city of it, between two dates. Campaigns competing for the same
+ * results take turns; impressions counts the responses each was shown in.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS featured_campaigns (
+                id SERIAL PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                state VARCHAR(100) NOT NULL,
+                -- NULL covers the whole state
+                city VARCHAR(100),
+                starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                impressions INTEGER NOT NULL DEFAULT 0,
+                note TEXT,
+                created_by INTEGER REFERENCES users(id),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK (ends_at > starts_at)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_featured_campaigns_scope
+                ON featured_campaigns(state, ends_at, starts_at);
+            CREATE INDEX IF NOT EXISTS idx_featured_campaigns_listing
+                ON featured_campaigns(chiropractor_id);
+
+            DROP TRIGGER IF EXISTS update_featured_campaigns_updated_at ON featured_campaigns;
+            CREATE TRIGGER update_featured_campaigns_updated_at
+                BEFORE UPDATE ON featured_campaigns
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
@@ -0,0 +1,73 @@
+/**
+ * Patient accounts: users with the 'patient' role, who sign in with a
+ * password or an emailed magic link and save chiropractors and blog posts
+ * into named lists. Patients have no access to staff or practitioner areas.
+ */
+
+module.exports = {
+    up: async (client) => {
+        // Patients who only ever use magic links have no password
+        await client.query(`
+            ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS magic_links (
+                id SERIAL PRIMARY KEY,
+                email VARCHAR(255) NOT NULL,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+                used_at TIMESTAMP WITH TIME ZONE,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_magic_links_email ON magic_links(email, created_at);
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS patient_lists (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                -- Set while the list is shared through a read-only link
+                share_token VARCHAR(64) UNIQUE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_patient_lists_user ON patient_lists(user_id);
+
+            DROP TRIGGER IF EXISTS update_patient_lists_updated_at ON patient_lists;
+            CREATE TRIGGER update_patient_lists_updated_at
+                BEFORE UPDATE ON patient_lists
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS patient_list_items (
+                id SERIAL PRIMARY KEY,
+                list_id INTEGER NOT NULL REFERENCES patient_lists(id) ON DELETE CASCADE,
+                chiropractor_id INTEGER REFERENCES chiropractors(id) ON DELETE CASCADE,
+                blog_post_id INTEGER REFERENCES blog_posts(id) ON DELETE CASCADE,
+                -- Private to the list's owner; never shown through a share link
+                note TEXT,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+                CHECK ((chiropractor_id IS NULL) <> (blog_post_id IS NULL))
+            );
+
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_list_items_chiropractor
+                ON patient_list_items(list_id, chiropractor_id) WHERE chiropractor_id IS NOT NULL;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_list_items_blog_post
+                ON patient_list_items(list_id, blog_post_id) WHERE blog_post_id IS NOT NULL;
+
+            DROP TRIGGER IF EXISTS update_patient_list_items_updated_at ON patient_list_items;
+            CREATE TRIGGER update_patient_list_items_updated_at
+                BEFORE UPDATE ON patient_list_items
+                FOR EACH ROW
+                EXECUTE FUNCTION update_updated_at_column();
+        `);
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Persisted listing slugs for /chiropractor/:id/:slug URLs, and the slugs
+ * listings had before a rename so old links keep redirecting
+ */
+
+// Copies of the slug helpers as they were when this ran, so later changes to
+// utils/slugs.js cannot change what this migration does
+const MAX_SLUG_LENGTH = 200;
+
+const baseSlug = (name) => String(name || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '') || 'chiropractor';
+
+const nextFreeSlug = (base, taken) => {
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+};
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors ADD COLUMN IF NOT EXISTS slug VARCHAR(255) UNIQUE;
+        `);
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS chiropractor_slug_history (
+                slug VARCHAR(255) PRIMARY KEY,
+                chiropractor_id INTEGER NOT NULL REFERENCES chiropractors(id) ON DELETE CASCADE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_chiropractor_slug_history_chiropractor
+                ON chiropractor_slug_history(chiropractor_id);
+        `);
+
+        // Oldest listings get the plain slug when names collide
+        const result = await client.query('SELECT id, name, slug FROM chiropractors ORDER BY id');
+        const taken = new Set(result.rows.map(row => row.slug).filter(Boolean));
+
+        for (const row of result.rows.filter(row => !row.slug)) {
+            const slug = nextFreeSlug(baseSlug(row.name), taken);
+            taken.add(slug);
+            await client.query('UPDATE chiropractors SET slug = $1 WHERE id = $2', [slug, row.id]);
+        }
+    }
+};
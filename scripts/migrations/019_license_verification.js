@@ -0,0 +1,25 @@
+/**
+ * Chiropractic license details on each listing and their verification by
+ * admins. The license check script moves verified licenses to 'expiring'
+ * and 'lapsed' as their dates come up.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE chiropractors
+                ADD COLUMN IF NOT EXISTS license_number VARCHAR(50),
+                ADD COLUMN IF NOT EXISTS license_state CHAR(2),
+                ADD COLUMN IF NOT EXISTS license_expires_on DATE,
+                ADD COLUMN IF NOT EXISTS license_status VARCHAR(20) NOT NULL DEFAULT 'unverified'
+                    CHECK (license_status IN ('unverified', 'verified', 'expiring', 'lapsed', 'rejected')),
+                ADD COLUMN IF NOT EXISTS license_verified_at TIMESTAMP WITH TIME ZONE,
+                ADD COLUMN IF NOT EXISTS license_verified_by INTEGER REFERENCES users(id),
+                -- How the license was checked, e.g. the state board lookup; admins only
+                ADD COLUMN IF NOT EXISTS license_evidence_note TEXT,
+                ADD COLUMN IF NOT EXISTS license_reverify_on DATE;
+
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_license_status ON chiropractors(license_status);
+        `);
+    }
+};
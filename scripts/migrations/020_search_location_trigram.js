@@ -0,0 +1,13 @@
+/**
+ * Trigram index on the location text directory search falls back to, so
+ * fuzzy matches on name, specialty and location all use an index
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS idx_chiropractors_location_trgm
+                ON chiropractors USING GIN ((COALESCE(location_search, address)) gin_trgm_ops);
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Track how many ownership codes a claim has been sent, and when the last
+ * one went out, so resends can be spaced out and capped
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE listing_claims
+                ADD COLUMN IF NOT EXISTS code_sends INTEGER NOT NULL DEFAULT 1,
+                ADD COLUMN IF NOT EXISTS code_sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+        `);
+    }
+};
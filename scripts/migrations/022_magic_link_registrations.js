@@ -0,0 +1,14 @@
+/**
+ * Sign-up details waiting on the emailed link. The account, and its
+ * password, are only created when the link is used.
+ */
+
+module.exports = {
+    up: async (client) => {
+        await client.query(`
+            ALTER TABLE magic_links
+                ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255),
+                ADD COLUMN IF NOT EXISTS name VARCHAR(255);
+        `);
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Duplicate Scan Script
+ * Scores likely duplicate listings and refreshes the admin review queue.
+ * Suitable for a nightly cron job; admins can also start a scan from the dashboard.
+ *
+ * Usage: node scripts/scan-duplicates.js
+ */
+
+require('dotenv').config();
+const db = require('../config/database');
+const { scanDuplicates } = require('../utils/duplicates');
+
+const run = async () => {
+    try {
+        console.log('Scanning for duplicate listings...');
+
+        const result = await scanDuplicates();
+
+        console.log(`Compared ${result.pairs_compared} candidate pairs, ${result.flagged} flagged as likely duplicates`);
+
+    } catch (error) {
+        console.error('Error scanning for duplicates:', error);
+        throw error;
+    } finally {
+        await db.pool.end();
+    }
+};
+
+run().catch(() => process.exit(1));
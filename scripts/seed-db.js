@@ -1,10 +1,15 @@
 /**
  * Database Seeding Script
- * Populates the database with sample data
+ * Populates the database with sample data. Runs any pending migrations
+ * first, since the sample data fills tables they create.
  */
 
 require('dotenv').config();
 const { Pool } = require('pg');
+const { syncChiropractorSlug } = require('../utils/slugs');
+const { buildChiropractorValues } = require('../utils/chiropractors');
+const { savePrimaryLocation, syncChiropractorLocations } = require('../utils/locations');
+const { applyMigrations } = require('./migrate-db');
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL
@@ -16,6 +21,11 @@ const seedData = async () => {
     try {
         console.log('Starting database seeding...');
 
+        const migrated = await applyMigrations(client);
+        if (migrated > 0) {
+            console.log(`Applied ${migrated} pending migration(s)`);
+        }
+
         await client.query('BEGIN');
 
         // Sample chiropractors
@@ -82,12 +92,29 @@ const seedData = async () => {
             }
         ];
 
+        // Each listing gets its primary location, which state, city and radius searches read
         for (const chiro of chiropractors) {
-            await client.query(`
-                INSERT INTO chiropractors (name, state, address, phone, email, specialty, website, description, is_featured)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                ON CONFLICT DO NOTHING;
-            `, [chiro.name, chiro.state, chiro.address, chiro.phone, chiro.email, chiro.specialty, chiro.website, chiro.description, true]);
+            const values = buildChiropractorValues(chiro);
+            const columns = Object.keys(values);
+            const inserted = await client.query(`
+                INSERT INTO chiropractors (${columns.join(', ')})
+                VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})
+                ON CONFLICT DO NOTHING
+                RETURNING id;
+            `, Object.values(values));
+
+            if (inserted.rows.length > 0) {
+                await savePrimaryLocation(client, inserted.rows[0].id, values);
+                await syncChiropractorLocations(client, inserted.rows[0].id);
+                await syncChiropractorSlug(client, inserted.rows[0].id);
+
+                // Sample listings are on the featured plan for a year
+                await client.query(`
+                    INSERT INTO chiropractor_subscriptions (chiropractor_id, plan_id, starts_at, ends_at, note)
+                    SELECT $1, id, NOW(), NOW() + INTERVAL '1 year', 'Sample data'
+                    FROM listing_plans WHERE slug = 'featured';
+                `, [inserted.rows[0].id]);
+            }
         }
         console.log('Inserted sample chiropractors');
 
@@ -18,6 +18,16 @@ const blogRoutes = require('./routes/blog');
 const adminRoutes = require('./routes/admin');
 const settingsRoutes = require('./routes/settings');
 const seoRoutes = require('./routes/seo');
+const insuranceRoutes = require('./routes/insurance');
+const claimRoutes = require('./routes/claims');
+const portalRoutes = require('./routes/portal');
+const submissionRoutes = require('./routes/submissions');
+const mediaRoutes = require('./routes/media');
+const planRoutes = require('./routes/plans');
+const patientRoutes = require('./routes/patients');
+const { LOCAL_URL_PREFIX, localDir } = require('./utils/storage');
+const { listingPath, resolveListing } = require('./utils/slugs');
+const { scheduleLicenseChecks } = require('./utils/licenses');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,8 +72,50 @@ const authLimiter = rateLimit({
     message: { error: 'Too many login attempts, please try again later.' }
 });
 
+// Review submissions only; reading reviews falls under the general limit
+const reviewLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    skip: (req) => req.method !== 'POST',
+    message: { error: 'Too many reviews submitted, please try again later.' }
+});
+
+// Claim submissions, code checks and resends
+const claimLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    skip: (req) => req.method !== 'POST',
+    message: { error: 'Too many claim requests, please try again later.' }
+});
+
+// Practice submissions and confirmations
+const submissionLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many submissions, please try again later.' }
+});
+
+// Appointment requests; per-patient limits are enforced in the route
+const appointmentLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many appointment requests, please try again later.' }
+});
+
+// Patient sign-up, sign-in and sign-in link requests
+const patientAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { error: 'Too many attempts, please try again later.' }
+});
+
 app.use('/api/', limiter);
 app.use('/api/auth/login', authLimiter);
+app.use('/api/chiropractors/:id/reviews', reviewLimiter);
+app.use('/api/claims', claimLimiter);
+app.use('/api/chiropractors/:id/appointments', appointmentLimiter);
+app.use('/api/submissions', submissionLimiter);
+app.use(['/api/patients/register', '/api/patients/login', '/api/patients/magic-link'], patientAuthLimiter);
 
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
@@ -73,6 +125,9 @@ app.use(cookieParser());
 // Static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Uploads on the local storage backend; file names are unique so they never change
+app.use(LOCAL_URL_PREFIX, express.static(localDir(), { maxAge: '365d', immutable: true }));
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/chiropractors', chiropractorRoutes);
@@ -80,6 +135,13 @@ app.use('/api/blog', blogRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/seo', seoRoutes);
+app.use('/api/insurance', insuranceRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/submissions', submissionRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/plans', planRoutes);
+app.use('/api/patients', patientRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -103,10 +165,50 @@ app.get('/blog/:slug', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'blog-post.html'));
 });
 
-app.get('/chiropractor/:id', (req, res) => {
+app.get('/chiropractors/:state/:city?', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'location.html'));
+});
+
+// Listing pages live at /chiropractor/:id/:slug. The bare ID, an outdated
+// slug, a slug on its own (current or from before a rename) and merged
+// duplicates redirect permanently there. Unpublished listings opened by ID
+// are left alone so admins can preview them without revealing the slug.
+app.get('/chiropractor/:id/:slug?', async (req, res) => {
+    const byId = /^\d+$/.test(req.params.id);
+
+    try {
+        const listing = await resolveListing(byId ? { id: req.params.id } : { slug: req.params.id });
+
+        if (!listing && !byId) {
+            return res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
+        }
+
+        const isCanonical = listing && String(listing.id) === req.params.id && listing.slug === req.params.slug;
+        const isPreview = listing && byId && String(listing.id) === req.params.id && !listing.is_public;
+
+        if (listing && !isCanonical && !isPreview) {
+            const queryStart = req.originalUrl.indexOf('?');
+            return res.redirect(301, listingPath(listing) + (queryStart === -1 ? '' : req.originalUrl.slice(queryStart)));
+        }
+    } catch (error) {
+        console.error('Listing redirect error:', error);
+    }
+
     res.sendFile(path.join(__dirname, 'public', 'chiropractor-detail.html'));
 });
 
+app.get('/compare', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'compare.html'));
+});
+
+app.get('/saved', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'saved.html'));
+});
+
+app.get('/lists/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'shared-list.html'));
+});
+
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
@@ -115,6 +217,14 @@ app.get('/admin/login', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'admin-login.html'));
 });
 
+app.get('/account', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'account.html'));
+});
+
+app.get(['/submit-practice', '/submit-practice/confirm'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'submit-practice.html'));
+});
+
 // SEO routes
 app.get('/robots.txt', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'robots.txt'));
@@ -158,6 +268,7 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    scheduleLicenseChecks();
 });
 
 module.exports = app;
@@ -0,0 +1,158 @@
+/**
+ * Address Utilities
+ * US state normalization and parsing of free-text addresses
+ */
+
+// Same states, in the same order, as US_STATES in public/js/main.js
+const US_STATES = [
+    { name: 'Alabama', code: 'AL', ap: 'Ala' },
+    { name: 'Alaska', code: 'AK' },
+    { name: 'Arizona', code: 'AZ', ap: 'Ariz' },
+    { name: 'Arkansas', code: 'AR', ap: 'Ark' },
+    { name: 'California', code: 'CA', ap: 'Calif' },
+    { name: 'Colorado', code: 'CO', ap: 'Colo' },
+    { name: 'Connecticut', code: 'CT', ap: 'Conn' },
+    { name: 'Delaware', code: 'DE', ap: 'Del' },
+    { name: 'Florida', code: 'FL', ap: 'Fla' },
+    { name: 'Georgia', code: 'GA', ap: 'Ga' },
+    { name: 'Hawaii', code: 'HI' },
+    { name: 'Idaho', code: 'ID' },
+    { name: 'Illinois', code: 'IL', ap: 'Ill' },
+    { name: 'Indiana', code: 'IN', ap: 'Ind' },
+    { name: 'Iowa', code: 'IA' },
+    { name: 'Kansas', code: 'KS', ap: 'Kan' },
+    { name: 'Kentucky', code: 'KY', ap: 'Ky' },
+    { name: 'Louisiana', code: 'LA', ap: 'La' },
+    { name: 'Maine', code: 'ME' },
+    { name: 'Maryland', code: 'MD', ap: 'Md' },
+    { name: 'Massachusetts', code: 'MA', ap: 'Mass' },
+    { name: 'Michigan', code: 'MI', ap: 'Mich' },
+    { name: 'Minnesota', code: 'MN', ap: 'Minn' },
+    { name: 'Mississippi', code: 'MS', ap: 'Miss' },
+    { name: 'Missouri', code: 'MO', ap: 'Mo' },
+    { name: 'Montana', code: 'MT', ap: 'Mont' },
+    { name: 'Nebraska', code: 'NE', ap: 'Neb' },
+    { name: 'Nevada', code: 'NV', ap: 'Nev' },
+    { name: 'New Hampshire', code: 'NH', ap: 'N.H' },
+    { name: 'New Jersey', code: 'NJ', ap: 'N.J' },
+    { name: 'New Mexico', code: 'NM', ap: 'N.M' },
+    { name: 'New York', code: 'NY', ap: 'N.Y' },
+    { name: 'North Carolina', code: 'NC', ap: 'N.C' },
+    { name: 'North Dakota', code: 'ND', ap: 'N.D' },
+    { name: 'Ohio', code: 'OH' },
+    { name: 'Oklahoma', code: 'OK', ap: 'Okla' },
+    { name: 'Oregon', code: 'OR', ap: 'Ore' },
+    { name: 'Pennsylvania', code: 'PA', ap: 'Pa' },
+    { name: 'Rhode Island', code: 'RI', ap: 'R.I' },
+    { name: 'South Carolina', code: 'SC', ap: 'S.C' },
+    { name: 'South Dakota', code: 'SD', ap: 'S.D' },
+    { name: 'Tennessee', code: 'TN', ap: 'Tenn' },
+    { name: 'Texas', code: 'TX' },
+    { name: 'Utah', code: 'UT' },
+    { name: 'Vermont', code: 'VT', ap: 'Vt' },
+    { name: 'Virginia', code: 'VA', ap: 'Va' },
+    { name: 'Washington', code: 'WA', ap: 'Wash' },
+    { name: 'West Virginia', code: 'WV', ap: 'W.Va' },
+    { name: 'Wisconsin', code: 'WI', ap: 'Wis' },
+    { name: 'Wyoming', code: 'WY', ap: 'Wyo' }
+];
+
+const POSTAL_CODE_PATTERN = /^\d{5}(?:-\d{4})?$/;
+
+const normalizeKey = (value) => String(value).toLowerCase().replace(/[^a-z]/g, '');
+
+// Lookup by full name, USPS code, AP abbreviation and URL slug
+const stateLookup = new Map();
+US_STATES.forEach(state => {
+    stateLookup.set(normalizeKey(state.name), state);
+    stateLookup.set(normalizeKey(state.code), state);
+    if (state.ap) {
+        stateLookup.set(normalizeKey(state.ap), state);
+    }
+});
+stateLookup.set('kans', stateLookup.get('kan'));
+stateLookup.set('nebr', stateLookup.get('neb'));
+stateLookup.set('wisc', stateLookup.get('wis'));
+
+/**
+ * Create a URL-friendly slug
+ */
+const slugify = (value) => String(value || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Resolve "CA", "Calif." or "California" (or a slug like "new-york") to { name, code }
+ */
+const normalizeState = (value) => {
+    if (!value) return null;
+    const state = stateLookup.get(normalizeKey(value));
+    return state ? { name: state.name, code: state.code } : null;
+};
+
+/**
+ * Format the single-line address stored in chiropractors.address
+ */
+const formatAddress = ({ street, city, state_code, postal_code }) => {
+    const locality = [state_code, postal_code].filter(Boolean).join(' ');
+    return [street, city, locality].filter(Boolean).join(', ');
+};
+
+/**
+ * Split a free-text address like "123 Main St, Suite 4, Houston, TX 77001"
+ * into street, city, state and postal code. Parts that cannot be found are null.
+ */
+const parseAddress = (address) => {
+    const result = { street: null, city: null, state: null, state_code: null, postal_code: null };
+    if (!address) return result;
+
+    const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return result;
+
+    // Last part is usually "TX 77001", "Texas 77001-1234", "TX" or "77001"
+    let last = parts[parts.length - 1];
+    const zipMatch = last.match(/\s*(\d{5}(?:-\d{4})?)$/);
+    if (zipMatch) {
+        result.postal_code = zipMatch[1];
+        last = last.slice(0, zipMatch.index).trim();
+    }
+
+    let state = normalizeState(last);
+    if (state) {
+        parts.pop();
+    } else if (!last) {
+        parts.pop();
+    } else {
+        // No comma before the state: "Portland OR" or "Santa Fe New Mexico"
+        const words = last.split(/\s+/);
+        for (const take of [2, 1]) {
+            if (words.length <= take) continue;
+            state = normalizeState(words.slice(-take).join(' '));
+            if (state) {
+                parts[parts.length - 1] = words.slice(0, -take).join(' ');
+                break;
+            }
+        }
+    }
+
+    if (state) {
+        result.state = state.name;
+        result.state_code = state.code;
+    }
+
+    if (parts.length >= 2) {
+        result.city = parts.pop();
+    }
+    result.street = parts.length > 0 ? parts.join(', ') : null;
+
+    return result;
+};
+
+module.exports = {
+    US_STATES,
+    POSTAL_CODE_PATTERN,
+    slugify,
+    normalizeState,
+    formatAddress,
+    parseAddress
+};
@@ -0,0 +1,147 @@
+/**
+ * Appointment Request Utilities
+ * Patients ask a practice for an appointment; the listing owner or an admin
+ * moves the request through its statuses and the patient is emailed each time.
+ */
+
+const db = require('../config/database');
+const { sendMail } = require('./mailer');
+
+const APPOINTMENT_STATUSES = ['new', 'contacted', 'booked', 'declined'];
+
+// Spam throttling: requests one patient email may send in a day
+const MAX_REQUESTS_PER_EMAIL_PER_DAY = 3;
+
+// Columns returned to the practice owner and admins
+const APPOINTMENT_FIELDS = `id, chiropractor_id, patient_name, patient_email, patient_phone, preferred_times,
+    reason, is_new_patient, status, status_note, created_at, updated_at`;
+
+// What the patient is told for each status
+const STATUS_MESSAGES = {
+    new: (practice) => `We sent your appointment request to ${practice}. The office will contact you to confirm a time.`,
+    contacted: (practice) => `${practice} has seen your appointment request and is getting in touch with you.`,
+    booked: (practice) => `Your appointment with ${practice} is booked.`,
+    declined: (practice) => `${practice} is unable to take your appointment request.`
+};
+
+const describeTimes = (times) => times.map(slot => `  - ${slot.date} at ${slot.time}`).join('\n');
+
+/**
+ * Whether a patient has sent too many requests recently, or already has an
+ * open one with this practice
+ */
+const isThrottled = async (chiropractorId, email) => {
+    const result = await db.query(
+        `SELECT COUNT(*)::int AS recent,
+                COUNT(*) FILTER (WHERE chiropractor_id = $1 AND status IN ('new', 'contacted'))::int AS open
+         FROM appointment_requests
+         WHERE LOWER(patient_email) = LOWER($2) AND created_at > NOW() - INTERVAL '1 day'`,
+        [chiropractorId, email]
+    );
+    const { recent, open } = result.rows[0];
+    return recent >= MAX_REQUESTS_PER_EMAIL_PER_DAY || open > 0;
+};
+
+/**
+ * A request with its practice's contact details. Pass ownerId to only find
+ * requests for listings that user owns.
+ */
+const findAppointment = async (id, ownerId = null) => {
+    const result = await db.query(
+        `SELECT ar.*, c.name AS chiropractor_name, c.email AS chiropractor_email, c.phone AS chiropractor_phone
+         FROM appointment_requests ar
+         JOIN chiropractors c ON c.id = ar.chiropractor_id
+         WHERE ar.id = $1 AND ($2::int IS NULL OR c.claimed_by = $2)`,
+        [id, ownerId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * Email the patient about their request's current status
+ */
+const notifyPatient = async (request, listing) => {
+    await sendMail({
+        to: request.patient_email,
+        replyTo: listing.email,
+        subject: `Your appointment request with ${listing.name}: ${request.status}`,
+        text: [
+            `Hi ${request.patient_name},`,
+            '',
+            STATUS_MESSAGES[request.status](listing.name),
+            ...(request.status_note ? ['', `Message from the office: ${request.status_note}`] : []),
+            '',
+            'Your preferred times:',
+            describeTimes(request.preferred_times),
+            '',
+            `Questions? Call ${listing.name} at ${listing.phone}.`
+        ].join('\n')
+    });
+};
+
+/**
+ * Email the practice about a new request
+ */
+const notifyPractice = async (request, listing) => {
+    await sendMail({
+        to: listing.email,
+        replyTo: request.patient_email,
+        subject: `New appointment request from ${request.patient_name}`,
+        text: [
+            `${request.patient_name} would like an appointment${request.is_new_patient ? ' as a new patient' : ''}.`,
+            '',
+            `Email: ${request.patient_email}`,
+            ...(request.patient_phone ? [`Phone: ${request.patient_phone}`] : []),
+            '',
+            'Preferred times:',
+            describeTimes(request.preferred_times),
+            ...(request.reason ? ['', `Reason for visit: ${request.reason}`] : [])
+        ].join('\n')
+    });
+};
+
+/**
+ * Move a request to a new status, log the change and email the patient.
+ * Delivery failures are logged rather than undoing the status change.
+ */
+const setAppointmentStatus = async (request, { status, note, userId, ip }) => {
+    const result = await db.query(
+        `UPDATE appointment_requests
+         SET status = $1, status_note = $2, updated_by = $3
+         WHERE id = $4
+         RETURNING ${APPOINTMENT_FIELDS}`,
+        [status, note || null, userId, request.id]
+    );
+
+    await db.query(
+        `INSERT INTO audit_log (user_id, action, entity_type, entity_id, old_values, new_values, ip_address)
+         VALUES ($1, 'update_appointment_status', 'appointment_request', $2, $3, $4, $5)`,
+        [
+            userId,
+            request.id,
+            JSON.stringify({ status: request.status }),
+            JSON.stringify({ status, note: note || null, chiropractor_id: request.chiropractor_id }),
+            ip
+        ]
+    );
+
+    const updated = result.rows[0];
+
+    try {
+        await notifyPatient(updated, { name: request.chiropractor_name, email: request.chiropractor_email, phone: request.chiropractor_phone });
+    } catch (error) {
+        console.error('Appointment notification error:', error);
+    }
+
+    return updated;
+};
+
+module.exports = {
+    APPOINTMENT_STATUSES,
+    APPOINTMENT_FIELDS,
+    isThrottled,
+    findAppointment,
+    notifyPatient,
+    notifyPractice,
+    setAppointmentStatus
+};
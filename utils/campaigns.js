@@ -0,0 +1,95 @@
+/**
+ * Featured Campaign Utilities
+ * A campaign pins a listing above the rest of the results for its state or
+ * city while it runs. When more campaigns match a page than there are slots,
+ * they take turns: the slots move along the list of campaigns every
+ * rotation window, so each gets the same share of time at the top.
+ */
+
+const db = require('../config/database');
+
+const FEATURED_SLOTS = parseInt(process.env.FEATURED_SLOTS) || 3;
+
+const ROTATION_MINUTES = parseInt(process.env.FEATURED_ROTATION_MINUTES) || 10;
+
+const CAMPAIGN_STATUSES = ['upcoming', 'active', 'expired'];
+
+const CAMPAIGN_FIELDS = 'id, chiropractor_id, state, city, starts_at, ends_at, impressions, note, created_by, created_at, updated_at';
+
+const campaignStatusSql = (campaign) => `CASE WHEN ${campaign}.starts_at > NOW() THEN 'upcoming'
+    WHEN ${campaign}.ends_at > NOW() THEN 'active'
+    ELSE 'expired' END`;
+
+/**
+ * The campaigns to show now out of those eligible, in slot order. Within a
+ * rotation window the choice is stable, so paging through results does not
+ * reshuffle them.
+ */
+const rotate = (entries, slots = FEATURED_SLOTS, now = Date.now()) => {
+    if (entries.length <= slots) return entries;
+
+    const window = Math.floor(now / (ROTATION_MINUTES * 60 * 1000));
+    const start = (window * slots) % entries.length;
+    return Array.from({ length: slots }, (_, i) => entries[(start + i) % entries.length]);
+};
+
+/**
+ * Running campaigns for published listings that match scope, a condition on
+ * the campaign (fc) and, through its listing, the chiropractors table.
+ * A listing is placed once; a campaign for its city is preferred over one for
+ * its whole state. Returns [{ chiropractorId, campaignId }] in slot order.
+ */
+const findFeatured = async (scope, params) => {
+    const result = await db.query(
+        `SELECT fc.id, fc.chiropractor_id
+         FROM featured_campaigns fc
+         JOIN chiropractors ON chiropractors.id = fc.chiropractor_id
+         WHERE fc.starts_at <= NOW() AND fc.ends_at > NOW()
+           AND chiropractors.is_active = true AND chiropractors.listing_status = 'published'
+           AND ${scope}
+         ORDER BY fc.chiropractor_id, fc.city IS NULL, fc.id`,
+        params
+    );
+
+    const byListing = new Map();
+    result.rows.forEach(row => {
+        if (!byListing.has(row.chiropractor_id)) {
+            byListing.set(row.chiropractor_id, row.id);
+        }
+    });
+
+    return rotate([...byListing].map(([chiropractorId, campaignId]) => ({ chiropractorId, campaignId })));
+};
+
+// A listing's featured slot. Sorted ascending it puts featured listings first,
+// in slot order; the rest have no slot and sort after them.
+const featuredSlotSql = (idParam, listing = 'id') => `array_position(${idParam}::int[], ${listing})`;
+
+/**
+ * Flag the featured listings among the rows being returned and count an
+ * impression for each of their campaigns
+ */
+const markFeatured = async (rows, featured) => {
+    const campaigns = new Map(featured.map(({ chiropractorId, campaignId }) => [chiropractorId, campaignId]));
+    const shown = rows.filter(row => campaigns.has(row.id)).map(row => campaigns.get(row.id));
+
+    if (shown.length > 0) {
+        await db.query(
+            'UPDATE featured_campaigns SET impressions = impressions + 1 WHERE id = ANY($1::int[])',
+            [shown]
+        );
+    }
+
+    return rows.map(row => ({ ...row, is_sponsored: campaigns.has(row.id) }));
+};
+
+module.exports = {
+    FEATURED_SLOTS,
+    CAMPAIGN_STATUSES,
+    CAMPAIGN_FIELDS,
+    campaignStatusSql,
+    rotate,
+    findFeatured,
+    featuredSlotSql,
+    markFeatured
+};
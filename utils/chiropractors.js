@@ -0,0 +1,77 @@
+/**
+ * Chiropractor Utilities
+ * Turn validated request bodies into chiropractors column values
+ */
+
+const { normalizeState, parseAddress, formatAddress } = require('./address');
+const { geocodeAddress, lookupZip } = require('./geo');
+const { timezoneForState } = require('./hours');
+
+/**
+ * Resolve street, city, state code and postal code from either the structured
+ * fields or, for older clients, by parsing the single-line address
+ */
+const resolveLocation = (body) => {
+    const parsed = body.street ? {} : parseAddress(body.address);
+    const state = normalizeState(body.state) || normalizeState(parsed.state);
+
+    const location = {
+        street: body.street || parsed.street || null,
+        city: body.city || parsed.city || null,
+        state: state ? state.name : body.state,
+        state_code: state ? state.code : null,
+        postal_code: body.postal_code || parsed.postal_code || null
+    };
+
+    location.address = body.street ? formatAddress(location) : body.address;
+    return location;
+};
+
+/**
+ * Use explicit coordinates when provided, otherwise geocode from the ZIP code
+ */
+const resolveCoordinates = (body, location) => {
+    if (typeof body.latitude === 'number' && typeof body.longitude === 'number') {
+        return { latitude: body.latitude, longitude: body.longitude };
+    }
+    const coords = location.postal_code
+        ? lookupZip(location.postal_code)
+        : geocodeAddress(location.address);
+    return coords || { latitude: null, longitude: null };
+};
+
+/**
+ * Column values for an INSERT or UPDATE of a chiropractor
+ */
+const buildChiropractorValues = (body) => {
+    const location = resolveLocation(body);
+    const coords = resolveCoordinates(body, location);
+
+    return {
+        name: body.name,
+        state: location.state,
+        state_code: location.state_code,
+        street: location.street,
+        city: location.city,
+        postal_code: location.postal_code,
+        address: location.address,
+        phone: body.phone,
+        email: body.email,
+        website: body.website || null,
+        specialty: body.specialty || null,
+        description: body.description || null,
+        accepts_new_patients: body.accepts_new_patients !== false,
+        cash_only: body.cash_only || false,
+        accepts_medicare: body.accepts_medicare || false,
+        sliding_scale: body.sliding_scale || false,
+        timezone: body.timezone || timezoneForState(location.state_code),
+        latitude: coords.latitude,
+        longitude: coords.longitude
+    };
+};
+
+module.exports = {
+    resolveLocation,
+    resolveCoordinates,
+    buildChiropractorValues
+};
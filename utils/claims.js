@@ -0,0 +1,102 @@
+/**
+ * Listing Claim Utilities
+ * One-time ownership codes are emailed to the address on file for the
+ * listing, so only someone with access to that inbox can verify a claim.
+ */
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const CLAIM_STATUSES = ['unverified', 'verified', 'approved', 'rejected', 'revoked'];
+
+const CLAIM_CODE_TTL_MINUTES = 30;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Each code emails the listing's inbox and brings fresh attempts, so resends
+// are spaced out and capped per claim
+const CODE_RESEND_INTERVAL_SECONDS = 60;
+const MAX_CODE_SENDS = 5;
+
+// Only the hash is stored; codes are short-lived and attempt-limited
+const hashClaimCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Links in emails point at the public site
+const siteUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Generate a six-digit code with the hash and expiry to store for it
+ */
+const createClaimCode = () => {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    return {
+        code,
+        code_hash: hashClaimCode(code),
+        code_expires_at: new Date(Date.now() + CLAIM_CODE_TTL_MINUTES * 60 * 1000)
+    };
+};
+
+/**
+ * Email a code from createClaimCode to the listing's address. Send it once
+ * the code is stored, so no one gets a code for a claim that does not exist.
+ */
+const sendClaimCode = async (listing, code) => {
+    await sendMail({
+        to: listing.email,
+        subject: `Your verification code for ${listing.name}`,
+        text: [
+            `Someone asked to manage the Just Chiropractor listing for ${listing.name}.`,
+            '',
+            `Verification code: ${code}`,
+            '',
+            `The code expires in ${CLAIM_CODE_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`
+        ].join('\n')
+    });
+};
+
+/**
+ * Tell a signed-out claimant what to do next: sign in to the account made
+ * for the claim, or, if the address already had one, sign in with that.
+ */
+const sendClaimantNextStep = async (email, listing, { isNewAccount }) => {
+    await sendMail({
+        to: email,
+        subject: `Your claim for ${listing.name}`,
+        text: (isNewAccount
+            ? [
+                `We created your Just Chiropractor account and started your claim for ${listing.name}.`,
+                '',
+                `We emailed a verification code to the address on file for the listing. Log in, then enter the code from your account page:`
+            ]
+            : [
+                `Someone tried to claim ${listing.name} with this email address, which already has a Just Chiropractor account.`,
+                '',
+                'To claim the listing, log in to your account and start the claim again from the listing page:'
+            ]
+        ).concat([
+            '',
+            `${siteUrl()}/admin/login`,
+            '',
+            'If you did not request this, you can ignore this email.'
+        ]).join('\n')
+    });
+};
+
+/**
+ * Whether a submitted code matches the claim's current, unexpired code
+ */
+const checkClaimCode = (claim, code) => {
+    if (!claim.code_hash || new Date(claim.code_expires_at) < new Date()) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashClaimCode(code)), Buffer.from(claim.code_hash));
+};
+
+module.exports = {
+    CLAIM_STATUSES,
+    MAX_CODE_ATTEMPTS,
+    CODE_RESEND_INTERVAL_SECONDS,
+    MAX_CODE_SENDS,
+    createClaimCode,
+    sendClaimCode,
+    sendClaimantNextStep,
+    checkClaimCode
+};
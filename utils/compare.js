@@ -0,0 +1,91 @@
+/**
+ * Comparison Utilities
+ * Lines up listings' detail views attribute by attribute for the compare
+ * page. Each row holds one value per listing, in the order asked for, and
+ * whether the values differ, so the page can highlight the differences.
+ */
+
+const { distanceMiles } = require('./geo');
+const { DAY_NAMES } = require('./hours');
+
+const MAX_COMPARE = 4;
+
+const SERVICES = {
+    accepts_new_patients: 'Accepting new patients',
+    accepts_medicare: 'Accepts Medicare',
+    sliding_scale: 'Sliding scale fees',
+    cash_only: 'Cash only'
+};
+
+// Week starting Monday, as on the detail page
+const WEEK = [1, 2, 3, 4, 5, 6, 0];
+
+const primaryLocation = (listing) => listing.locations.find(location => location.is_primary) || listing.locations[0] || null;
+
+// Miles from origin to the listing's nearest located location
+const nearestDistance = (listing, origin) => {
+    const distances = listing.locations
+        .filter(location => location.latitude !== null && location.longitude !== null)
+        .map(location => distanceMiles(origin, {
+            latitude: parseFloat(location.latitude),
+            longitude: parseFloat(location.longitude)
+        }));
+    return distances.length > 0 ? Math.round(Math.min(...distances) * 10) / 10 : null;
+};
+
+// A weekday's intervals at a location, as HH:MM pairs
+const dayHours = (location, day) => (location ? location.hours : [])
+    .filter(h => h.day_of_week === day)
+    .map(h => ({ opens: String(h.opens_at).slice(0, 5), closes: String(h.closes_at).slice(0, 5) }));
+
+/**
+ * Comparison rows for listings with locations and insurance loaded.
+ * Rows are { group, key, label, values, differs }; hours are those of each
+ * listing's primary location, and distance is included when origin is given.
+ */
+const buildComparison = (listings, origin = null) => {
+    const rows = [];
+    const add = (group, key, label, values) => {
+        const first = JSON.stringify(values[0]);
+        rows.push({ group, key, label, values, differs: values.some(value => JSON.stringify(value) !== first) });
+    };
+
+    add('overview', 'specialty', 'Specialty', listings.map(listing => listing.specialty || null));
+    add('overview', 'rating_average', 'Rating', listings.map(listing => listing.rating_average));
+    add('overview', 'review_count', 'Reviews', listings.map(listing => listing.review_count));
+
+    add('location', 'location', 'Location', listings.map(listing => {
+        const location = primaryLocation(listing);
+        return location ? [location.city, location.state_code || location.state].filter(Boolean).join(', ') : null;
+    }));
+    add('location', 'location_count', 'Locations', listings.map(listing => listing.locations.length));
+    if (origin) {
+        add('location', 'distance', 'Distance (miles)', listings.map(listing => nearestDistance(listing, origin)));
+    }
+
+    add('hours', 'open_now', 'Open now', listings.map(listing => {
+        const location = primaryLocation(listing);
+        return location ? location.today.is_open : null;
+    }));
+    WEEK.forEach(day => {
+        add('hours', DAY_NAMES[day].toLowerCase(), DAY_NAMES[day], listings.map(listing => dayHours(primaryLocation(listing), day)));
+    });
+
+    // One row per carrier any of the listings accepts
+    const carriers = new Map();
+    listings.forEach(listing => listing.insurance.forEach(carrier => carriers.set(carrier.slug, carrier.name)));
+    [...carriers].sort((a, b) => a[1].localeCompare(b[1])).forEach(([slug, name]) => {
+        add('insurance', `insurance:${slug}`, name, listings.map(listing => listing.insurance.some(carrier => carrier.slug === slug)));
+    });
+
+    Object.entries(SERVICES).forEach(([key, label]) => {
+        add('services', key, label, listings.map(listing => Boolean(listing[key])));
+    });
+
+    return rows;
+};
+
+module.exports = {
+    MAX_COMPARE,
+    buildComparison
+};
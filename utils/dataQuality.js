@@ -0,0 +1,157 @@
+/**
+ * Listing Data Quality Utilities
+ * Each listing gets a completeness score from 0 to 100: the weighted share of
+ * the completeness rules it meets. Quality checks catch values that are there
+ * but wrong, like a phone number without ten digits. Both are SQL, so the admin
+ * report can filter and sort every listing by score or issue in one query.
+ */
+
+const db = require('../config/database');
+const { US_STATES } = require('./address');
+const { licenseVerifiedSql } = require('./licenses');
+
+// Listings scoring below this count as incomplete on the dashboard
+const LOW_COMPLETENESS_SCORE = 50;
+
+// Scoring every listing is heavy, so the dashboard reuses a recent summary
+const SUMMARY_CACHE_SECONDS = 300;
+
+const present = (column) => `NULLIF(TRIM(c.${column}), '') IS NOT NULL`;
+
+// Weighted field rules; a listing's score is the share of the weight it meets
+const COMPLETENESS_RULES = [
+    { key: 'phone', label: 'Phone', weight: 10, sql: present('phone') },
+    { key: 'email', label: 'Email', weight: 5, sql: present('email') },
+    { key: 'website', label: 'Website', weight: 10, sql: present('website') },
+    { key: 'specialty', label: 'Specialty', weight: 10, sql: present('specialty') },
+    {
+        key: 'description',
+        label: 'Description of 100+ characters',
+        weight: 15,
+        sql: `LENGTH(TRIM(COALESCE(c.description, ''))) >= 100`
+    },
+    { key: 'address', label: 'Street address and ZIP', weight: 10, sql: `${present('street')} AND ${present('postal_code')}` },
+    { key: 'coordinates', label: 'Map location', weight: 5, sql: 'c.latitude IS NOT NULL AND c.longitude IS NOT NULL' },
+    {
+        key: 'hours',
+        label: 'Office hours',
+        weight: 10,
+        sql: `EXISTS (
+            SELECT 1 FROM office_hours oh
+            JOIN chiropractor_locations hours_loc ON hours_loc.id = oh.location_id
+            WHERE hours_loc.chiropractor_id = c.id
+        )`
+    },
+    {
+        key: 'insurance',
+        label: 'Insurance accepted',
+        weight: 5,
+        sql: 'EXISTS (SELECT 1 FROM chiropractor_insurance ci WHERE ci.chiropractor_id = c.id)'
+    },
+    { key: 'photos', label: 'Logo or photo', weight: 10, sql: 'EXISTS (SELECT 1 FROM media m WHERE m.chiropractor_id = c.id)' },
+    { key: 'license', label: 'Verified license', weight: 10, sql: licenseVerifiedSql('c') }
+];
+
+const TOTAL_WEIGHT = COMPLETENESS_RULES.reduce((sum, rule) => sum + rule.weight, 0);
+
+// Values that are filled in but wrong. email_counts comes from DATA_QUALITY_CTE.
+const QUALITY_CHECKS = [
+    {
+        key: 'invalid_phone',
+        label: 'Phone is not a 10-digit US number',
+        sql: `${present('phone')} AND regexp_replace(c.phone, '\\D', '', 'g') !~ '^1?\\d{10}$'`
+    },
+    {
+        key: 'duplicate_email',
+        label: 'Email shared with another listing',
+        sql: 'COALESCE(email_counts.listing_count, 0) > 1'
+    },
+    {
+        key: 'invalid_state',
+        label: 'State is not one of the 50 US states',
+        sql: `c.state NOT IN (${US_STATES.map(state => `'${state.name}'`).join(', ')})`
+    },
+    {
+        key: 'invalid_website',
+        label: 'Website is not an http(s) URL',
+        sql: `${present('website')} AND c.website !~* '^https?://\\S+\\.\\S+$'`
+    }
+];
+
+// Issue types the report filters on: failed checks, then missing fields
+const ISSUE_TYPES = [
+    ...QUALITY_CHECKS.map(check => check.key),
+    ...COMPLETENESS_RULES.map(rule => `missing_${rule.key}`)
+];
+
+const completenessScoreSql = () => `ROUND((${COMPLETENESS_RULES
+    .map(rule => `CASE WHEN ${rule.sql} THEN ${rule.weight} ELSE 0 END`)
+    .join(' + ')}) * 100.0 / ${TOTAL_WEIGHT})::int`;
+
+const issuesSql = () => `ARRAY_REMOVE(ARRAY[${[
+    ...QUALITY_CHECKS.map(check => `CASE WHEN ${check.sql} THEN '${check.key}' END`),
+    ...COMPLETENESS_RULES.map(rule => `CASE WHEN ${rule.sql} THEN NULL ELSE 'missing_${rule.key}' END`)
+].join(',\n        ')}]::text[], NULL)`;
+
+/**
+ * Active listings with their completeness score and issues, as the CTE
+ * "scored". Follow it with a SELECT from scored.
+ */
+const DATA_QUALITY_CTE = `
+    WITH email_counts AS (
+        SELECT LOWER(TRIM(email)) AS email_key, COUNT(*) AS listing_count
+        FROM chiropractors
+        WHERE is_active = true AND merged_into_id IS NULL AND NULLIF(TRIM(email), '') IS NOT NULL
+        GROUP BY 1
+    ),
+    scored AS (
+        SELECT c.id, c.name, c.slug, c.city, c.state, c.phone, c.email, c.website, c.listing_status,
+               c.claimed_by IS NOT NULL AS is_claimed, c.updated_at,
+               ${completenessScoreSql()} AS completeness_score,
+               ${issuesSql()} AS issues
+        FROM chiropractors c
+        LEFT JOIN email_counts ON email_counts.email_key = LOWER(TRIM(c.email))
+        WHERE c.is_active = true AND c.merged_into_id IS NULL
+    )`;
+
+// Report orderings; ties go by name
+const DATA_QUALITY_SORTS = {
+    score: 'completeness_score ASC',
+    score_desc: 'completeness_score DESC',
+    issues: 'CARDINALITY(issues) DESC',
+    name: 'name ASC'
+};
+
+let cachedSummary = null;
+
+/**
+ * Dashboard totals: average score, and how many listings are incomplete or
+ * fail a quality check. Cached for SUMMARY_CACHE_SECONDS.
+ */
+const getDataQualitySummary = async () => {
+    if (cachedSummary && cachedSummary.expiresAt > Date.now()) {
+        return cachedSummary.summary;
+    }
+
+    const result = await db.query(
+        `${DATA_QUALITY_CTE}
+         SELECT COALESCE(ROUND(AVG(completeness_score)), 0)::int AS average,
+                COUNT(*) FILTER (WHERE completeness_score < $1)::int AS incomplete,
+                COUNT(*) FILTER (WHERE issues && $2::text[])::int AS flagged
+         FROM scored`,
+        [LOW_COMPLETENESS_SCORE, QUALITY_CHECKS.map(check => check.key)]
+    );
+
+    cachedSummary = { summary: result.rows[0], expiresAt: Date.now() + SUMMARY_CACHE_SECONDS * 1000 };
+    return cachedSummary.summary;
+};
+
+module.exports = {
+    LOW_COMPLETENESS_SCORE,
+    COMPLETENESS_RULES,
+    QUALITY_CHECKS,
+    ISSUE_TYPES,
+    DATA_QUALITY_CTE,
+    DATA_QUALITY_SORTS,
+    getDataQualitySummary
+};
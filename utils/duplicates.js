@@ -0,0 +1,381 @@
+/**
+ * Duplicate Listing Utilities
+ * A scan scores pairs of listings that share a phone number, email address or
+ * ZIP code, or have similar names in the same state. Likely duplicates are
+ * queued for an admin, who merges one listing into the other or dismisses the pair.
+ */
+
+const db = require('../config/database');
+const { getListingValues, applyChanges } = require('./listingChanges');
+const { savePrimaryLocation, syncChiropractorLocations } = require('./locations');
+const { syncChiropractorSlug } = require('./slugs');
+const { refreshRatingSummary } = require('./reviews');
+
+const DUPLICATE_STATUSES = ['open', 'dismissed', 'merged'];
+
+// Pairs scoring at least this are queued for review
+const DUPLICATE_THRESHOLD = 0.5;
+
+// What each signal contributes to a pair's score; they add up to 1
+const SIGNAL_WEIGHTS = { phone: 0.3, email: 0.2, name: 0.3, address: 0.2 };
+
+// Words that do not tell one practice's name from another's
+const NAME_STOP_WORDS = new Set([
+    'dr', 'doctor', 'dc', 'chiropractic', 'chiropractor', 'chiropractors', 'clinic', 'center', 'centre',
+    'office', 'the', 'and', 'of', 'llc', 'inc', 'pc', 'pllc', 'pa'
+]);
+
+// Street address spellings reduced to one form
+const ADDRESS_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln', court: 'ct',
+    suite: 'ste', highway: 'hwy', parkway: 'pkwy', place: 'pl', north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+// Ten-digit US number, ignoring formatting, a leading 1 and extensions
+const normalizePhone = (phone) => {
+    const match = String(phone || '').replace(/\D/g, '').match(/^1?(\d{10})/);
+    return match ? match[1] : null;
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase() || null;
+
+const words = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+
+const normalizeName = (name) => words(name).filter(word => !NAME_STOP_WORDS.has(word)).join(' ');
+
+const normalizeAddress = (address) => words(address).map(word => ADDRESS_ABBREVIATIONS[word] || word).join(' ');
+
+// Word trigrams padded the way pg_trgm pads them
+const trigrams = (text) => {
+    const result = new Set();
+    text.split(' ').filter(Boolean).forEach(word => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            result.add(padded.slice(i, i + 3));
+        }
+    });
+    return result;
+};
+
+/**
+ * Trigram similarity from 0 to 1, as pg_trgm's similarity() computes it
+ */
+const similarity = (a, b) => {
+    const first = trigrams(a);
+    const second = trigrams(b);
+    if (first.size === 0 || second.size === 0) return 0;
+
+    let shared = 0;
+    first.forEach(trigram => {
+        if (second.has(trigram)) shared++;
+    });
+    return shared / (first.size + second.size - shared);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Score how likely two listings are the same practice, with each signal's
+ * value from 0 to 1
+ */
+const scorePair = (a, b) => {
+    const phone = normalizePhone(a.phone);
+    const email = normalizeEmail(a.email);
+
+    // Different ZIP codes mean different offices, however alike the streets read
+    const differentZip = a.postal_code && b.postal_code && a.postal_code.slice(0, 5) !== b.postal_code.slice(0, 5);
+
+    const signals = {
+        phone: phone && phone === normalizePhone(b.phone) ? 1 : 0,
+        email: email && email === normalizeEmail(b.email) ? 1 : 0,
+        name: round(similarity(normalizeName(a.name), normalizeName(b.name))),
+        address: differentZip ? 0 : round(similarity(normalizeAddress(a.street || a.address), normalizeAddress(b.street || b.address)))
+    };
+
+    const score = Object.keys(SIGNAL_WEIGHTS).reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal] * signals[signal], 0);
+
+    return { score: round(score), signals };
+};
+
+// Pairs worth scoring: anything sharing a phone, email or ZIP code, or with
+// similar names (pg_trgm's % operator) in the same state
+const CANDIDATE_PAIRS_SQL = `
+    WITH listings AS (
+        SELECT id, name, state, LEFT(postal_code, 5) AS zip,
+               substring(regexp_replace(phone, '\\D', '', 'g') from '^1?(\\d{10})') AS phone_key,
+               NULLIF(LOWER(TRIM(email)), '') AS email_key
+        FROM chiropractors
+        WHERE is_active = true AND merged_into_id IS NULL AND listing_status <> 'rejected'
+    )
+    SELECT a.id AS id_a, b.id AS id_b FROM listings a JOIN listings b ON b.phone_key = a.phone_key AND a.id < b.id
+    UNION
+    SELECT a.id, b.id FROM listings a JOIN listings b ON b.email_key = a.email_key AND a.id < b.id
+    UNION
+    SELECT a.id, b.id FROM listings a JOIN listings b ON b.zip = a.zip AND a.id < b.id
+    UNION
+    SELECT a.id, b.id FROM listings a JOIN listings b ON b.state = a.state AND a.id < b.id AND a.name % b.name
+`;
+
+/**
+ * Score every candidate pair and refresh the review queue. Open pairs that no
+ * longer qualify are removed; dismissed and merged pairs keep their decision.
+ */
+const scanDuplicates = async () => {
+    const pairs = await db.query(CANDIDATE_PAIRS_SQL);
+    const ids = [...new Set(pairs.rows.flatMap(pair => [pair.id_a, pair.id_b]))];
+
+    const listings = await db.query(
+        `SELECT id, name, phone, email, street, address, postal_code
+         FROM chiropractors
+         WHERE id = ANY($1::int[])`,
+        [ids]
+    );
+    const byId = new Map(listings.rows.map(listing => [listing.id, listing]));
+
+    const flagged = pairs.rows
+        .map(pair => ({ ...pair, ...scorePair(byId.get(pair.id_a), byId.get(pair.id_b)) }))
+        .filter(pair => pair.score >= DUPLICATE_THRESHOLD);
+
+    const client = await db.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            `DELETE FROM duplicate_candidates dc
+             WHERE dc.status = 'open' AND NOT EXISTS (
+                 SELECT 1 FROM unnest($1::int[], $2::int[]) AS flagged(id_a, id_b)
+                 WHERE flagged.id_a = dc.chiropractor_id_a AND flagged.id_b = dc.chiropractor_id_b
+             )`,
+            [flagged.map(pair => pair.id_a), flagged.map(pair => pair.id_b)]
+        );
+
+        await client.query(
+            `INSERT INTO duplicate_candidates (chiropractor_id_a, chiropractor_id_b, score, signals)
+             SELECT * FROM unnest($1::int[], $2::int[], $3::numeric[], $4::jsonb[])
+             ON CONFLICT (chiropractor_id_a, chiropractor_id_b) DO UPDATE
+             SET score = EXCLUDED.score, signals = EXCLUDED.signals, detected_at = NOW()
+             WHERE duplicate_candidates.status = 'open'`,
+            [
+                flagged.map(pair => pair.id_a),
+                flagged.map(pair => pair.id_b),
+                flagged.map(pair => pair.score),
+                flagged.map(pair => JSON.stringify(pair.signals))
+            ]
+        );
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return { pairs_compared: pairs.rows.length, flagged: flagged.length };
+};
+
+// The in-process background scan started from the admin screen
+const scanState = { running: false, started_at: null, finished_at: null, result: null, error: null };
+
+/**
+ * Start a scan without waiting for it. Returns false if one is already running.
+ */
+const startDuplicateScan = () => {
+    if (scanState.running) return false;
+
+    Object.assign(scanState, { running: true, started_at: new Date(), finished_at: null, result: null, error: null });
+
+    scanDuplicates()
+        .then(result => {
+            scanState.result = result;
+        })
+        .catch(error => {
+            console.error('Duplicate scan error:', error);
+            scanState.error = 'Duplicate scan failed';
+        })
+        .finally(() => {
+            scanState.running = false;
+            scanState.finished_at = new Date();
+        });
+
+    return true;
+};
+
+const getScanState = () => ({ ...scanState });
+
+// Fields an admin picks a surviving value for; "address" covers every address column
+const MERGE_FIELDS = [
+    'name', 'address', 'phone', 'email', 'website', 'specialty', 'description',
+    'accepts_new_patients', 'cash_only', 'accepts_medicare', 'sliding_scale'
+];
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postal_code', 'address'];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Which listing each field's value is taken from, 'keep' or 'merge'. Fields
+ * the admin did not choose keep the survivor's value unless it is blank.
+ */
+const resolveChoices = (keep, merge, choices = {}) => Object.fromEntries(MERGE_FIELDS.map(field => {
+    if (choices[field] === 'keep' || choices[field] === 'merge') {
+        return [field, choices[field]];
+    }
+    return [field, isBlank(keep[field]) && !isBlank(merge[field]) ? 'merge' : 'keep'];
+}));
+
+/**
+ * Merge one listing into another inside the caller's transaction. The
+ * survivor takes the chosen field values, the duplicate's reviews, offices,
+ * carriers, photos, appointment requests, claims and patients' saves; the
+ * duplicate is soft-deleted and its URL redirects to the survivor.
+ */
+const mergeListings = async (client, { keepId, mergeId, choices }) => {
+    const listings = await getListingValues(client, [keepId, mergeId]);
+    const keep = listings.get(keepId);
+    const merge = listings.get(mergeId);
+
+    const resolved = resolveChoices(keep, merge, choices);
+    const changes = {};
+    MERGE_FIELDS.filter(field => resolved[field] === 'merge').forEach(field => {
+        (field === 'address' ? ADDRESS_FIELDS : [field]).forEach(column => {
+            changes[column] = merge[column];
+        });
+    });
+
+    const values = applyChanges(keep, changes);
+    const columns = Object.keys(values);
+
+    const updated = await client.query(
+        `UPDATE chiropractors
+         SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+         WHERE id = $${columns.length + 1}
+         RETURNING *`,
+        [...Object.values(values), keepId]
+    );
+
+    await savePrimaryLocation(client, keepId, values);
+
+    // The duplicate's offices become extra offices of the survivor, except
+    // its primary office when that is the address the survivor now has
+    await client.query(
+        `UPDATE chiropractor_locations
+         SET chiropractor_id = $1, is_primary = false
+         WHERE chiropractor_id = $2 AND (NOT is_primary OR LOWER(address) <> LOWER($3))`,
+        [keepId, mergeId, values.address]
+    );
+    await syncChiropractorLocations(client, keepId);
+    updated.rows[0].slug = await syncChiropractorSlug(client, keepId);
+
+    await client.query(
+        `INSERT INTO chiropractor_insurance (chiropractor_id, carrier_id)
+         SELECT $1, carrier_id FROM chiropractor_insurance WHERE chiropractor_id = $2
+         ON CONFLICT DO NOTHING`,
+        [keepId, mergeId]
+    );
+
+    const reviews = await client.query('UPDATE reviews SET chiropractor_id = $1 WHERE chiropractor_id = $2', [keepId, mergeId]);
+    await refreshRatingSummary(client, keepId);
+    await refreshRatingSummary(client, mergeId);
+
+    const appointments = await client.query(
+        'UPDATE appointment_requests SET chiropractor_id = $1 WHERE chiropractor_id = $2',
+        [keepId, mergeId]
+    );
+
+    // Photos always move; the logo only when the survivor has none
+    const media = await client.query(
+        `UPDATE media SET chiropractor_id = $1
+         WHERE chiropractor_id = $2
+           AND (kind = 'photo' OR NOT EXISTS (SELECT 1 FROM media WHERE chiropractor_id = $1 AND kind = 'logo'))`,
+        [keepId, mergeId]
+    );
+
+    // A listing has one owner: the duplicate's owner takes over an unclaimed
+    // survivor, otherwise their ownership of the duplicate is revoked
+    if (merge.claimed_by && !keep.claimed_by) {
+        await client.query(
+            'UPDATE chiropractors SET claimed_by = $1, claimed_at = $2 WHERE id = $3',
+            [merge.claimed_by, merge.claimed_at, keepId]
+        );
+    } else {
+        await client.query(
+            `UPDATE listing_claims SET status = 'revoked', review_note = $1
+             WHERE chiropractor_id = $2 AND status = 'approved'`,
+            [`Listing merged into #${keepId}`, mergeId]
+        );
+    }
+    await client.query('UPDATE listing_claims SET chiropractor_id = $1 WHERE chiropractor_id = $2', [keepId, mergeId]);
+
+    // Paid time carries over; the survivor is on the better of the two plans
+    const subscriptions = await client.query(
+        'UPDATE chiropractor_subscriptions SET chiropractor_id = $1 WHERE chiropractor_id = $2',
+        [keepId, mergeId]
+    );
+    const campaigns = await client.query(
+        'UPDATE featured_campaigns SET chiropractor_id = $1 WHERE chiropractor_id = $2',
+        [keepId, mergeId]
+    );
+
+    // Patients' saved entries follow the listing; a list already holding the
+    // survivor just drops the duplicate
+    const savedItems = await client.query(
+        `UPDATE patient_list_items i SET chiropractor_id = $1
+         WHERE i.chiropractor_id = $2
+           AND NOT EXISTS (SELECT 1 FROM patient_list_items s WHERE s.list_id = i.list_id AND s.chiropractor_id = $1)`,
+        [keepId, mergeId]
+    );
+    await client.query('DELETE FROM patient_list_items WHERE chiropractor_id = $1', [mergeId]);
+
+    await client.query(
+        `UPDATE listing_changes SET status = 'rejected', review_note = $1, reviewed_at = NOW()
+         WHERE chiropractor_id = $2 AND status = 'pending'`,
+        [`Listing merged into #${keepId}`, mergeId]
+    );
+
+    await client.query(
+        `UPDATE chiropractors
+         SET is_active = false, merged_into_id = $1, claimed_by = NULL, claimed_at = NULL
+         WHERE id = $2`,
+        [keepId, mergeId]
+    );
+
+    // Listings merged into the duplicate earlier now redirect straight to the survivor
+    await client.query('UPDATE chiropractors SET merged_into_id = $1 WHERE merged_into_id = $2', [keepId, mergeId]);
+
+    // Other open pairs involving the duplicate are moot
+    await client.query(
+        `DELETE FROM duplicate_candidates
+         WHERE status = 'open' AND $1 IN (chiropractor_id_a, chiropractor_id_b)
+           AND NOT (chiropractor_id_a = LEAST($1::int, $2::int) AND chiropractor_id_b = GREATEST($1::int, $2::int))`,
+        [mergeId, keepId]
+    );
+
+    return {
+        listing: updated.rows[0],
+        previous: { keep, merge },
+        choices: resolved,
+        moved: {
+            reviews: reviews.rowCount,
+            appointment_requests: appointments.rowCount,
+            media: media.rowCount,
+            subscriptions: subscriptions.rowCount,
+            featured_campaigns: campaigns.rowCount,
+            saved_items: savedItems.rowCount
+        }
+    };
+};
+
+module.exports = {
+    DUPLICATE_STATUSES,
+    DUPLICATE_THRESHOLD,
+    MERGE_FIELDS,
+    scorePair,
+    scanDuplicates,
+    startDuplicateScan,
+    getScanState,
+    resolveChoices,
+    mergeListings
+};
@@ -0,0 +1,225 @@
+/**
+ * Export Utilities
+ * Admin data exports streamed from a Postgres cursor as JSON, CSV or NDJSON,
+ * so a large table never has to fit in memory. Each export lists the columns
+ * it may include; anything else, such as password hashes, is never selected.
+ */
+
+const Cursor = require('pg-cursor');
+const { parseFacetFilters, facetConditions } = require('./facets');
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Rows fetched from the cursor per batch
+const BATCH_SIZE = 500;
+
+// Exportable tables. expressions replace a column's SQL; filters names the
+// extra query filters the export accepts beyond the created date range.
+const EXPORTS = {
+    chiropractors: {
+        table: 'chiropractors',
+        columns: [
+            'id', 'name', 'street', 'city', 'state', 'state_code', 'postal_code', 'address',
+            'phone', 'email', 'website', 'specialty', 'description',
+            'plan', 'is_active', 'listing_status',
+            'accepts_new_patients', 'cash_only', 'accepts_medicare', 'sliding_scale',
+            'timezone', 'latitude', 'longitude', 'rating_average', 'review_count',
+            'claimed_by', 'claimed_at', 'merged_into_id', 'created_at', 'updated_at'
+        ],
+        expressions: {
+            plan: `(SELECT slug FROM listing_plans WHERE id = listing_plan_id(chiropractors.id))`
+        },
+        filters: ['facets', 'status']
+    },
+    'blog-posts': {
+        table: 'blog_posts',
+        columns: [
+            'id', 'title', 'slug', 'author', 'excerpt', 'content', 'featured_image', 'tags',
+            'meta_title', 'meta_description', 'is_published', 'views',
+            'published_at', 'created_at', 'updated_at'
+        ],
+        filters: []
+    },
+    'audit-log': {
+        table: 'audit_log',
+        columns: [
+            'id', 'user_id', 'action', 'entity_type', 'entity_id',
+            'old_values', 'new_values', 'ip_address', 'user_agent', 'created_at'
+        ],
+        // Belt and braces: no logged change should carry a password
+        expressions: {
+            old_values: `old_values - 'password'`,
+            new_values: `new_values - 'password'`
+        },
+        filters: ['audit']
+    },
+    users: {
+        table: 'users',
+        columns: ['id', 'email', 'name', 'role', 'is_active', 'created_at', 'updated_at'],
+        filters: []
+    }
+};
+
+const EXPORT_TYPES = Object.keys(EXPORTS);
+
+/**
+ * Columns requested with columns=a,b (or repeated), in the export's own order;
+ * all of them when none are given
+ */
+const parseColumns = (type, raw) => {
+    const requested = (Array.isArray(raw) ? raw : [raw])
+        .filter(value => value !== undefined)
+        .flatMap(value => String(value).split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+
+    const { columns } = EXPORTS[type];
+    return requested.length > 0 ? columns.filter(column => requested.includes(column)) : columns;
+};
+
+/**
+ * SELECT for an export with the filters from a request query. Chiropractors
+ * take the public directory's facet filters plus status=active|inactive.
+ */
+const buildExportQuery = (type, query) => {
+    const { table, expressions = {}, filters } = EXPORTS[type];
+    const columns = parseColumns(type, query.columns);
+
+    const params = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const conditions = [];
+
+    // Both ends of the created date range are inclusive days
+    if (query.created_from) {
+        conditions.push(`created_at >= ${addParam(query.created_from)}::date`);
+    }
+    if (query.created_to) {
+        conditions.push(`created_at < ${addParam(query.created_to)}::date + 1`);
+    }
+
+    if (filters.includes('facets')) {
+        conditions.push(...facetConditions(parseFacetFilters(query), addParam));
+    }
+
+    if (filters.includes('status') && query.status) {
+        conditions.push(`is_active = ${query.status === 'active'}`);
+    }
+
+    if (filters.includes('audit')) {
+        if (query.action) {
+            conditions.push(`action = ${addParam(query.action)}`);
+        }
+        if (query.entity_type) {
+            conditions.push(`entity_type = ${addParam(query.entity_type)}`);
+        }
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return {
+        columns,
+        text: `SELECT ${columns.map(column => expressions[column] ? `${expressions[column]} AS ${column}` : column).join(', ')}
+               FROM ${table} ${whereClause}
+               ORDER BY id`,
+        params
+    };
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (Array.isArray(value)) {
+        text = value.join('; ');
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Resolves once the chunk is buffered, waiting for the client to catch up if needed
+const writeChunk = (res, chunk) => new Promise(resolve => {
+    if (res.write(chunk)) return resolve();
+
+    const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+});
+
+/**
+ * Stream an export query to the response in batches. Stops early if the
+ * client disconnects.
+ */
+const streamExport = async (client, res, { columns, text, params }, format) => {
+    const cursor = client.query(new Cursor(text, params));
+
+    try {
+        // The first batch is read before anything is sent, so a failing query
+        // can still be answered with an error status
+        let rows = await cursor.read(BATCH_SIZE);
+
+        // A byte order mark lets Excel detect UTF-8
+        if (format === 'csv') {
+            await writeChunk(res, `\uFEFF${csvLine(columns)}`);
+        } else if (format === 'json') {
+            await writeChunk(res, '[');
+        }
+
+        let first = true;
+
+        while (rows.length > 0 && !res.destroyed) {
+            let chunk;
+            if (format === 'csv') {
+                chunk = rows.map(row => csvLine(columns.map(column => row[column]))).join('');
+            } else if (format === 'ndjson') {
+                chunk = rows.map(row => `${JSON.stringify(row)}\n`).join('');
+            } else {
+                chunk = `${first ? '' : ','}${rows.map(row => JSON.stringify(row)).join(',')}`;
+            }
+            first = false;
+
+            await writeChunk(res, chunk);
+
+            if (rows.length < BATCH_SIZE) break;
+            rows = await cursor.read(BATCH_SIZE);
+        }
+
+        if (format === 'json') {
+            await writeChunk(res, ']');
+        }
+    } finally {
+        await cursor.close();
+    }
+};
+
+module.exports = {
+    EXPORTS,
+    EXPORT_TYPES,
+    EXPORT_FORMATS,
+    buildExportQuery,
+    streamExport
+};
@@ -0,0 +1,123 @@
+/**
+ * Facet Utilities
+ * Multi-value directory filters and per-value facet counts
+ */
+
+const { featuredSql } = require('./plans');
+
+// Query parameter -> column. Boolean facets compare against true/false.
+// Facets with a source match against related rows, e.g. any of a listing's
+// practice locations; label names a display column for the value.
+const FACETS = {
+    state: { column: 'state', source: 'locations' },
+    city: { column: 'city', source: 'locations' },
+    specialty: { column: 'specialty' },
+    insurance: { column: 'slug', label: 'name', source: 'insurance' },
+    featured: { column: featuredSql('chiropractors'), type: 'boolean' },
+    accepts_new_patients: { column: 'accepts_new_patients', type: 'boolean' },
+    cash_only: { column: 'cash_only', type: 'boolean' },
+    accepts_medicare: { column: 'accepts_medicare', type: 'boolean' },
+    sliding_scale: { column: 'sliding_scale', type: 'boolean' }
+};
+
+// Related tables a facet can match through; each exposes chiropractor_id
+const FACET_SOURCES = {
+    locations: 'chiropractor_locations',
+    insurance: 'chiropractor_insurance JOIN insurance_carriers ON insurance_carriers.id = chiropractor_insurance.carrier_id'
+};
+
+/**
+ * Read facet filters from a request query. Values may repeat (state=Texas&state=Kansas).
+ */
+const parseFacetFilters = (query) => {
+    const filters = {};
+
+    Object.entries(FACETS).forEach(([key, facet]) => {
+        const raw = query[key];
+        if (raw === undefined || raw === '') return;
+
+        let values = (Array.isArray(raw) ? raw : [raw])
+            .map(value => String(value).trim())
+            .filter(Boolean);
+
+        if (facet.type === 'boolean') {
+            values = [...new Set(values.map(value => value === 'true'))];
+        }
+
+        if (values.length > 0) {
+            filters[key] = values;
+        }
+    });
+
+    return filters;
+};
+
+/**
+ * SQL conditions for the active facet filters.
+ * excludeFacet skips one facet so its own counts reflect only the other filters.
+ */
+const facetConditions = (filters, addParam, excludeFacet = null) => {
+    return Object.entries(filters)
+        .filter(([key]) => key !== excludeFacet)
+        .map(([key, values]) => {
+            const { column, type, source } = FACETS[key];
+            const cast = type === 'boolean' ? 'boolean[]' : 'text[]';
+            if (source) {
+                return `EXISTS (
+                    SELECT 1 FROM ${FACET_SOURCES[source]}
+                    WHERE chiropractor_id = chiropractors.id
+                      AND ${column} = ANY(${addParam(values)}::${cast})
+                )`;
+            }
+            return `${column} = ANY(${addParam(values)}::${cast})`;
+        });
+};
+
+/**
+ * SQL that counts listings per value of a facet, given a WHERE clause
+ */
+const facetCountSql = (key, whereClause) => {
+    const { column, label, source } = FACETS[key];
+
+    // A listing counts once per distinct value among its related rows
+    if (source) {
+        const labelColumn = label ? `, ${label} AS label` : '';
+        return `
+            SELECT ${column} AS value${labelColumn}, COUNT(DISTINCT chiropractor_id)::int AS count
+            FROM ${FACET_SOURCES[source]}
+            WHERE chiropractor_id IN (SELECT id FROM chiropractors ${whereClause})
+              AND ${column} IS NOT NULL
+            GROUP BY ${column}${label ? `, ${label}` : ''}
+            ORDER BY count DESC, value ASC
+        `;
+    }
+
+    return `
+        SELECT ${column} AS value, COUNT(*)::int AS count
+        FROM chiropractors
+        ${whereClause} AND ${column} IS NOT NULL
+        GROUP BY ${column}
+        ORDER BY count DESC, value ASC
+    `;
+};
+
+/**
+ * Mark which facet values are currently selected
+ */
+const formatFacetRows = (key, rows, filters) => {
+    const selected = filters[key] || [];
+    return rows.map(row => ({
+        value: row.value,
+        ...(row.label ? { label: row.label } : {}),
+        count: row.count,
+        selected: selected.includes(row.value)
+    }));
+};
+
+module.exports = {
+    FACETS,
+    parseFacetFilters,
+    facetConditions,
+    facetCountSql,
+    formatFacetRows
+};
@@ -0,0 +1,108 @@
+/**
+ * Geo Utilities
+ * ZIP code lookups and distance helpers for radius search
+ */
+
+const zipcodes = require('zipcodes');
+
+const EARTH_RADIUS_MILES = 3958.8;
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+/**
+ * Look up the centroid of a US ZIP code from the bundled offline dataset
+ */
+const lookupZip = (zip) => {
+    const match = zipcodes.lookup(String(zip).slice(0, 5));
+    if (!match) return null;
+    return { latitude: match.latitude, longitude: match.longitude };
+};
+
+/**
+ * Pull the last 5-digit ZIP (optionally ZIP+4) out of a free-text address
+ */
+const extractZip = (address) => {
+    if (!address) return null;
+    const matches = String(address).match(/\b\d{5}(?:-\d{4})?\b/g);
+    return matches ? matches[matches.length - 1].slice(0, 5) : null;
+};
+
+/**
+ * Geocode an address using its ZIP centroid
+ */
+const geocodeAddress = (address) => {
+    const zip = extractZip(address);
+    return zip ? lookupZip(zip) : null;
+};
+
+/**
+ * Resolve a `near` parameter, either a ZIP code or "lat,lng", to coordinates
+ */
+const resolveOrigin = (near) => {
+    if (!near) return null;
+    const value = String(near).trim();
+
+    const coords = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (coords) {
+        const latitude = parseFloat(coords[1]);
+        const longitude = parseFloat(coords[2]);
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+        return { latitude, longitude };
+    }
+
+    if (/^\d{5}(?:-\d{4})?$/.test(value)) {
+        return lookupZip(value);
+    }
+
+    return null;
+};
+
+/**
+ * Bounding box around a point, used to narrow rows before the exact distance check
+ */
+const boundingBox = ({ latitude, longitude }, radiusMiles) => {
+    const latDelta = radiusMiles / 69.0;
+    const lngDelta = radiusMiles / (69.0 * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+    return {
+        minLat: latitude - latDelta,
+        maxLat: latitude + latDelta,
+        minLng: longitude - lngDelta,
+        maxLng: longitude + lngDelta
+    };
+};
+
+/**
+ * Haversine distance in miles as a SQL expression.
+ * latParam/lngParam are placeholders such as '$1'; prefix qualifies the columns.
+ */
+const distanceSql = (latParam, lngParam, prefix = '') => `(
+    ${EARTH_RADIUS_MILES} * 2 * ASIN(SQRT(
+        POWER(SIN(RADIANS(${prefix}latitude - ${latParam}::float8) / 2), 2) +
+        COS(RADIANS(${latParam}::float8)) * COS(RADIANS(${prefix}latitude)) *
+        POWER(SIN(RADIANS(${prefix}longitude - ${lngParam}::float8) / 2), 2)
+    ))
+)`;
+
+/**
+ * Haversine distance in miles between two points
+ */
+const distanceMiles = (a, b) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return EARTH_RADIUS_MILES * 2 * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+    DEFAULT_RADIUS_MILES,
+    MAX_RADIUS_MILES,
+    lookupZip,
+    extractZip,
+    geocodeAddress,
+    resolveOrigin,
+    boundingBox,
+    distanceSql,
+    distanceMiles
+};
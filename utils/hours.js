@@ -0,0 +1,216 @@
+/**
+ * Office Hours Utilities
+ * Weekly schedules, holiday exceptions and "open now" checks.
+ * Days of the week follow Postgres DOW: 0 = Sunday ... 6 = Saturday.
+ */
+
+const db = require('../config/database');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Primary time zone per state, used when a listing does not set its own
+const STATE_TIMEZONES = {
+    AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+    CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DE: 'America/New_York',
+    FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu', ID: 'America/Boise',
+    IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis', IA: 'America/Chicago', KS: 'America/Chicago',
+    KY: 'America/New_York', LA: 'America/Chicago', ME: 'America/New_York', MD: 'America/New_York',
+    MA: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago', MS: 'America/Chicago',
+    MO: 'America/Chicago', MT: 'America/Denver', NE: 'America/Chicago', NV: 'America/Los_Angeles',
+    NH: 'America/New_York', NJ: 'America/New_York', NM: 'America/Denver', NY: 'America/New_York',
+    NC: 'America/New_York', ND: 'America/Chicago', OH: 'America/New_York', OK: 'America/Chicago',
+    OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York', SC: 'America/New_York',
+    SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago', UT: 'America/Denver',
+    VT: 'America/New_York', VA: 'America/New_York', WA: 'America/Los_Angeles', WV: 'America/New_York',
+    WI: 'America/Chicago', WY: 'America/Denver'
+};
+
+/**
+ * Whether a string is an IANA time zone the runtime understands
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Default time zone for a two-letter state code
+ */
+const timezoneForState = (stateCode) => STATE_TIMEZONES[stateCode] || DEFAULT_TIMEZONE;
+
+// "09:00:00" -> "09:00"
+const toHHMM = (time) => (time ? String(time).slice(0, 5) : null);
+
+/**
+ * Local date, day of week and HH:MM time for a moment in a time zone
+ */
+const localNow = (timezone, now = new Date()) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'long',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        dayOfWeek: DAY_NAMES.indexOf(parts.weekday),
+        time: `${parts.hour}:${parts.minute}`
+    };
+};
+
+// pg returns DATE columns as local-midnight Date objects
+const toDateString = (value) => {
+    if (!(value instanceof Date)) return String(value).slice(0, 10);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+/**
+ * Today's hours and open/closed status for a listing
+ */
+const describeToday = (hours, exceptions, timezone, now = new Date()) => {
+    const local = localNow(timezone || DEFAULT_TIMEZONE, now);
+    const exception = exceptions.find(e => toDateString(e.exception_date) === local.date);
+
+    let intervals;
+    if (exception) {
+        intervals = exception.is_closed ? [] : [{ opens_at: exception.opens_at, closes_at: exception.closes_at }];
+    } else {
+        intervals = hours.filter(h => h.day_of_week === local.dayOfWeek);
+    }
+
+    intervals = intervals
+        .map(h => ({ opens: toHHMM(h.opens_at), closes: toHHMM(h.closes_at) }))
+        .sort((a, b) => a.opens.localeCompare(b.opens));
+
+    return {
+        date: local.date,
+        day: DAY_NAMES[local.dayOfWeek],
+        hours: intervals,
+        is_open: intervals.some(h => local.time >= h.opens && local.time < h.closes),
+        exception: exception ? { label: exception.label || null, is_closed: exception.is_closed } : null
+    };
+};
+
+/**
+ * schema.org openingHoursSpecification for the weekly schedule and exceptions
+ */
+const openingHoursSpecification = (hours, exceptions = []) => {
+    // Group days that share the same opening and closing times
+    const groups = new Map();
+    hours.forEach(h => {
+        const key = `${toHHMM(h.opens_at)}-${toHHMM(h.closes_at)}`;
+        if (!groups.has(key)) {
+            groups.set(key, { opens: toHHMM(h.opens_at), closes: toHHMM(h.closes_at), days: [] });
+        }
+        groups.get(key).days.push(h.day_of_week);
+    });
+
+    const specs = [...groups.values()].map(group => ({
+        '@type': 'OpeningHoursSpecification',
+        'dayOfWeek': group.days.sort().map(day => DAY_NAMES[day]),
+        'opens': group.opens,
+        'closes': group.closes
+    }));
+
+    exceptions.forEach(e => {
+        const date = toDateString(e.exception_date);
+        specs.push({
+            '@type': 'OpeningHoursSpecification',
+            'opens': e.is_closed ? '00:00' : toHHMM(e.opens_at),
+            'closes': e.is_closed ? '00:00' : toHHMM(e.closes_at),
+            'validFrom': date,
+            'validThrough': date
+        });
+    });
+
+    return specs;
+};
+
+/**
+ * SQL condition that is true when a location is open right now in its own time zone.
+ * A holiday exception for the local date replaces the regular weekly hours.
+ */
+const locationOpenNowSql = (alias) => {
+    const localTime = `(NOW() AT TIME ZONE ${alias}.timezone)`;
+    return `(
+        CASE WHEN EXISTS (
+            SELECT 1 FROM office_hour_exceptions ohe
+            WHERE ohe.location_id = ${alias}.id AND ohe.exception_date = ${localTime}::date
+        )
+        THEN EXISTS (
+            SELECT 1 FROM office_hour_exceptions ohe
+            WHERE ohe.location_id = ${alias}.id AND ohe.exception_date = ${localTime}::date
+              AND NOT ohe.is_closed
+              AND ${localTime}::time >= ohe.opens_at AND ${localTime}::time < ohe.closes_at
+        )
+        ELSE EXISTS (
+            SELECT 1 FROM office_hours oh
+            WHERE oh.location_id = ${alias}.id
+              AND oh.day_of_week = EXTRACT(DOW FROM ${localTime})
+              AND ${localTime}::time >= oh.opens_at AND ${localTime}::time < oh.closes_at
+        )
+        END
+    )`;
+};
+
+/**
+ * SQL condition that is true when any of a listing's locations is open right now
+ */
+const openNowSql = (table = 'chiropractors') => `EXISTS (
+    SELECT 1 FROM chiropractor_locations open_loc
+    WHERE open_loc.chiropractor_id = ${table}.id AND ${locationOpenNowSql('open_loc')}
+)`;
+
+/**
+ * Weekly hours plus exceptions from yesterday onward (covers every time zone's "today")
+ */
+const getOfficeHours = async (locationId) => {
+    const [hoursResult, exceptionsResult] = await Promise.all([
+        db.query(
+            `SELECT day_of_week, opens_at, closes_at
+             FROM office_hours
+             WHERE location_id = $1
+             ORDER BY day_of_week, opens_at`,
+            [locationId]
+        ),
+        db.query(
+            `SELECT exception_date::text AS exception_date, is_closed, opens_at, closes_at, label
+             FROM office_hour_exceptions
+             WHERE location_id = $1 AND exception_date >= CURRENT_DATE - 1
+             ORDER BY exception_date`,
+            [locationId]
+        )
+    ]);
+
+    return { hours: hoursResult.rows, exceptions: exceptionsResult.rows };
+};
+
+module.exports = {
+    DAY_NAMES,
+    TIME_PATTERN,
+    DEFAULT_TIMEZONE,
+    isValidTimezone,
+    timezoneForState,
+    describeToday,
+    openingHoursSpecification,
+    locationOpenNowSql,
+    openNowSql,
+    getOfficeHours
+};
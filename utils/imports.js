@@ -0,0 +1,227 @@
+/**
+ * Chiropractor Import Utilities
+ * Reads a CSV or XLSX member list, maps its columns onto listing fields and
+ * matches each row to an existing listing by email or phone. Rows are
+ * validated with the same rules as the admin listing form before anything is written.
+ */
+
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const { proposedChanges } = require('./listingChanges');
+
+const MAX_IMPORT_BYTES = parseInt(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 2000;
+
+// Listing fields a column can be mapped to; "insurance" holds carrier names
+const IMPORT_FIELDS = [
+    'name', 'street', 'city', 'state', 'postal_code', 'address',
+    'phone', 'email', 'website', 'specialty', 'description',
+    'accepts_new_patients', 'cash_only', 'accepts_medicare', 'sliding_scale',
+    'insurance'
+];
+
+const BOOLEAN_FIELDS = ['accepts_new_patients', 'cash_only', 'accepts_medicare', 'sliding_scale'];
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postal_code', 'address'];
+
+// Header spellings seen in association member lists, beyond the field names themselves
+const COLUMN_ALIASES = {
+    practice: 'name', practice_name: 'name', clinic: 'name', clinic_name: 'name', business_name: 'name',
+    address_1: 'street', address_line_1: 'street', street_address: 'street',
+    zip: 'postal_code', zip_code: 'postal_code', zipcode: 'postal_code', postcode: 'postal_code',
+    telephone: 'phone', phone_number: 'phone', office_phone: 'phone',
+    email_address: 'email', e_mail: 'email',
+    url: 'website', website_url: 'website', web: 'website',
+    specialties: 'specialty', bio: 'description', about: 'description',
+    new_patients: 'accepts_new_patients', medicare: 'accepts_medicare',
+    insurance_carriers: 'insurance', insurances: 'insurance', carriers: 'insurance'
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const headerKey = (header) => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const isXlsx = (file) => /\.xlsx$/i.test(file.originalname || '')
+    || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Header row and data rows of an uploaded CSV or XLSX file, or null when the
+ * file cannot be read. Rows keep their spreadsheet row number for error reports.
+ */
+const parseSpreadsheet = async (file) => {
+    let table;
+
+    try {
+        if (isXlsx(file)) {
+            const workbook = new ExcelJS.Workbook();
+            await workbook.xlsx.load(file.buffer);
+            const sheet = workbook.worksheets[0];
+            if (!sheet) return null;
+
+            table = [];
+            sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+                const cells = [];
+                for (let i = 1; i <= sheet.columnCount; i++) {
+                    cells.push(row.getCell(i).text);
+                }
+                table[rowNumber - 1] = cells;
+            });
+        } else {
+            table = parse(file.buffer, { bom: true, relax_column_count: true });
+        }
+    } catch (error) {
+        return null;
+    }
+
+    const [headers = [], ...rows] = Array.from(table, cells => (cells || []).map(cell => String(cell ?? '').trim()));
+
+    return {
+        headers,
+        rows: rows
+            .map((cells, i) => ({ row: i + 2, cells }))
+            .filter(({ cells }) => cells.some(Boolean))
+    };
+};
+
+/**
+ * Guess which header feeds each field, by field name or a common alias
+ */
+const autoMapColumns = (headers) => {
+    const mapping = {};
+    headers.forEach(header => {
+        const key = headerKey(header);
+        const field = IMPORT_FIELDS.includes(key) ? key : COLUMN_ALIASES[key];
+        if (field && !mapping[field]) {
+            mapping[field] = header;
+        }
+    });
+    return mapping;
+};
+
+/**
+ * Turn a data row into a request body for the listing validation rules. Blank
+ * cells are left out, so an update keeps the listing's current value. Carrier
+ * names are resolved to IDs; names the catalog does not know are returned as errors.
+ */
+const mapRow = (cells, headers, mapping, carriersByName) => {
+    const body = {};
+    const errors = [];
+
+    Object.entries(mapping).forEach(([field, header]) => {
+        const value = cells[headers.indexOf(header)];
+        if (!value) return;
+
+        if (BOOLEAN_FIELDS.includes(field)) {
+            const key = value.toLowerCase();
+            body[field] = TRUE_VALUES.includes(key) ? 'true' : FALSE_VALUES.includes(key) ? 'false' : value;
+        } else if (field === 'insurance') {
+            const names = value.split(/[;|]/).map(name => name.trim()).filter(Boolean);
+            const unknown = names.filter(name => !carriersByName.has(name.toLowerCase()));
+            if (unknown.length > 0) {
+                errors.push({ field: 'insurance', message: `Unknown insurance carrier: ${unknown.join(', ')}` });
+            }
+            body.insurance_ids = [...new Set(names.map(name => carriersByName.get(name.toLowerCase())).filter(Boolean))];
+        } else {
+            body[field] = value;
+        }
+    });
+
+    return { body, errors };
+};
+
+// Ten digits of a US phone number, as the duplicate scan compares them
+const phoneKey = (phone) => {
+    const match = String(phone || '').replace(/\D/g, '').match(/^1?(\d{10})/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Active listings sharing an email address or phone number with the imported rows
+ */
+const findExistingListings = async (client, rows) => {
+    const emails = [...new Set(rows.map(row => row.body.email).filter(Boolean).map(email => email.toLowerCase()))];
+    const phones = [...new Set(rows.map(row => phoneKey(row.body.phone)).filter(Boolean))];
+
+    const result = await client.query(
+        `SELECT c.*,
+                ARRAY(
+                    SELECT ci.carrier_id FROM chiropractor_insurance ci
+                    WHERE ci.chiropractor_id = c.id
+                    ORDER BY ci.carrier_id
+                ) AS insurance_ids
+         FROM chiropractors c
+         WHERE c.is_active = true AND c.merged_into_id IS NULL
+           AND (LOWER(c.email) = ANY($1::text[])
+                OR substring(regexp_replace(c.phone, '\\D', '', 'g') from '^1?(\\d{10})') = ANY($2::text[]))
+         ORDER BY c.id`,
+        [emails, phones]
+    );
+
+    return result.rows;
+};
+
+/**
+ * Decide what each valid row does: create a listing, update the one with its
+ * email (or failing that, its phone number), or nothing when the listing
+ * already matches. Two rows for the same practice are an error on the later row.
+ */
+const planRows = (rows, listings) => {
+    const byEmail = new Map();
+    const byPhone = new Map();
+    listings.forEach(listing => {
+        const email = String(listing.email || '').toLowerCase();
+        if (email && !byEmail.has(email)) byEmail.set(email, listing);
+        const phone = phoneKey(listing.phone);
+        if (phone && !byPhone.has(phone)) byPhone.set(phone, listing);
+    });
+
+    const seen = new Map();
+
+    rows.forEach(row => {
+        if (row.errors.length > 0) return;
+
+        const email = row.body.email.toLowerCase();
+        const phone = phoneKey(row.body.phone);
+        const listing = byEmail.get(email) || (phone && byPhone.get(phone));
+
+        const keys = listing ? [`id:${listing.id}`] : [`email:${email}`, phone && `phone:${phone}`].filter(Boolean);
+        const earlier = keys.map(key => seen.get(key)).find(Boolean);
+        if (earlier) {
+            row.errors.push({ field: listing ? 'email' : 'phone', message: `Same practice as row ${earlier}` });
+            return;
+        }
+        keys.forEach(key => seen.set(key, row.row));
+
+        if (!listing) {
+            row.action = 'create';
+            return;
+        }
+
+        const changes = proposedChanges(listing, row.body);
+
+        // The row's address replaces the listing's whole address rather than patching parts of it
+        if (ADDRESS_FIELDS.some(field => field in changes)) {
+            ADDRESS_FIELDS.forEach(field => {
+                changes[field] = row.body[field] ?? null;
+            });
+        }
+
+        row.listing = listing;
+        row.changes = changes;
+        row.action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+    });
+
+    return rows;
+};
+
+module.exports = {
+    MAX_IMPORT_BYTES,
+    MAX_IMPORT_ROWS,
+    IMPORT_FIELDS,
+    parseSpreadsheet,
+    autoMapColumns,
+    mapRow,
+    findExistingListings,
+    planRows
+};
@@ -0,0 +1,41 @@
+/**
+ * Insurance Utilities
+ * Links between chiropractors and the insurance carrier catalog
+ */
+
+const db = require('../config/database');
+
+/**
+ * Carriers a chiropractor accepts, by name
+ */
+const getChiropractorInsurance = async (chiropractorId) => {
+    const result = await db.query(
+        `SELECT ic.id, ic.name, ic.slug
+         FROM chiropractor_insurance ci
+         JOIN insurance_carriers ic ON ic.id = ci.carrier_id
+         WHERE ci.chiropractor_id = $1
+         ORDER BY ic.name ASC`,
+        [chiropractorId]
+    );
+    return result.rows;
+};
+
+/**
+ * Replace the carriers a chiropractor accepts. Unknown carrier IDs are ignored.
+ */
+const setChiropractorInsurance = async (client, chiropractorId, carrierIds) => {
+    await client.query('DELETE FROM chiropractor_insurance WHERE chiropractor_id = $1', [chiropractorId]);
+
+    if (carrierIds.length > 0) {
+        await client.query(
+            `INSERT INTO chiropractor_insurance (chiropractor_id, carrier_id)
+             SELECT $1, id FROM insurance_carriers WHERE id = ANY($2::int[])`,
+            [chiropractorId, carrierIds]
+        );
+    }
+};
+
+module.exports = {
+    getChiropractorInsurance,
+    setChiropractorInsurance
+};
@@ -0,0 +1,171 @@
+/**
+ * License Verification Utilities
+ * Admins check a listing's chiropractic license with the issuing state board
+ * and mark it verified, with a note on how and a date to check it again.
+ * The license check (run daily by the server, or by scripts/check-licenses.js)
+ * moves verified licenses to 'expiring' when they expire soon or are due a
+ * re-check, and to 'lapsed' once they have expired, and emails the
+ * practitioner managing the listing. Patients see a verified badge while the license is current.
+ */
+
+const db = require('../config/database');
+const { sendMail } = require('./mailer');
+
+const LICENSE_STATUSES = ['unverified', 'verified', 'expiring', 'lapsed', 'rejected'];
+
+// Statuses an admin can set; 'expiring' and 'lapsed' come from the license check
+const LICENSE_REVIEW_STATUSES = ['unverified', 'verified', 'rejected'];
+
+const EXPIRING_WITHIN_DAYS = 30;
+
+// Admin view of a listing's license; dates as YYYY-MM-DD
+const LICENSE_FIELDS = `license_number, license_state, license_expires_on::text AS license_expires_on, license_status,
+    license_verified_at, license_verified_by, license_evidence_note, license_reverify_on::text AS license_reverify_on`;
+
+// What patients see; the evidence note stays with admins
+const PUBLIC_LICENSE_FIELDS = `license_number, license_state, license_expires_on::text AS license_expires_on,
+    license_verified_at`;
+
+/**
+ * SQL true while a listing's license counts as verified. An expiring license
+ * is still current; the date check covers days the license check has not run.
+ */
+const licenseVerifiedSql = (alias = 'chiropractors') => `(${alias}.license_status IN ('verified', 'expiring')
+    AND (${alias}.license_expires_on IS NULL OR ${alias}.license_expires_on >= CURRENT_DATE))`;
+
+const siteUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Tell the practitioner managing a listing that its license needs attention
+const notifyOwner = async (listing, owner) => {
+    const license = `License ${listing.license_number} (${listing.license_state}) on ${listing.name}`;
+    let message = `${license} is due to be verified again.`;
+    if (listing.status === 'lapsed') {
+        message = `${license} expired on ${listing.license_expires_on}, so the listing no longer shows as verified.`;
+    } else if (listing.expires_soon) {
+        message = `${license} expires on ${listing.license_expires_on}.`;
+    }
+
+    await sendMail({
+        to: owner.email,
+        subject: listing.status === 'lapsed'
+            ? `The license on ${listing.name} has expired`
+            : `The license on ${listing.name} needs to be checked again`,
+        text: [
+            `Hi ${owner.name || 'there'},`,
+            '',
+            message,
+            '',
+            'Reply with your renewed license details and our team will verify them so patients keep seeing the verified badge.',
+            '',
+            `${siteUrl()}/account`
+        ].join('\n')
+    });
+};
+
+/**
+ * Flag verified licenses that are expiring, due a re-check or lapsed, log
+ * each change and email the listing's manager. Returns the counts.
+ */
+const checkLicenses = async () => {
+    const client = await db.pool.connect();
+    let flagged;
+
+    try {
+        await client.query('BEGIN');
+
+        const lapsed = await client.query(
+            `UPDATE chiropractors SET license_status = 'lapsed'
+             WHERE license_status IN ('verified', 'expiring') AND license_expires_on < CURRENT_DATE
+             RETURNING id, name, claimed_by, license_number, license_state, license_expires_on::text AS license_expires_on`
+        );
+
+        const expiring = await client.query(
+            `UPDATE chiropractors SET license_status = 'expiring'
+             WHERE license_status = 'verified'
+               AND (license_expires_on < CURRENT_DATE + $1::int OR license_reverify_on <= CURRENT_DATE)
+             RETURNING id, name, claimed_by, license_number, license_state, license_expires_on::text AS license_expires_on,
+                       license_expires_on < CURRENT_DATE + $1::int AS expires_soon`,
+            [EXPIRING_WITHIN_DAYS]
+        );
+
+        flagged = [
+            ...lapsed.rows.map(row => ({ ...row, status: 'lapsed' })),
+            ...expiring.rows.map(row => ({ ...row, status: 'expiring' }))
+        ];
+
+        for (const listing of flagged) {
+            await client.query(
+                `INSERT INTO audit_log (action, entity_type, entity_id, new_values)
+                 VALUES ($1, 'chiropractor', $2, $3)`,
+                [`license_${listing.status}`, listing.id, JSON.stringify({ license_status: listing.status })]
+            );
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    // Emails go out after the commit; one failed delivery does not undo the check
+    const owned = flagged.filter(listing => listing.claimed_by);
+    if (owned.length > 0) {
+        const owners = await db.query(
+            'SELECT id, email, name FROM users WHERE id = ANY($1::int[]) AND is_active = true',
+            [owned.map(listing => listing.claimed_by)]
+        );
+        const ownerById = new Map(owners.rows.map(owner => [owner.id, owner]));
+
+        for (const listing of owned) {
+            const owner = ownerById.get(listing.claimed_by);
+            if (!owner) continue;
+            try {
+                await notifyOwner(listing, owner);
+            } catch (error) {
+                console.error(`License notice for chiropractor #${listing.id} failed:`, error);
+            }
+        }
+    }
+
+    return {
+        expiring: flagged.filter(listing => listing.status === 'expiring').length,
+        lapsed: flagged.filter(listing => listing.status === 'lapsed').length
+    };
+};
+
+/**
+ * Run the license check every LICENSE_CHECK_INTERVAL_HOURS (default 24),
+ * starting a minute after boot. 0 turns it off, e.g. where a cron job runs
+ * scripts/check-licenses.js instead. Several servers running it is harmless:
+ * a license is only flagged, and its owner emailed, by the first.
+ */
+const scheduleLicenseChecks = () => {
+    const hours = parseFloat(process.env.LICENSE_CHECK_INTERVAL_HOURS ?? 24);
+    if (!(hours > 0)) return null;
+
+    const run = async () => {
+        try {
+            const result = await checkLicenses();
+            console.log(`License check: ${result.expiring} flagged as expiring, ${result.lapsed} as lapsed`);
+        } catch (error) {
+            console.error('Scheduled license check error:', error);
+        }
+    };
+
+    // Timers must not keep a stopping process alive
+    setTimeout(run, 60 * 1000).unref();
+    return setInterval(run, hours * 60 * 60 * 1000).unref();
+};
+
+module.exports = {
+    LICENSE_STATUSES,
+    LICENSE_REVIEW_STATUSES,
+    EXPIRING_WITHIN_DAYS,
+    LICENSE_FIELDS,
+    PUBLIC_LICENSE_FIELDS,
+    licenseVerifiedSql,
+    checkLicenses,
+    scheduleLicenseChecks
+};
@@ -0,0 +1,107 @@
+/**
+ * Listing Change Utilities
+ * Practitioners propose edits to the listing they own. Only the fields that
+ * differ from the live row are stored, and an admin applies them on approval.
+ */
+
+const { buildChiropractorValues } = require('./chiropractors');
+
+const CHANGE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Request body fields a practitioner may change; featuring and time zone stay with admins
+const EDITABLE_FIELDS = [
+    'name', 'street', 'city', 'state', 'postal_code', 'address',
+    'phone', 'email', 'website', 'specialty', 'description',
+    'accepts_new_patients', 'cash_only', 'accepts_medicare', 'sliding_scale',
+    'insurance_ids'
+];
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postal_code', 'address'];
+
+// Null, undefined and empty strings all mean "not set"; carrier lists compare as sets
+const sameValue = (a, b) => {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        const sorted = (list) => [...(list || [])].sort((x, y) => x - y).join(',');
+        return sorted(a) === sorted(b);
+    }
+    return String(a ?? '') === String(b ?? '');
+};
+
+/**
+ * Live listing rows with their carrier IDs, keyed by chiropractor ID
+ */
+const getListingValues = async (client, chiropractorIds) => {
+    const result = await client.query(
+        `SELECT c.*,
+                ARRAY(
+                    SELECT ci.carrier_id FROM chiropractor_insurance ci
+                    WHERE ci.chiropractor_id = c.id
+                    ORDER BY ci.carrier_id
+                ) AS insurance_ids
+         FROM chiropractors c
+         WHERE c.id = ANY($1::int[])`,
+        [chiropractorIds]
+    );
+    return new Map(result.rows.map(row => [row.id, row]));
+};
+
+/**
+ * What the owner sees of a live listing: its ID and the fields they can edit.
+ * Internal columns such as the search vector and license review notes stay out.
+ */
+const editableValues = (listing) => ({
+    id: listing.id,
+    ...Object.fromEntries(EDITABLE_FIELDS.map(field => [field, listing[field] ?? null]))
+});
+
+/**
+ * The editable fields of a validated request body that differ from the live listing
+ */
+const proposedChanges = (listing, body) => {
+    const changes = {};
+
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        // The single-line address is derived when a street is given
+        if (field === 'address' && body.street) return;
+        if (!sameValue(listing[field], body[field])) {
+            changes[field] = body[field];
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Field-by-field comparison of a proposal against the live listing
+ */
+const diffChanges = (listing, changes) => Object.keys(changes).map(field => ({
+    field,
+    current: listing[field] ?? null,
+    proposed: changes[field]
+}));
+
+/**
+ * Column values for the live listing with the proposed changes applied
+ */
+const applyChanges = (listing, changes) => {
+    const body = { ...listing, ...changes };
+
+    // A moved practice is geocoded and given a time zone again
+    if (ADDRESS_FIELDS.some(field => field in changes)) {
+        delete body.latitude;
+        delete body.longitude;
+        delete body.timezone;
+    }
+
+    return buildChiropractorValues(body);
+};
+
+module.exports = {
+    CHANGE_STATUSES,
+    getListingValues,
+    editableValues,
+    proposedChanges,
+    diffChanges,
+    applyChanges
+};
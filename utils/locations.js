@@ -0,0 +1,115 @@
+/**
+ * Practice Location Utilities
+ * A chiropractor profile owns one or more locations. The primary location is
+ * mirrored onto the chiropractors row so listing cards keep a single address.
+ */
+
+const db = require('../config/database');
+const { resolveLocation, resolveCoordinates } = require('./chiropractors');
+const { timezoneForState, describeToday, getOfficeHours } = require('./hours');
+
+// Columns a location shares with the chiropractors row it is mirrored onto
+const LOCATION_COLUMNS = [
+    'street', 'city', 'state', 'state_code', 'postal_code', 'address',
+    'phone', 'timezone', 'latitude', 'longitude'
+];
+
+const LOCATION_FIELDS = `id, label, ${LOCATION_COLUMNS.join(', ')}, is_primary`;
+
+/**
+ * Column values for an INSERT or UPDATE of a location
+ */
+const buildLocationValues = (body) => {
+    const location = resolveLocation(body);
+    const coords = resolveCoordinates(body, location);
+
+    return {
+        label: body.label || null,
+        street: location.street,
+        city: location.city,
+        state: location.state,
+        state_code: location.state_code,
+        postal_code: location.postal_code,
+        address: location.address,
+        phone: body.phone || null,
+        timezone: body.timezone || timezoneForState(location.state_code),
+        latitude: coords.latitude,
+        longitude: coords.longitude
+    };
+};
+
+/**
+ * Create or update a chiropractor's primary location from its profile column values
+ */
+const savePrimaryLocation = async (client, chiropractorId, values) => {
+    const params = LOCATION_COLUMNS.map(column => values[column]);
+
+    const updated = await client.query(
+        `UPDATE chiropractor_locations
+         SET ${LOCATION_COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ')}
+         WHERE chiropractor_id = $${params.length + 1} AND is_primary
+         RETURNING id`,
+        [...params, chiropractorId]
+    );
+
+    if (updated.rows.length === 0) {
+        await client.query(
+            `INSERT INTO chiropractor_locations (chiropractor_id, ${LOCATION_COLUMNS.join(', ')}, is_primary)
+             VALUES ($1, ${LOCATION_COLUMNS.map((column, i) => `$${i + 2}`).join(', ')}, true)`,
+            [chiropractorId, ...params]
+        );
+    }
+};
+
+/**
+ * Copy the primary location onto the chiropractors row and refresh the
+ * text directory search matches against, which covers every location
+ */
+const syncChiropractorLocations = async (client, chiropractorId) => {
+    await client.query(
+        `UPDATE chiropractors c
+         SET ${LOCATION_COLUMNS.map(column => column === 'phone'
+             ? 'phone = COALESCE(p.phone, c.phone)'
+             : `${column} = p.${column}`).join(', ')},
+             location_search = (
+                 SELECT string_agg(CONCAT_WS(' ', l.label, l.address), ' ')
+                 FROM chiropractor_locations l
+                 WHERE l.chiropractor_id = c.id
+             )
+         FROM chiropractor_locations p
+         WHERE c.id = $1 AND p.chiropractor_id = c.id AND p.is_primary`,
+        [chiropractorId]
+    );
+};
+
+/**
+ * A chiropractor's locations, primary first, with office hours and today's status
+ */
+const getLocations = async (chiropractorId) => {
+    const result = await db.query(
+        `SELECT ${LOCATION_FIELDS}
+         FROM chiropractor_locations
+         WHERE chiropractor_id = $1
+         ORDER BY is_primary DESC, state ASC, city ASC, id ASC`,
+        [chiropractorId]
+    );
+
+    return Promise.all(result.rows.map(async (location) => {
+        const { hours, exceptions } = await getOfficeHours(location.id);
+        return {
+            ...location,
+            hours,
+            hour_exceptions: exceptions,
+            today: describeToday(hours, exceptions, location.timezone)
+        };
+    }));
+};
+
+module.exports = {
+    LOCATION_COLUMNS,
+    LOCATION_FIELDS,
+    buildLocationValues,
+    savePrimaryLocation,
+    syncChiropractorLocations,
+    getLocations
+};
@@ -0,0 +1,112 @@
+/**
+ * Mailer
+ * Outgoing email goes through a pluggable transport chosen with MAIL_TRANSPORT.
+ * Development defaults to an outbox directory so messages can be read without
+ * a mail server. Production delivers over SMTP when SMTP_HOST is set; with no
+ * transport configured there, sending fails rather than dropping the message.
+ * Other transports can be added with registerTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'outbox');
+
+// nodemailer is only loaded when the SMTP transport is used
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+    if (!smtpTransporter) {
+        const nodemailer = require('nodemailer');
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        smtpTransporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            // Port 465 speaks TLS from the start; others upgrade with STARTTLS
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASSWORD
+            } : undefined
+        });
+    }
+    return smtpTransporter;
+};
+
+const transports = {
+    // One .eml file per message, readable in any mail client or text editor
+    outbox: async (message) => {
+        const dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+        const file = path.join(dir, `${message.date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(file, [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            ...(message.replyTo ? [`Reply-To: ${message.replyTo}`] : []),
+            `Subject: ${message.subject}`,
+            `Date: ${message.date.toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            message.text
+        ].join('\n'));
+    },
+
+    console: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    },
+
+    smtp: async (message) => {
+        if (!process.env.SMTP_HOST) {
+            throw new Error('SMTP_HOST must be set to send mail over SMTP');
+        }
+        await getSmtpTransporter().sendMail(message);
+    },
+
+    // Drops every message; only when chosen explicitly, e.g. for a staging copy
+    none: async (message) => {
+        console.warn(`Mailer: no transport configured, message "${message.subject}" to ${message.to} was not sent`);
+    }
+};
+
+/**
+ * Add or replace a transport: an async function that receives
+ * { from, to, replyTo, subject, text, date }
+ */
+const registerTransport = (name, send) => {
+    transports[name] = send;
+};
+
+/**
+ * Send a plain-text email
+ */
+const sendMail = async ({ to, subject, text, replyTo }) => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production'
+        ? (process.env.SMTP_HOST ? 'smtp' : null)
+        : 'outbox');
+
+    if (!name) {
+        throw new Error('No mail transport configured: set SMTP_HOST or MAIL_TRANSPORT');
+    }
+
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${name}"`);
+    }
+
+    await transport({
+        from: process.env.FROM_EMAIL || 'noreply@justchiropractor.com',
+        to,
+        replyTo,
+        subject,
+        text,
+        date: new Date()
+    });
+};
+
+module.exports = {
+    registerTransport,
+    sendMail
+};
@@ -0,0 +1,165 @@
+/**
+ * Media Utilities
+ * Uploaded images are identified from their content rather than the
+ * client-supplied type, re-encoded without metadata, given a thumbnail and
+ * written to the active storage backend.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const db = require('../config/database');
+const { activeBackend, getBackend } = require('./storage');
+
+const MEDIA_KINDS = ['logo', 'photo', 'blog'];
+
+// Formats accepted for upload, keyed by the format sharp detects
+const IMAGE_FORMATS = {
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+    png: { mimeType: 'image/png', extension: 'png' },
+    webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Guards against decompression bombs: small files that decode to huge images
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Stored images are scaled down to fit this box
+const MAX_DIMENSION = 2000;
+
+const THUMBNAIL_SIZE = 320;
+
+const MAX_PHOTOS_PER_LISTING = 12;
+
+// Columns returned to admins; urls are added by withUrls()
+const MEDIA_FIELDS = `id, kind, chiropractor_id, storage_backend, storage_key, thumbnail_key, original_name,
+    mime_type, size_bytes, width, height, alt_text, sort_order, uploaded_by, created_at`;
+
+/**
+ * Add public urls for the file and its thumbnail
+ */
+const withUrls = (media) => {
+    const backend = getBackend(media.storage_backend);
+    return {
+        ...media,
+        url: backend.url(media.storage_key),
+        thumbnail_url: backend.url(media.thumbnail_key)
+    };
+};
+
+/**
+ * Decode an upload and prepare the stored image and its thumbnail. Returns
+ * null when the content is not an accepted image, whatever its file name or
+ * declared type says.
+ */
+const processImage = async (buffer, kind) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        return null;
+    }
+
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+        return null;
+    }
+
+    // rotate() applies the EXIF orientation; the output carries no metadata
+    // so camera details and GPS positions are not published
+    const image = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(metadata.format)
+        .toBuffer({ resolveWithObject: true });
+
+    // Logos keep their proportions; photos are cropped to a square for grids
+    const thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: kind === 'logo' ? 'inside' : 'cover', withoutEnlargement: kind === 'logo' })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+    return {
+        ...format,
+        data: image.data,
+        width: image.info.width,
+        height: image.info.height,
+        thumbnail
+    };
+};
+
+// e.g. photo/2025/03/9f86d081884c7d65.jpg
+const storageKey = (kind, extension) => {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    return `${kind}/${now.getUTCFullYear()}/${month}/${crypto.randomBytes(8).toString('hex')}.${extension}`;
+};
+
+/**
+ * Write a processed image and its thumbnail to the active backend
+ */
+const storeImage = async (image, kind) => {
+    const backendName = activeBackend();
+    const backend = getBackend(backendName);
+    const key = storageKey(kind, image.extension);
+    const thumbnailKey = key.replace(/\.\w+$/, '_thumb.webp');
+
+    await backend.put(key, image.data, image.mimeType);
+    await backend.put(thumbnailKey, image.thumbnail, 'image/webp');
+
+    return { storage_backend: backendName, storage_key: key, thumbnail_key: thumbnailKey };
+};
+
+/**
+ * Delete a media row's files. Failures are logged rather than thrown: the row
+ * is already gone and a stray file is harmless.
+ */
+const removeFiles = async (media) => {
+    try {
+        const backend = getBackend(media.storage_backend);
+        await backend.remove(media.storage_key);
+        await backend.remove(media.thumbnail_key);
+    } catch (error) {
+        console.error(`Remove media files error (${media.storage_key}):`, error);
+    }
+};
+
+/**
+ * A listing's logo and gallery photos, for public listing pages
+ */
+const getListingMedia = async (chiropractorId) => {
+    const result = await db.query(
+        `SELECT ${MEDIA_FIELDS} FROM media
+         WHERE chiropractor_id = $1
+         ORDER BY sort_order ASC, created_at ASC`,
+        [chiropractorId]
+    );
+
+    const media = result.rows.map(withUrls).map(item => ({
+        id: item.id,
+        kind: item.kind,
+        url: item.url,
+        thumbnail_url: item.thumbnail_url,
+        width: item.width,
+        height: item.height,
+        alt_text: item.alt_text
+    }));
+
+    return {
+        logo: media.find(item => item.kind === 'logo') || null,
+        photos: media.filter(item => item.kind === 'photo')
+    };
+};
+
+module.exports = {
+    MEDIA_KINDS,
+    MAX_UPLOAD_BYTES,
+    MAX_PHOTOS_PER_LISTING,
+    MEDIA_FIELDS,
+    withUrls,
+    processImage,
+    storeImage,
+    removeFiles,
+    getListingMedia
+};
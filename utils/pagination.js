@@ -0,0 +1,127 @@
+/**
+ * Pagination Utilities
+ * Lists page either by offset (page=) or by keyset cursor (cursor=). A cursor
+ * holds the sort keys of the row at the edge of a page, so the next page
+ * starts right after that row instead of counting past OFFSET rows, and no
+ * COUNT(*) is needed. Cursors are opaque to clients: base64url JSON.
+ *
+ * An ordering is a list of keys, { sql, type, desc }, ending in a unique
+ * column so every row has one position. Key expressions must not be NULL.
+ */
+
+const SORT_OPTIONS = ['relevance', 'distance', 'name', 'newest', 'rating', 'reviews'];
+
+const CURSOR_DIRECTIONS = ['next', 'prev'];
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const isIdPair = (pair) => Array.isArray(pair) && pair.length === 2 &&
+    pair.every(id => Number.isInteger(id) && id > 0);
+
+/**
+ * The cursor in a cursor= value, or null if it is not one of ours.
+ * s is the sort it was made for, d the direction, k the edge row's keys,
+ * and f, if there, the [listing, campaign] id pairs featured on the first page.
+ */
+const decodeCursor = (value) => {
+    try {
+        const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+        if (typeof cursor.s === 'string' && CURSOR_DIRECTIONS.includes(cursor.d) &&
+            Array.isArray(cursor.k) && cursor.k.every(key => typeof key === 'string') &&
+            (cursor.f === undefined || (Array.isArray(cursor.f) && cursor.f.every(isIdPair)))) {
+            return cursor;
+        }
+    } catch (error) {
+        // Not base64 JSON
+    }
+    return null;
+};
+
+const NUMBER_PATTERN = /^-?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+// A real calendar date and time; the pattern alone lets 2024-02-31 through
+const isTimestamp = (value) => {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) return false;
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+        hour < 24 && minute < 60 && second < 60;
+};
+
+// Whether a text value casts to the key's SQL type, by type
+const KEY_VALUE_CHECKS = {
+    int: (value) => /^-?\d{1,10}$/.test(value) && Math.abs(Number(value)) <= 2147483647,
+    numeric: (value) => NUMBER_PATTERN.test(value),
+    float8: (value) => NUMBER_PATTERN.test(value) || ['NaN', 'Infinity', '-Infinity'].includes(value),
+    timestamptz: isTimestamp,
+    boolean: (value) => value === 'true' || value === 'false',
+    text: () => true
+};
+
+/**
+ * Whether a decoded cursor has one value per key and each casts to its
+ * key's type, so a tampered cursor is turned away before it reaches SQL
+ */
+const cursorMatchesKeys = (keys, cursor) => cursor.k.length === keys.length &&
+    keys.every((key, i) => KEY_VALUE_CHECKS[key.type](cursor.k[i]));
+
+// Key values selected with each row, as text, so edge rows can become cursors
+const cursorFields = (keys) => keys.map((key, i) => `(${key.sql})::text AS cursor_key_${i}`).join(', ');
+
+// Pages before a cursor are fetched in reverse and flipped afterwards
+const keysetOrder = (keys, cursor = null) => {
+    const backward = Boolean(cursor) && cursor.d === 'prev';
+    return keys.map(key => `${key.sql} ${Boolean(key.desc) !== backward ? 'DESC' : 'ASC'}`).join(', ');
+};
+
+/**
+ * WHERE condition for the rows after (or, backward, before) the cursor's row
+ */
+const keysetCondition = (keys, cursor, addParam) => {
+    const backward = cursor.d === 'prev';
+    const values = keys.map((key, i) => `${addParam(cursor.k[i])}::${key.type}`);
+
+    const branches = keys.map((key, i) => [
+        ...keys.slice(0, i).map((prior, j) => `${prior.sql} = ${values[j]}`),
+        `${key.sql} ${Boolean(key.desc) !== backward ? '<' : '>'} ${values[i]}`
+    ].join(' AND '));
+
+    return `((${branches.join(') OR (')}))`;
+};
+
+/**
+ * Trim a page fetched with one row more than limit and build its cursors.
+ * base is carried into each cursor (at least s, the sort). hasPrevious says
+ * whether an offset page is past the first; a forward cursor page always is.
+ */
+const keysetPage = (rows, { keys, limit, cursor, base, hasPrevious }) => {
+    const backward = cursor ? cursor.d === 'prev' : false;
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    if (backward) pageRows.reverse();
+
+    const edge = (row, d) => row
+        ? encodeCursor({ ...base, d, k: keys.map((key, i) => row[`cursor_key_${i}`]) })
+        : null;
+
+    return {
+        rows: pageRows.map(row => Object.fromEntries(
+            Object.entries(row).filter(([column]) => !column.startsWith('cursor_key_'))
+        )),
+        next: backward || hasMore ? edge(pageRows[pageRows.length - 1], 'next') : null,
+        prev: (backward ? hasMore : Boolean(cursor) || hasPrevious) ? edge(pageRows[0], 'prev') : null
+    };
+};
+
+module.exports = {
+    SORT_OPTIONS,
+    encodeCursor,
+    decodeCursor,
+    cursorMatchesKeys,
+    cursorFields,
+    keysetOrder,
+    keysetCondition,
+    keysetPage
+};
@@ -0,0 +1,130 @@
+/**
+ * Patient Account Utilities
+ * Patients are users with the 'patient' role. They sign in with a password
+ * or a one-time link emailed to them, and save chiropractors and blog posts
+ * into named lists. Staff and practitioner accounts cannot sign in as
+ * patients, and patient accounts cannot sign in to the staff login.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const { sendMail } = require('./mailer');
+const { hashToken } = require('./submissions');
+
+const PATIENT_ROLE = 'patient';
+
+// Every new patient starts with this list
+const DEFAULT_LIST_NAME = 'Favorites';
+
+const MAX_LISTS = 20;
+
+const MAGIC_LINK_TTL_MINUTES = 20;
+
+const LIST_FIELDS = 'id, name, share_token, created_at, updated_at';
+
+// Links in emails point at the public site
+const siteUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Email a one-time sign-in link and return its hash and expiry
+ */
+const issueMagicLink = async (email) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await sendMail({
+        to: email,
+        subject: 'Your Just Chiropractor sign-in link',
+        text: [
+            'Use this link to sign in to Just Chiropractor and see your saved lists:',
+            '',
+            `${siteUrl()}/saved?token=${token}`,
+            '',
+            `The link works once and expires in ${MAGIC_LINK_TTL_MINUTES} minutes. If you did not ask for it, you can ignore this email.`
+        ].join('\n')
+    });
+
+    return {
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000)
+    };
+};
+
+/**
+ * Create a patient account and its default list inside the caller's
+ * transaction. password is a hash, or null for magic-link-only accounts.
+ */
+const createPatient = async (client, { email, password = null, name = null }) => {
+    const result = await client.query(
+        `INSERT INTO users (email, password, name, role)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, email, name, role`,
+        [email, password, name, PATIENT_ROLE]
+    );
+
+    await client.query(
+        'INSERT INTO patient_lists (user_id, name) VALUES ($1, $2)',
+        [result.rows[0].id, DEFAULT_LIST_NAME]
+    );
+
+    return result.rows[0];
+};
+
+// A share link token; unguessable, and replaced if the list is shared again
+const newShareToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Entries of a list, newest first, with a summary of what each one saves.
+ * The owner sees private notes and entries no longer public; a shared view
+ * sees neither.
+ */
+const getListItems = async (listId, { owner = false } = {}) => {
+    const available = `((c.id IS NOT NULL AND c.is_active = true AND c.listing_status = 'published')
+        OR (b.id IS NOT NULL AND b.is_published = true))`;
+
+    const result = await db.query(
+        `SELECT i.id, i.chiropractor_id, i.blog_post_id, ${owner ? 'i.note, ' : ''}i.created_at,
+                CASE WHEN c.id IS NOT NULL THEN json_build_object(
+                    'id', c.id, 'slug', c.slug, 'name', c.name, 'specialty', c.specialty, 'city', c.city, 'state', c.state,
+                    'rating_average', c.rating_average::float8, 'review_count', c.review_count
+                ) END AS chiropractor,
+                CASE WHEN b.id IS NOT NULL THEN json_build_object(
+                    'id', b.id, 'title', b.title, 'slug', b.slug, 'excerpt', b.excerpt
+                ) END AS blog_post,
+                ${available} AS is_available
+         FROM patient_list_items i
+         LEFT JOIN chiropractors c ON c.id = i.chiropractor_id
+         LEFT JOIN blog_posts b ON b.id = i.blog_post_id
+         WHERE i.list_id = $1 ${owner ? '' : `AND ${available}`}
+         ORDER BY i.created_at DESC, i.id DESC`,
+        [listId]
+    );
+    return result.rows;
+};
+
+/**
+ * Ids of the patient's lists that hold the given chiropractor or blog post,
+ * for showing whether a page is already saved
+ */
+const savedListIds = async (userId, { chiropractorId = null, blogPostId = null }) => {
+    const result = await db.query(
+        `SELECT DISTINCT l.id
+         FROM patient_lists l
+         JOIN patient_list_items i ON i.list_id = l.id
+         WHERE l.user_id = $1 AND (i.chiropractor_id = $2 OR i.blog_post_id = $3)
+         ORDER BY l.id`,
+        [userId, chiropractorId, blogPostId]
+    );
+    return result.rows.map(row => row.id);
+};
+
+module.exports = {
+    PATIENT_ROLE,
+    DEFAULT_LIST_NAME,
+    MAX_LISTS,
+    LIST_FIELDS,
+    issueMagicLink,
+    createPatient,
+    newShareToken,
+    getListItems,
+    savedListIds
+};
@@ -0,0 +1,84 @@
+/**
+ * Listing Plan Utilities
+ * A listing's plan decides where it is placed in results and which of its
+ * details are shown publicly. The plan in effect is worked out in SQL by
+ * listing_plan_id(), so an expired subscription falls back to the free plan
+ * on the next request.
+ */
+
+const db = require('../config/database');
+
+const FREE_PLAN = 'free';
+
+const BILLING_PERIODS = ['month', 'year'];
+
+const PLAN_FIELDS = `id, slug, name, description, price_cents, billing_period, placement_rank, is_featured,
+    max_photos, show_website, max_description_length, is_public, sort_order`;
+
+const SUBSCRIPTION_FIELDS = 'id, chiropractor_id, plan_id, starts_at, ends_at, cancelled_at, note, created_by, created_at';
+
+/**
+ * Lateral join exposing the listing's current plan as plan.* columns whose
+ * names do not clash with the listing's own
+ */
+const planJoin = (listing) => `CROSS JOIN LATERAL (
+    SELECT lp.slug AS plan, lp.placement_rank, lp.is_featured,
+           lp.show_website, lp.max_description_length, lp.max_photos
+    FROM listing_plans lp
+    WHERE lp.id = listing_plan_id(${listing}.id)
+) plan`;
+
+// Whether a listing's current plan features it, for WHERE clauses without the join
+const featuredSql = (listing) => `(SELECT lp.is_featured FROM listing_plans lp WHERE lp.id = listing_plan_id(${listing}.id))`;
+
+/**
+ * Public listing columns as the plan allows them: the website link only on
+ * plans that include it, and the description cut to the plan's length
+ */
+const planFields = (listing, { description = false } = {}) => [
+    'plan.plan',
+    'plan.is_featured',
+    `CASE WHEN plan.show_website THEN ${listing}.website END AS website`,
+    ...(description
+        ? [`CASE WHEN plan.max_description_length IS NULL THEN ${listing}.description
+                 ELSE LEFT(${listing}.description, plan.max_description_length) END AS description`]
+        : [])
+].join(', ');
+
+/**
+ * Keep the photos the listing's plan allows
+ */
+const limitMedia = (media, maxPhotos) => ({
+    ...media,
+    photos: media.photos.slice(0, maxPhotos)
+});
+
+/**
+ * Subscriptions of a listing, newest first, with plan names and whether each is in effect
+ */
+const getSubscriptions = async (chiropractorId) => {
+    const result = await db.query(
+        `SELECT ${SUBSCRIPTION_FIELDS.split(',').map(field => `s.${field.trim()}`).join(', ')},
+                p.slug AS plan_slug, p.name AS plan_name, u.name AS created_by_name,
+                (s.cancelled_at IS NULL AND s.starts_at <= NOW() AND s.ends_at > NOW()) AS is_current
+         FROM chiropractor_subscriptions s
+         JOIN listing_plans p ON p.id = s.plan_id
+         LEFT JOIN users u ON u.id = s.created_by
+         WHERE s.chiropractor_id = $1
+         ORDER BY s.starts_at DESC, s.id DESC`,
+        [chiropractorId]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    FREE_PLAN,
+    BILLING_PERIODS,
+    PLAN_FIELDS,
+    SUBSCRIPTION_FIELDS,
+    planJoin,
+    featuredSql,
+    planFields,
+    limitMedia,
+    getSubscriptions
+};
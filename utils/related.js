@@ -0,0 +1,198 @@
+/**
+ * Related Listing Utilities
+ * Listings related to the one being viewed are scored on the specialty words
+ * they share with it, how close their nearest locations are, and the
+ * insurance carriers and payment options they have in common. Nothing in the
+ * score is random, so a listing's related set only changes with the data and
+ * can be cached. Featured campaign listings rotate, so they come back apart
+ * from it. Each result says why it was picked, e.g. "Also pediatric, 3 mi away".
+ */
+
+const db = require('../config/database');
+const { boundingBox, distanceSql } = require('./geo');
+const { planJoin } = require('./plans');
+const { RATING_FIELDS } = require('./reviews');
+const { featuredSlotSql } = require('./campaigns');
+
+// Listings with a location this close count as nearby, whatever their state
+const RELATED_RADIUS_MILES = 50;
+
+const WEIGHTS = {
+    specialty: 4,
+    distance: 3,
+    insurance: 1,
+    attribute: 0.5,
+    // Only separates otherwise equal matches
+    placement: 0.1
+};
+
+// Words in nearly every specialty, which say nothing about two practices being alike
+const SPECIALTY_STOPWORDS = new Set([
+    'and', 'the', 'for', 'with', 'chiropractic', 'chiropractor', 'chiropractors',
+    'care', 'clinic', 'center', 'general', 'services', 'treatment', 'therapy'
+]);
+
+// Payment and intake options a related listing can share, with how to say so
+const SHARED_ATTRIBUTES = {
+    accepts_new_patients: 'accepting new patients',
+    accepts_medicare: 'takes Medicare',
+    sliding_scale: 'has sliding scale fees',
+    cash_only: 'cash only'
+};
+
+/**
+ * Distinct meaningful words of a specialty, in order
+ */
+const specialtyTerms = (specialty) => [...new Set(
+    String(specialty || '').toLowerCase().split(/[^a-z]+/)
+        .filter(word => word.length > 2 && !SPECIALTY_STOPWORDS.has(word))
+)];
+
+/**
+ * The reasons a related listing was picked, best first, as one short phrase
+ */
+const explainRelated = (row) => {
+    const reasons = [];
+
+    if (row.shared_specialties.length > 0) {
+        reasons.push(`Also ${row.shared_specialties[0]}`);
+    }
+    if (row.distance !== null && row.distance <= RELATED_RADIUS_MILES) {
+        reasons.push(row.distance < 1 ? 'Under 1 mi away' : `${Math.round(row.distance)} mi away`);
+    }
+
+    const shared = [
+        ...row.shared_insurance.slice(0, 1).map(carrier => `takes ${carrier}`),
+        ...row.shared_attributes.map(attribute => SHARED_ATTRIBUTES[attribute])
+    ];
+    shared.forEach(text => reasons.push(reasons.length > 0 ? text : `Also ${text}`));
+    if (reasons.length === 0 && row.shared_state) {
+        reasons.push(`Also in ${row.shared_state}`);
+    }
+
+    return reasons.slice(0, 2).join(', ');
+};
+
+/**
+ * Published listings related to a published listing, best first, with an
+ * explanation each, as { related, featured }. featured holds those of the
+ * featuredIds (campaign listings) that are related too, in slot order, so
+ * related stays the same whatever the rotation. Returns null if the listing
+ * is not published.
+ */
+const findRelated = async (chiropractorId, limit, featuredIds = []) => {
+    const sourceResult = await db.query(
+        `SELECT id, specialty, ${Object.keys(SHARED_ATTRIBUTES).join(', ')}
+         FROM chiropractors
+         WHERE id = $1 AND is_active = true AND listing_status = 'published'`,
+        [chiropractorId]
+    );
+    if (sourceResult.rows.length === 0) {
+        return null;
+    }
+    const source = sourceResult.rows[0];
+
+    const [locationResult, insuranceResult] = await Promise.all([
+        db.query(
+            'SELECT state, latitude, longitude FROM chiropractor_locations WHERE chiropractor_id = $1',
+            [chiropractorId]
+        ),
+        db.query('SELECT carrier_id FROM chiropractor_insurance WHERE chiropractor_id = $1', [chiropractorId])
+    ]);
+
+    const states = [...new Set(locationResult.rows.map(location => location.state).filter(Boolean))];
+    const points = locationResult.rows
+        .filter(location => location.latitude !== null && location.longitude !== null)
+        .map(location => ({ latitude: parseFloat(location.latitude), longitude: parseFloat(location.longitude) }));
+    const terms = specialtyTerms(source.specialty);
+    const attributes = Object.keys(SHARED_ATTRIBUTES).filter(attribute => source[attribute]);
+
+    // One box around all of the listing's located points narrows the
+    // candidates before any exact distance is worked out
+    const boxes = points.map(point => boundingBox(point, RELATED_RADIUS_MILES));
+    const box = boxes.length > 0
+        ? [
+            Math.min(...boxes.map(b => b.minLat)), Math.max(...boxes.map(b => b.maxLat)),
+            Math.min(...boxes.map(b => b.minLng)), Math.max(...boxes.map(b => b.maxLng))
+        ]
+        : [0, 0, 0, 0];
+
+    const candidatesSql = `SELECT * FROM (
+            SELECT c.id, c.slug, c.name, c.state, c.address, c.phone, c.specialty, plan.plan, plan.is_featured,
+                   ${RATING_FIELDS}, plan.placement_rank, near.distance,
+                   (SELECT l.state FROM chiropractor_locations l
+                    WHERE l.chiropractor_id = c.id AND l.state = ANY($2::text[])
+                    ORDER BY l.is_primary DESC, l.id LIMIT 1) AS shared_state,
+                   ARRAY(SELECT term
+                         FROM unnest($3::text[]) WITH ORDINALITY AS terms(term, position)
+                         WHERE term = ANY(regexp_split_to_array(LOWER(COALESCE(c.specialty, '')), '[^a-z]+'))
+                         ORDER BY position) AS shared_specialties,
+                   ARRAY(SELECT ic.name
+                         FROM chiropractor_insurance ci
+                         JOIN insurance_carriers ic ON ic.id = ci.carrier_id
+                         WHERE ci.chiropractor_id = c.id AND ci.carrier_id = ANY($4::int[])
+                         ORDER BY ic.name) AS shared_insurance,
+                   ${attributes.length > 0
+                       ? `ARRAY_REMOVE(ARRAY[${attributes.map(attribute => `CASE WHEN c.${attribute} THEN '${attribute}' END`).join(', ')}], NULL)`
+                       : 'ARRAY[]::text[]'} AS shared_attributes
+            FROM chiropractors c ${planJoin('c')}
+            LEFT JOIN LATERAL (
+                SELECT MIN(${distanceSql('src.latitude', 'src.longitude', 'l.')})::float8 AS distance
+                FROM chiropractor_locations l
+                CROSS JOIN unnest($5::float8[], $6::float8[]) AS src(latitude, longitude)
+                WHERE l.chiropractor_id = c.id AND l.latitude IS NOT NULL
+            ) near ON true
+            WHERE c.id != $1 AND c.is_active = true AND c.listing_status = 'published'
+              AND EXISTS (
+                  SELECT 1 FROM chiropractor_locations l
+                  WHERE l.chiropractor_id = c.id
+                    AND (l.state = ANY($2::text[])
+                         OR (l.latitude BETWEEN $7 AND $8 AND l.longitude BETWEEN $9 AND $10))
+              )
+         ) candidates
+         WHERE (shared_state IS NOT NULL OR distance <= $11)`;
+    const params = [
+        chiropractorId, states, terms, insuranceResult.rows.map(row => row.carrier_id),
+        points.map(point => point.latitude), points.map(point => point.longitude),
+        ...box, RELATED_RADIUS_MILES
+    ];
+
+    const [result, featuredResult] = await Promise.all([
+        db.query(
+            `${candidatesSql}
+             ORDER BY ${WEIGHTS.specialty} * cardinality(shared_specialties)::float8 / GREATEST(cardinality($3::text[]), 1)
+                      + ${WEIGHTS.distance} * GREATEST(0, 1 - COALESCE(distance, $11) / $11)
+                      + ${WEIGHTS.insurance} * LEAST(cardinality(shared_insurance), 3) / 3.0
+                      + ${WEIGHTS.attribute} * cardinality(shared_attributes)
+                      + ${WEIGHTS.placement} * placement_rank DESC,
+                      id ASC
+             LIMIT $12`,
+            [...params, limit]
+        ),
+        featuredIds.length > 0
+            ? db.query(
+                `${candidatesSql} AND id = ANY($12::int[])
+                 ORDER BY ${featuredSlotSql('$12')}`,
+                [...params, featuredIds]
+            )
+            : { rows: [] }
+    ]);
+
+    const format = (row) => {
+        const { placement_rank, shared_state, shared_specialties, shared_insurance, shared_attributes, ...rest } = row;
+        return {
+            ...rest,
+            distance: row.distance === null ? null : Math.round(row.distance * 10) / 10,
+            explanation: explainRelated(row)
+        };
+    };
+
+    return { related: result.rows.map(format), featured: featuredResult.rows.map(format) };
+};
+
+module.exports = {
+    RELATED_RADIUS_MILES,
+    specialtyTerms,
+    explainRelated,
+    findRelated
+};
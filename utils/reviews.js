@@ -0,0 +1,58 @@
+/**
+ * Review Utilities
+ * Patient reviews go through moderation; only approved reviews are public
+ * and count towards a listing's rating.
+ */
+
+const db = require('../config/database');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+
+// Columns safe to show publicly (no email or IP address)
+const PUBLIC_REVIEW_FIELDS = 'id, rating, title, body, author_name, created_at';
+
+// Rating summary columns as numbers rather than numeric strings
+const RATING_FIELDS = 'rating_average::float8 AS rating_average, review_count';
+
+/**
+ * Recompute a listing's average rating and review count from its approved reviews
+ */
+const refreshRatingSummary = async (client, chiropractorId) => {
+    await client.query(
+        `UPDATE chiropractors c
+         SET rating_average = r.average, review_count = r.count
+         FROM (
+             SELECT ROUND(AVG(rating), 2) AS average, COUNT(*)::int AS count
+             FROM reviews
+             WHERE chiropractor_id = $1 AND status = 'approved'
+         ) r
+         WHERE c.id = $1`,
+        [chiropractorId]
+    );
+};
+
+/**
+ * Approved review count per star rating, 5 down to 1
+ */
+const getRatingDistribution = async (chiropractorId) => {
+    const result = await db.query(
+        `SELECT rating, COUNT(*)::int AS count
+         FROM reviews
+         WHERE chiropractor_id = $1 AND status = 'approved'
+         GROUP BY rating`,
+        [chiropractorId]
+    );
+
+    return [5, 4, 3, 2, 1].map(rating => ({
+        rating,
+        count: result.rows.find(row => row.rating === rating)?.count || 0
+    }));
+};
+
+module.exports = {
+    REVIEW_STATUSES,
+    PUBLIC_REVIEW_FIELDS,
+    RATING_FIELDS,
+    refreshRatingSummary,
+    getRatingDistribution
+};
@@ -0,0 +1,89 @@
+/**
+ * Search Utilities
+ * Ranked full-text search with trigram fallback for misspellings
+ */
+
+const SEARCH_CONFIG = 'english';
+
+// Minimum word_similarity for a fuzzy-only match ("chiropracter" -> "chiropractic").
+// config/database.js sets it as pg_trgm.word_similarity_threshold on each connection.
+const FUZZY_THRESHOLD = 0.3;
+
+// Location text as indexed by idx_chiropractors_location_trgm
+const LOCATION_TEXT = 'COALESCE(location_search, address)';
+
+// Multiplier applied to the relevance score of listings on a featured plan
+const FEATURED_BOOST = 1.5;
+
+// ts_headline markers, swapped for <mark> after the snippet is HTML-escaped
+const HIGHLIGHT_START = '[[mark]]';
+const HIGHLIGHT_STOP = '[[/mark]]';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Build the SQL fragments for a chiropractor search term.
+ * param is the placeholder holding the raw search text, e.g. '$3'.
+ * The fuzzy fallback uses pg_trgm's <% operator so each branch of the
+ * condition can use its trigram index; descriptions only match full-text.
+ */
+const buildChiropractorSearch = (param) => {
+    const tsquery = `websearch_to_tsquery('${SEARCH_CONFIG}', ${param})`;
+    const fuzzy = `GREATEST(
+        word_similarity(${param}, name),
+        word_similarity(${param}, COALESCE(specialty, '')),
+        word_similarity(${param}, ${LOCATION_TEXT})
+    )`;
+    const headline = (column, options) => `ts_headline('${SEARCH_CONFIG}', COALESCE(${column}, ''), ${tsquery},
+        'StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", ${options}')`;
+
+    return {
+        condition: `(search_vector @@ ${tsquery}
+            OR ${param} <% name OR ${param} <% specialty OR ${param} <% ${LOCATION_TEXT})`,
+        relevance: `(ts_rank_cd(search_vector, ${tsquery}, 32) + ${fuzzy} * 0.5)
+            * CASE WHEN plan.is_featured THEN ${FEATURED_BOOST} ELSE 1 END`,
+        highlights: [
+            `${headline('name', 'HighlightAll=true')} AS name_highlight`,
+            `${headline('specialty', 'HighlightAll=true')} AS specialty_highlight`,
+            `${headline('description', 'MaxWords=30, MinWords=12, MaxFragments=2')} AS description_highlight`
+        ].join(',\n')
+    };
+};
+
+/**
+ * Escape a ts_headline snippet and convert its markers to <mark> tags
+ */
+const formatHighlight = (snippet) => {
+    if (!snippet) return null;
+    return escapeHtml(snippet)
+        .split(escapeHtml(HIGHLIGHT_START)).join('<mark>')
+        .split(escapeHtml(HIGHLIGHT_STOP)).join('</mark>');
+};
+
+/**
+ * Move the *_highlight columns of a search row into a highlights object
+ */
+const formatSearchRow = (row) => {
+    const { name_highlight, specialty_highlight, description_highlight, relevance, ...rest } = row;
+    return {
+        ...rest,
+        relevance: Math.round(relevance * 1000) / 1000,
+        highlights: {
+            name: formatHighlight(name_highlight),
+            specialty: formatHighlight(specialty_highlight),
+            description: formatHighlight(description_highlight)
+        }
+    };
+};
+
+module.exports = {
+    FUZZY_THRESHOLD,
+    buildChiropractorSearch,
+    formatHighlight,
+    formatSearchRow
+};
@@ -4,6 +4,8 @@
  */
 
 const db = require('../config/database');
+const { slugify } = require('./address');
+const { listingPath } = require('./slugs');
 
 /**
  * Generate dynamic XML sitemap
@@ -31,18 +33,35 @@ const generateSitemap = async () => {
     });
 
     try {
-        // Get all states with chiropractors
-        const statesResult = await db.query(`
-            SELECT DISTINCT state FROM chiropractors WHERE is_active = true ORDER BY state
+        // Get all state and city landing pages with chiropractors
+        const locationsResult = await db.query(`
+            SELECT DISTINCT l.state, l.city
+            FROM chiropractor_locations l
+            JOIN chiropractors c ON c.id = l.chiropractor_id
+            WHERE c.is_active = true AND c.listing_status = 'published'
+            ORDER BY l.state, l.city
         `);
 
-        statesResult.rows.forEach(row => {
-            xml += `
+        const seenStates = new Set();
+        locationsResult.rows.forEach(row => {
+            const stateSlug = slugify(row.state);
+            if (!seenStates.has(stateSlug)) {
+                seenStates.add(stateSlug);
+                xml += `
     <url>
-        <loc>${baseUrl}/directory?state=${encodeURIComponent(row.state)}</loc>
+        <loc>${baseUrl}/chiropractors/${stateSlug}</loc>
         <changefreq>weekly</changefreq>
         <priority>0.7</priority>
     </url>`;
+            }
+            if (row.city) {
+                xml += `
+    <url>
+        <loc>${baseUrl}/chiropractors/${stateSlug}/${slugify(row.city)}</loc>
+        <changefreq>weekly</changefreq>
+        <priority>0.65</priority>
+    </url>`;
+            }
         });
 
         // Get all published blog posts
@@ -63,15 +82,14 @@ const generateSitemap = async () => {
 
         // Get all chiropractors
         const chirosResult = await db.query(`
-            SELECT id, name, updated_at FROM chiropractors WHERE is_active = true ORDER BY name
+            SELECT id, slug, updated_at FROM chiropractors WHERE is_active = true AND listing_status = 'published' ORDER BY name
         `);
 
         chirosResult.rows.forEach(row => {
-            const slug = row.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
             const lastmod = row.updated_at ? new Date(row.updated_at).toISOString().split('T')[0] : '';
             xml += `
     <url>
-        <loc>${baseUrl}/chiropractor/${row.id}/${slug}</loc>
+        <loc>${baseUrl}${listingPath(row)}</loc>
         <changefreq>monthly</changefreq>
         <priority>0.5</priority>
         ${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}
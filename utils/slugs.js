@@ -0,0 +1,98 @@
+/**
+ * Listing Slug Utilities
+ * Every chiropractor has a unique slug made from its name, and the canonical
+ * address of its page is /chiropractor/:id/:slug. Submitted practices get
+ * theirs when an admin approves them. When a rename changes the
+ * slug, the old one goes into chiropractor_slug_history so links using it
+ * keep redirecting to the listing. Slugs in the history stay reserved for
+ * the listing that had them.
+ */
+
+const db = require('../config/database');
+const { slugify } = require('./address');
+
+const MAX_SLUG_LENGTH = 200;
+
+/**
+ * Canonical page path of a listing with id and slug
+ */
+const listingPath = (listing) => `/chiropractor/${listing.id}/${listing.slug}`;
+
+// Slug for a name; names with no letters or digits still get one
+const baseSlug = (name) => slugify(name).slice(0, MAX_SLUG_LENGTH).replace(/-+$/, '') || 'chiropractor';
+
+/**
+ * The first of base, base-2, base-3, ... not in the taken set
+ */
+const nextFreeSlug = (base, taken) => {
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+};
+
+/**
+ * Give a listing the slug for its current name, inside the caller's
+ * transaction. Call after any write that can change the name. A listing whose
+ * slug already fits its name keeps it, suffix and all. Returns the slug.
+ */
+const syncChiropractorSlug = async (client, chiropractorId) => {
+    const result = await client.query('SELECT name, slug FROM chiropractors WHERE id = $1', [chiropractorId]);
+    const { name, slug } = result.rows[0];
+    const base = baseSlug(name);
+
+    if (slug === base || (slug && new RegExp(`^${base}-\\d+$`).test(slug))) {
+        return slug;
+    }
+
+    // The listing's own old slugs are free to take back
+    const takenResult = await client.query(
+        `SELECT slug FROM chiropractors WHERE id != $1 AND (slug = $2 OR slug LIKE $3)
+         UNION
+         SELECT slug FROM chiropractor_slug_history WHERE chiropractor_id != $1 AND (slug = $2 OR slug LIKE $3)`,
+        [chiropractorId, base, `${base}-%`]
+    );
+    const newSlug = nextFreeSlug(base, new Set(takenResult.rows.map(row => row.slug)));
+
+    await client.query('UPDATE chiropractors SET slug = $1 WHERE id = $2', [newSlug, chiropractorId]);
+    await client.query('DELETE FROM chiropractor_slug_history WHERE slug = $1', [newSlug]);
+
+    if (slug) {
+        await client.query(
+            `INSERT INTO chiropractor_slug_history (chiropractor_id, slug)
+             VALUES ($1, $2)
+             ON CONFLICT (slug) DO NOTHING`,
+            [chiropractorId, slug]
+        );
+    }
+
+    return newSlug;
+};
+
+/**
+ * The listing a URL should land on: by ID, or by current or former slug
+ * when there is no ID. Listings merged into another resolve to the one they
+ * were merged into. Returns { id, slug, is_public } or null.
+ */
+const resolveListing = async ({ id = null, slug = null }) => {
+    const result = await db.query(
+        `SELECT target.id, target.slug,
+                (target.is_active = true AND target.listing_status = 'published') AS is_public
+         FROM chiropractors c
+         JOIN chiropractors target ON target.id = COALESCE(c.merged_into_id, c.id)
+         WHERE ${id ? 'c.id = $1' : `c.id = COALESCE(
+             (SELECT id FROM chiropractors WHERE slug = $1),
+             (SELECT chiropractor_id FROM chiropractor_slug_history WHERE slug = $1)
+         )`}`,
+        [id || slug]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    listingPath,
+    baseSlug,
+    nextFreeSlug,
+    syncChiropractorSlug,
+    resolveListing
+};
@@ -0,0 +1,121 @@
+/**
+ * File Storage
+ * Uploaded files go to a pluggable backend chosen with STORAGE_BACKEND.
+ * Local disk is the default; the s3 backend works with AWS S3 or any
+ * S3-compatible service such as MinIO. Deployments can add their own backend
+ * with registerBackend().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+
+// Public URL prefix the local directory is served under (see server.js)
+const LOCAL_URL_PREFIX = '/uploads';
+
+const localDir = () => process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR;
+
+// Keys are generated by the app, but never let one escape the upload directory
+const localPath = (key) => {
+    const file = path.resolve(localDir(), key);
+    if (!file.startsWith(path.resolve(localDir()) + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+};
+
+const local = {
+    put: async (key, body) => {
+        const file = localPath(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, body);
+    },
+
+    remove: async (key) => {
+        await fs.promises.rm(localPath(key), { force: true });
+    },
+
+    url: (key) => `${LOCAL_URL_PREFIX}/${key}`
+};
+
+// The SDK is only loaded when the backend is used
+let s3Client = null;
+
+const s3Config = () => ({
+    bucket: process.env.S3_BUCKET,
+    // Files are linked from this base, e.g. a CDN or http://localhost:9000/<bucket>
+    publicUrl: (process.env.S3_PUBLIC_URL || `${process.env.S3_ENDPOINT || ''}/${process.env.S3_BUCKET}`).replace(/\/$/, '')
+});
+
+const getS3Client = () => {
+    if (!s3Client) {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        s3Client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            // MinIO and most S3-compatible services need path-style URLs
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+            credentials: process.env.S3_ACCESS_KEY_ID ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            } : undefined
+        });
+    }
+    return s3Client;
+};
+
+const s3 = {
+    put: async (key, body, contentType) => {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        await getS3Client().send(new PutObjectCommand({
+            Bucket: s3Config().bucket,
+            Key: key,
+            Body: body,
+            ContentType: contentType,
+            CacheControl: 'public, max-age=31536000, immutable'
+        }));
+    },
+
+    remove: async (key) => {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await getS3Client().send(new DeleteObjectCommand({ Bucket: s3Config().bucket, Key: key }));
+    },
+
+    url: (key) => `${s3Config().publicUrl}/${key}`
+};
+
+const backends = { local, s3 };
+
+/**
+ * Add or replace a backend: an object with async put(key, body, contentType),
+ * async remove(key) and url(key)
+ */
+const registerBackend = (name, backend) => {
+    backends[name] = backend;
+};
+
+/**
+ * Name of the backend new files are written to
+ */
+const activeBackend = () => process.env.STORAGE_BACKEND || 'local';
+
+/**
+ * Look up a backend by name. Files keep the backend they were written to, so
+ * switching STORAGE_BACKEND does not break links to older uploads.
+ */
+const getBackend = (name = activeBackend()) => {
+    const backend = backends[name];
+    if (!backend) {
+        throw new Error(`Unknown storage backend "${name}"`);
+    }
+    return backend;
+};
+
+module.exports = {
+    LOCAL_URL_PREFIX,
+    localDir,
+    registerBackend,
+    activeBackend,
+    getBackend
+};
@@ -0,0 +1,74 @@
+/**
+ * Listing Submission Utilities
+ * Practices submitted by the public are created as pending listings. The
+ * submitter confirms their email address before the submission reaches the
+ * admin review queue.
+ */
+
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const SUBMISSION_STATUSES = ['unconfirmed', 'confirmed', 'approved', 'rejected'];
+
+const CONFIRMATION_TTL_HOURS = 48;
+
+// Links in emails point at the public site
+const siteUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Only the hash is stored so a leaked table cannot confirm submissions
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Email the submitter a confirmation link and return the token's hash and expiry
+ */
+const issueConfirmation = async (submission, listing) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await sendMail({
+        to: submission.submitter_email,
+        subject: `Confirm your listing submission for ${listing.name}`,
+        text: [
+            `Hi ${submission.submitter_name},`,
+            '',
+            `Thanks for submitting ${listing.name} to Just Chiropractor. Please confirm your email address:`,
+            '',
+            `${siteUrl()}/submit-practice/confirm?token=${token}`,
+            '',
+            `The link expires in ${CONFIRMATION_TTL_HOURS} hours. Once confirmed, our team will review the listing before it is published.`
+        ].join('\n')
+    });
+
+    return {
+        token_hash: hashToken(token),
+        token_expires_at: new Date(Date.now() + CONFIRMATION_TTL_HOURS * 60 * 60 * 1000)
+    };
+};
+
+/**
+ * Tell the submitter whether their listing was published
+ */
+const notifySubmitter = async (submission, listing) => {
+    const approved = submission.status === 'approved';
+
+    await sendMail({
+        to: submission.submitter_email,
+        subject: approved
+            ? `${listing.name} is now listed on Just Chiropractor`
+            : `Your listing submission for ${listing.name}`,
+        text: [
+            `Hi ${submission.submitter_name},`,
+            '',
+            approved
+                ? `${listing.name} has been approved and is now live: ${siteUrl()}/chiropractor/${listing.id}`
+                : `We were unable to publish ${listing.name}.`,
+            ...(submission.review_note ? ['', `Note from our team: ${submission.review_note}`] : [])
+        ].join('\n')
+    });
+};
+
+module.exports = {
+    SUBMISSION_STATUSES,
+    hashToken,
+    issueConfirmation,
+    notifySubmitter
+};